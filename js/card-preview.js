@@ -0,0 +1,54 @@
+/**
+ * Netflix-Inspired Frontend - Card Preview
+ * Size and placement of the expanded preview shown over a hovered or focused card
+ */
+
+const CardPreview = {
+  // The preview is this much wider than the card, but never narrower than minWidth
+  scale: 1.5,
+  minWidth: 280,
+  // Space kept between the preview and the viewport edges
+  margin: 16,
+
+  /**
+   * Get the preview width for a card, shrinking it to fit narrow viewports
+   */
+  getWidth(cardWidth, viewportWidth) {
+    const width = Math.max(cardWidth * this.scale, this.minWidth);
+    return Math.max(0, Math.min(width, viewportWidth - this.margin * 2));
+  },
+
+  /**
+   * Centre the preview on its card, then slide it inward so it stays inside
+   * the viewport at row edges. The origin is the card's centre relative to
+   * the preview, so the preview can grow out of the card.
+   * @returns {{left: number, top: number, originX: number, originY: number}}
+   */
+  getPosition(cardRect, previewSize, viewport) {
+    const cardCenterX = cardRect.left + cardRect.width / 2;
+    const cardCenterY = cardRect.top + cardRect.height / 2;
+
+    const left = this.clamp(cardCenterX - previewSize.width / 2, this.margin, viewport.width - previewSize.width - this.margin);
+    const top = this.clamp(cardCenterY - previewSize.height / 2, this.margin, viewport.height - previewSize.height - this.margin);
+
+    return {
+      left,
+      top,
+      originX: cardCenterX - left,
+      originY: cardCenterY - top
+    };
+  },
+
+  /**
+   * Keep a value between a minimum and maximum, preferring the minimum when
+   * the range is empty (a preview taller than the viewport starts at the top)
+   */
+  clamp(value, min, max) {
+    return Math.max(min, Math.min(value, max));
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CardPreview };
+}
@@ -0,0 +1,61 @@
+/**
+ * Netflix-Inspired Frontend - Catalog Cache
+ * Saved copies of the catalog, shown at once on repeat visits while the
+ * content source is checked for changes
+ */
+
+const CatalogCache = {
+  // IndexedDB database and object store holding one saved catalog per content source
+  databaseName: 'netflix-catalog',
+  storeName: 'catalogs',
+
+  /**
+   * Get the key a content source's catalog is saved under, or null for
+   * sources not worth saving, like data already in memory
+   */
+  getKey({ type, url } = {}) {
+    return type && type !== 'memory' ? `${type}:${url || ''}` : null;
+  },
+
+  /**
+   * Create the saved copy of a catalog
+   * @returns {{key: string, catalog: Object, etag: string|null, savedAt: number}}
+   */
+  createEntry(key, catalog, etag, now) {
+    return { key, catalog: this.copy(catalog), etag: etag || null, savedAt: now };
+  },
+
+  /**
+   * Check whether a saved catalog is recent enough to use without asking the
+   * content source. Copies saved in the future, by a wrong clock, never are.
+   */
+  isFresh(entry, maxAge, now) {
+    const age = now - entry.savedAt;
+    return age >= 0 && age < maxAge;
+  },
+
+  /**
+   * Check whether a revalidated catalog differs from the saved one. A null
+   * catalog means the source confirmed the saved ETag is current; otherwise
+   * a matching ETag or identical data means nothing changed.
+   */
+  hasChanged(entry, { catalog, etag }) {
+    if (catalog === null || (etag && entry.etag === etag)) {
+      return false;
+    }
+
+    return JSON.stringify(entry.catalog) !== JSON.stringify(catalog);
+  },
+
+  /**
+   * Copy a catalog, so loading it into the app never changes the saved one
+   */
+  copy(catalog) {
+    return JSON.parse(JSON.stringify(catalog));
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CatalogCache };
+}
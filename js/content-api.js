@@ -0,0 +1,124 @@
+/**
+ * Netflix-Inspired Frontend - Content API
+ * The paged catalog contract shared by the app and the local stand-in server
+ */
+
+const ContentApi = {
+  // Titles per page when a request doesn't ask for a size, and the most it may ask for
+  defaultLimit: 20,
+  maxLimit: 100,
+  // Categories kept in the browser rather than paged from the server
+  localCategoryIds: ['my-list'],
+
+  /**
+   * Get the catalog a content API answers with when asked for no category:
+   * the featured titles in full, and each category's id and title marked as
+   * paged so its items are requested separately
+   */
+  getCatalog(data) {
+    return {
+      featured: data.featured || (data.hero ? [data.hero] : []),
+      categories: data.categories.map(category => (
+        this.localCategoryIds.includes(category.id)
+          ? { id: category.id, title: category.title, items: [] }
+          : { id: category.id, title: category.title, paged: true }
+      ))
+    };
+  },
+
+  /**
+   * Build the URL of one page of a category. The first page has no cursor;
+   * later pages pass the nextCursor of the page before.
+   */
+  getPageUrl(baseUrl, categoryId, cursor = null, limit = null) {
+    const params = new URLSearchParams({ category: categoryId });
+
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+
+    if (limit) {
+      params.set('limit', String(limit));
+    }
+
+    return `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}${params}`;
+  },
+
+  /**
+   * Build the URL of a single title, for links to titles whose page hasn't loaded
+   */
+  getTitleUrl(baseUrl, contentId) {
+    const params = new URLSearchParams({ id: contentId });
+    return `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}${params}`;
+  },
+
+  /**
+   * Build the URL of a search across every category
+   */
+  getSearchUrl(baseUrl, query) {
+    const params = new URLSearchParams({ q: query });
+    return `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}${params}`;
+  },
+
+  /**
+   * Get the featured titles and every category's items, for lookups across the catalog
+   */
+  getTitles(data) {
+    const featured = data.featured || (data.hero ? [data.hero] : []);
+    return [...featured, ...data.categories.flatMap(category => category.items || [])].filter(Boolean);
+  },
+
+  /**
+   * Find a title among the featured titles and every category's items
+   * @returns {Object|null} The title, or null if no category has it
+   */
+  findTitle(data, contentId) {
+    return this.getTitles(data).find(item => item.id === contentId) || null;
+  },
+
+  /**
+   * Check the shape of a page response
+   * @returns {{items: Array<Object>, nextCursor: string|null}|null} The page, or null if malformed
+   */
+  parsePage(data) {
+    if (!data || !Array.isArray(data.items)) {
+      return null;
+    }
+
+    const nextCursor = data.nextCursor === undefined ? null : data.nextCursor;
+    if (nextCursor !== null && (typeof nextCursor !== 'string' || nextCursor === '')) {
+      return null;
+    }
+
+    return { items: data.items, nextCursor };
+  },
+
+  /**
+   * Cut one page out of a category's items. Cursors are opaque to the app;
+   * this implementation uses the offset of the page's first item.
+   * @returns {{items: Array<Object>, nextCursor: string|null}|null} The page, or null for an unknown cursor
+   */
+  paginate(items, cursor = null, limit = this.defaultLimit) {
+    if (cursor && !/^\d+$/.test(cursor)) {
+      return null;
+    }
+
+    const offset = cursor ? Number(cursor) : 0;
+    if (offset > items.length) {
+      return null;
+    }
+
+    const size = Math.min(Math.max(1, Math.floor(limit) || this.defaultLimit), this.maxLimit);
+    const end = offset + size;
+
+    return {
+      items: items.slice(offset, end),
+      nextCursor: end < items.length ? String(end) : null
+    };
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ContentApi };
+}
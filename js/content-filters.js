@@ -0,0 +1,121 @@
+/**
+ * Netflix-Inspired Frontend - Content Filters
+ * Faceted filtering by genre, type, year range and minimum rating
+ */
+
+const ContentFilters = {
+  // Minimum rating options offered in the filter panel
+  ratingThresholds: [6, 7, 8, 9],
+
+  /**
+   * Create a filter state with nothing selected
+   */
+  createEmptyFilters() {
+    return {
+      genres: [],
+      types: [],
+      yearFrom: null,
+      yearTo: null,
+      minRating: null
+    };
+  },
+
+  /**
+   * Check whether any filter is set
+   */
+  hasActiveFilters(filters) {
+    if (!filters) return false;
+
+    return filters.genres.length > 0 ||
+      filters.types.length > 0 ||
+      filters.yearFrom !== null ||
+      filters.yearTo !== null ||
+      filters.minRating !== null;
+  },
+
+  /**
+   * Check an item against the filters, optionally ignoring one facet
+   */
+  matches(item, filters, ignoreFacet = null) {
+    if (!filters) return true;
+
+    if (ignoreFacet !== 'genres' && filters.genres.length > 0) {
+      const itemGenres = item.genres || [];
+      if (!filters.genres.some(genre => itemGenres.includes(genre))) {
+        return false;
+      }
+    }
+
+    if (ignoreFacet !== 'types' && filters.types.length > 0 && !filters.types.includes(item.type)) {
+      return false;
+    }
+
+    if (ignoreFacet !== 'years') {
+      if (filters.yearFrom !== null && item.year < filters.yearFrom) return false;
+      if (filters.yearTo !== null && item.year > filters.yearTo) return false;
+    }
+
+    if (ignoreFacet !== 'minRating' && filters.minRating !== null && item.rating < filters.minRating) {
+      return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Return the items that match every filter
+   */
+  apply(items, filters) {
+    if (!Array.isArray(items)) return [];
+    return items.filter(item => this.matches(item, filters));
+  },
+
+  /**
+   * Count items per facet value. Each facet is counted with the other facets
+   * applied but not itself, so the counts show what selecting a value would add.
+   */
+  getFacetCounts(items, filters) {
+    const counts = {
+      genres: {},
+      types: {},
+      ratings: {},
+      years: { min: null, max: null }
+    };
+
+    if (!Array.isArray(items)) return counts;
+
+    this.ratingThresholds.forEach(threshold => {
+      counts.ratings[threshold] = 0;
+    });
+
+    for (const item of items) {
+      if (this.matches(item, filters, 'genres')) {
+        (item.genres || []).forEach(genre => {
+          counts.genres[genre] = (counts.genres[genre] || 0) + 1;
+        });
+      }
+
+      if (this.matches(item, filters, 'types')) {
+        counts.types[item.type] = (counts.types[item.type] || 0) + 1;
+      }
+
+      if (this.matches(item, filters, 'minRating')) {
+        this.ratingThresholds.forEach(threshold => {
+          if (item.rating >= threshold) counts.ratings[threshold]++;
+        });
+      }
+
+      if (this.matches(item, filters, 'years')) {
+        if (counts.years.min === null || item.year < counts.years.min) counts.years.min = item.year;
+        if (counts.years.max === null || item.year > counts.years.max) counts.years.max = item.year;
+      }
+    }
+
+    return counts;
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ContentFilters };
+}
@@ -0,0 +1,47 @@
+/**
+ * Netflix-Inspired Frontend - Content Retry
+ * Which failed content requests are worth trying again, and how long to wait
+ * before each retry
+ */
+
+const ContentRetry = {
+  /**
+   * Describe why a content request failed. Network failures and server
+   * errors may pass, so they're retried. Client errors and content that
+   * failed validation would only fail the same way again.
+   * @returns {{retryable: boolean, reason: string}}
+   */
+  describeFailure(error) {
+    if (!error || error.name !== 'ContentLoadError') {
+      return { retryable: false, reason: `invalid content (${error ? error.message : 'unknown error'})` };
+    }
+
+    if (error.status === null || error.status === undefined) {
+      return { retryable: true, reason: `network error (${error.message})` };
+    }
+
+    if (error.status >= 500) {
+      return { retryable: true, reason: `server error ${error.status}` };
+    }
+
+    return { retryable: false, reason: `request refused with ${error.status}` };
+  },
+
+  /**
+   * Get the wait before a retry, in milliseconds. The wait doubles with each
+   * retry up to maxDelay, and a random half of it is dropped so many
+   * browsers failing at once don't all retry at once.
+   * @param {number} retry - 1 for the first retry
+   * @param {{baseDelay: number, maxDelay: number}} options
+   * @param {Function} [random] - Returns a number in [0, 1)
+   */
+  getDelay(retry, { baseDelay, maxDelay }, random = Math.random) {
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** (retry - 1));
+    return Math.round(backoff / 2 + random() * backoff / 2);
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ContentRetry };
+}
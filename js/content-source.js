@@ -0,0 +1,282 @@
+/**
+ * Netflix-Inspired Frontend - Content Source
+ * Where the catalog comes from: a static JSON file, a paged REST endpoint, or
+ * data held in memory. The app only talks to the ContentSource interface.
+ */
+
+// The paging contract and the search ranking, from the page's globals or, under Node, their modules
+const PagingContract = typeof ContentApi !== 'undefined' ? ContentApi : require('./content-api.js').ContentApi;
+const TitleSearch = typeof SearchEngine !== 'undefined' ? SearchEngine : require('./search-engine.js').SearchEngine;
+
+/**
+ * The interface every content source implements. Extend it to load the
+ * catalog from another backend.
+ */
+class ContentSource {
+  /**
+   * Load the catalog: the featured titles and the categories. Paged
+   * categories have `paged: true` instead of items. Given the ETag of a saved
+   * copy, the catalog is null when that copy is still current.
+   * @param {Object} [options]
+   * @param {string} [options.etag] - ETag of the catalog the app already has
+   * @returns {Promise<{catalog: Object|null, etag: string|null}>}
+   */
+  async loadCatalog({ etag = null } = {}) {
+    throw new Error(`${this.constructor.name} does not implement loadCatalog`);
+  }
+
+  /**
+   * Load one page of a paged category. The first page has no cursor.
+   * @returns {Promise<{items: Array<Object>, nextCursor: string|null}>}
+   */
+  async loadPage(categoryId, cursor = null, limit = null) {
+    throw new Error(`${this.constructor.name} does not implement loadPage`);
+  }
+
+  /**
+   * Load one title by its id, for links to titles whose page hasn't loaded yet
+   * @returns {Promise<Object|null>} The title, or null if the catalog has no such title
+   */
+  async loadTitle(contentId) {
+    throw new Error(`${this.constructor.name} does not implement loadTitle`);
+  }
+
+  /**
+   * Search every category, including pages that haven't loaded yet
+   * @returns {Promise<Array<Object>>} Matching titles, best first
+   */
+  async search(query) {
+    throw new Error(`${this.constructor.name} does not implement search`);
+  }
+
+  /**
+   * Create the source a config names by its type
+   * @param {Object} config - A type from ContentSource.types, plus that source's options
+   */
+  static create({ type, ...options } = {}) {
+    const Source = ContentSource.types[type];
+    if (!Source) {
+      throw new Error(`Unknown content source type: ${type}`);
+    }
+
+    return new Source(options);
+  }
+}
+
+/**
+ * A request for content that failed before any data came back: the network
+ * failed, or the server answered with an error status
+ */
+class ContentLoadError extends Error {
+  /**
+   * @param {string} message
+   * @param {number|null} [status] - HTTP status, or null when the network failed
+   */
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'ContentLoadError';
+    this.status = status;
+  }
+}
+
+/**
+ * Fetch a JSON document, failing on network errors and error statuses. With
+ * an ETag the request is conditional, and the data is null when the server
+ * answers Not Modified.
+ * @returns {Promise<{data: Object|null, etag: string|null}>}
+ */
+async function fetchContentJson(url, headers, etag = null) {
+  let response;
+  try {
+    response = await fetch(url, { headers: etag ? { ...headers, 'If-None-Match': etag } : headers });
+  } catch (error) {
+    throw new ContentLoadError(`Failed to load content: ${error.message}`);
+  }
+
+  if (etag && response.status === 304) {
+    return { data: null, etag };
+  }
+
+  if (!response.ok) {
+    throw new ContentLoadError(`Failed to load content: ${response.status} ${response.statusText}`, response.status);
+  }
+
+  return { data: await response.json(), etag: response.headers.get('ETag') };
+}
+
+/**
+ * Load a catalog document through fetchContentJson
+ */
+async function fetchCatalog(url, headers, etag) {
+  const { data, etag: currentEtag } = await fetchContentJson(url, headers, etag);
+  return { catalog: data, etag: currentEtag };
+}
+
+/**
+ * Search every title of a catalog, best matches first, as a content API would
+ */
+function searchTitles(data, query) {
+  return TitleSearch.search(PagingContract.getTitles(data), query, { limit: PagingContract.maxLimit }).map(result => result.item);
+}
+
+/**
+ * The whole catalog in one JSON file, such as data/content.json
+ */
+class StaticContentSource extends ContentSource {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] - The JSON file to load
+   * @param {Object} [options.headers] - Headers sent with the request
+   */
+  constructor({ url = './data/content.json', headers = {} } = {}) {
+    super();
+    this.url = url;
+    this.headers = headers;
+  }
+
+  async loadCatalog({ etag = null } = {}) {
+    return fetchCatalog(this.url, this.headers, etag);
+  }
+
+  async loadPage(categoryId) {
+    throw new Error(`Static content has no pages to load for ${categoryId}`);
+  }
+
+  async loadTitle(contentId) {
+    const { data } = await fetchContentJson(this.url, this.headers);
+    return PagingContract.findTitle(data, contentId);
+  }
+
+  async search(query) {
+    const { data } = await fetchContentJson(this.url, this.headers);
+    return searchTitles(data, query);
+  }
+}
+
+/**
+ * A REST endpoint following the paged content API contract: the catalog at
+ * the base URL, pages at ?category=<id>&cursor=<cursor>, titles at ?id=<id>
+ * and search results at ?q=<query>
+ */
+class RestContentSource extends ContentSource {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - The API's base URL
+   * @param {Object} [options.headers] - Headers sent with every request, such as Authorization
+   */
+  constructor({ url, headers = {} } = {}) {
+    super();
+    if (!url) {
+      throw new Error('A REST content source needs a base URL');
+    }
+
+    this.url = url;
+    this.headers = headers;
+  }
+
+  async loadCatalog({ etag = null } = {}) {
+    return fetchCatalog(this.url, this.headers, etag);
+  }
+
+  async loadPage(categoryId, cursor = null, limit = null) {
+    const { data } = await fetchContentJson(PagingContract.getPageUrl(this.url, categoryId, cursor, limit), this.headers);
+    const page = PagingContract.parsePage(data);
+    if (!page) {
+      throw new Error(`Invalid page of ${categoryId}`);
+    }
+
+    return page;
+  }
+
+  async loadTitle(contentId) {
+    try {
+      const { data } = await fetchContentJson(PagingContract.getTitleUrl(this.url, contentId), this.headers);
+      return data;
+    } catch (error) {
+      // The API answers 404 for a title it doesn't have
+      if (error instanceof ContentLoadError && error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async search(query) {
+    // Results come back in the shape of a single page
+    const { data } = await fetchContentJson(PagingContract.getSearchUrl(this.url, query), this.headers);
+    const results = PagingContract.parsePage(data);
+    if (!results) {
+      throw new Error(`Invalid search results for ${query}`);
+    }
+
+    return results.items;
+  }
+}
+
+/**
+ * Content held in memory, for tests and demos. Each load returns a copy, so
+ * changes the app makes never reach the data. With a page size its
+ * categories are paged like a REST endpoint's.
+ */
+class MemoryContentSource extends ContentSource {
+  /**
+   * @param {Object} options
+   * @param {Object} options.data - Content in the shape of data/content.json
+   * @param {number} [options.pageSize] - Page the categories, this many titles at a time
+   */
+  constructor({ data, pageSize = null } = {}) {
+    super();
+    if (!data || !Array.isArray(data.categories)) {
+      throw new Error('A memory content source needs content data with categories');
+    }
+
+    this.data = data;
+    this.pageSize = pageSize;
+  }
+
+  async loadCatalog() {
+    return { catalog: this.copy(this.pageSize ? PagingContract.getCatalog(this.data) : this.data), etag: null };
+  }
+
+  async loadPage(categoryId, cursor = null) {
+    const category = this.data.categories.find(cat => cat.id === categoryId);
+    if (!this.pageSize || !category) {
+      throw new Error(`No pages to load for ${categoryId}`);
+    }
+
+    const page = PagingContract.paginate(category.items, cursor, this.pageSize);
+    if (!page) {
+      throw new Error(`Invalid cursor for ${categoryId}: ${cursor}`);
+    }
+
+    return this.copy(page);
+  }
+
+  async loadTitle(contentId) {
+    const title = PagingContract.findTitle(this.data, contentId);
+    return title ? this.copy(title) : null;
+  }
+
+  async search(query) {
+    return this.copy(searchTitles(this.data, query));
+  }
+
+  /**
+   * Copy data handed to the app
+   */
+  copy(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+// Sources AppConfig.contentSource can name. Add a class here to make another backend selectable.
+ContentSource.types = {
+  static: StaticContentSource,
+  rest: RestContentSource,
+  memory: MemoryContentSource
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ContentSource, ContentLoadError, StaticContentSource, RestContentSource, MemoryContentSource };
+}
@@ -0,0 +1,49 @@
+/**
+ * Netflix-Inspired Frontend - Hero Carousel
+ * Featured titles for the hero and the slide order they rotate through
+ */
+
+const HeroCarousel = {
+  /**
+   * Get the featured titles from content data. Older data with a single
+   * `hero` object is treated as a carousel of one.
+   * @returns {Array<Object>}
+   */
+  getFeatured(data) {
+    if (!data || typeof data !== 'object') {
+      return [];
+    }
+    if (Array.isArray(data.featured) && data.featured.length > 0) {
+      return data.featured;
+    }
+    return data.hero ? [data.hero] : [];
+  },
+
+  /**
+   * Wrap a slide index so stepping past either end loops around
+   */
+  wrapIndex(index, count) {
+    if (count <= 0) return 0;
+    return ((index % count) + count) % count;
+  },
+
+  /**
+   * Get the index of the slide showing a title, or -1 when it isn't featured
+   */
+  findIndex(items, contentId) {
+    return items.findIndex(item => item.id === contentId);
+  },
+
+  /**
+   * Check whether the carousel should advance on its own: it needs more than
+   * one slide and nothing (hover, focus, a hidden tab, the pause button) holding it
+   */
+  shouldRotate(count, pauseReasons) {
+    return count > 1 && pauseReasons.size === 0;
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HeroCarousel };
+}
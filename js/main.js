@@ -9,7 +9,20 @@ const AppState = {
   mobileMenuOpen: false,
   scrollPositions: {},
   contentData: null,
-  isLoading: false
+  categoryPages: {},
+  loadedTitles: {},
+  isLoading: false,
+  contentLoadFailed: false,
+  searchOpen: false,
+  searchQuery: '',
+  activeFilters: {},
+  currentView: 'home',
+  watchProgress: {},
+  userRatings: {},
+  profiles: [],
+  activeProfileId: null,
+  parentalControls: null,
+  viewingHistory: []
 };
 
 // Application Configuration
@@ -29,6 +42,86 @@ const AppConfig = {
       tablet: 4,
       desktop: 6
     }
+  },
+  search: {
+    debounceDelay: 300
+  },
+  continueWatching: {
+    categoryId: 'continue-watching',
+    title: 'Continue Watching'
+  },
+  moreLikeThis: {
+    limit: 6
+  },
+  hero: {
+    // How long each featured title shows before the next one fades in
+    interval: 8000,
+    // How long a featured title's backdrop shows before its trailer starts
+    trailerDelay: 3000
+  },
+  cardPreview: {
+    // How long the pointer or focus rests on a card before it expands
+    delay: 500
+  },
+  contentSource: {
+    // A type from ContentSource.types: 'static' loads one JSON file, 'rest'
+    // pages a content API from its base url, 'memory' serves the data given here
+    type: 'static',
+    url: './data/content.json',
+    // Sent with every request, such as an Authorization header
+    headers: {}
+  },
+  catalogCache: {
+    // How long, in milliseconds, a saved catalog is shown without checking the
+    // content source for changes. 0 checks on every visit.
+    maxAge: 5 * 60 * 1000
+  },
+  contentRetry: {
+    // Retries of a catalog or page request that failed on the network or with
+    // a server error, waiting baseDelay, then twice as long each time up to maxDelay
+    retries: 3,
+    baseDelay: 1000,
+    maxDelay: 8000
+  },
+  categoryPages: {
+    // Titles asked for in each page of a category
+    pageSize: 20,
+    // How close to the end of a row, in pixels, its next page starts loading
+    loadMoreDistance: 800
+  },
+  recommendations: {
+    categoryPrefix: 'because-',
+    maxRows: 2,
+    itemsPerRow: 10
+  },
+  profiles: {
+    storageKey: 'netflix-profiles',
+    // Settings each profile keeps its own copy of
+    dataKeys: ['netflix-my-list', 'netflix-watch-progress', 'netflix-user-ratings', 'netflix-viewing-history']
+  },
+  parentalControls: {
+    storageKey: 'netflix-parental-controls'
+  },
+  userRatings: {
+    dislike: { label: 'Not for me' },
+    like: { label: 'I like this' },
+    love: { label: 'Love this!' }
+  },
+  views: {
+    'home': { title: 'Home', showHero: true },
+    'movies': { title: 'Movies', contentType: 'movie' },
+    'tv-shows': { title: 'TV Shows', contentType: 'tv-show' },
+    'my-list': {
+      title: 'My List',
+      layout: 'grid',
+      category: 'my-list',
+      emptyMessage: "You haven't added any titles to My List yet."
+    },
+    'viewing-activity': {
+      title: 'Viewing Activity',
+      layout: 'activity',
+      emptyMessage: 'Titles you open or play will appear here.'
+    }
   }
 };
 
@@ -38,6 +131,42 @@ const AppConfig = {
  */
 class NetflixApp {
   constructor() {
+    // Titles visited through More Like This, for Escape and Back
+    this.modalStack = [];
+    // Locked titles unlocked with the PIN, until the profile changes
+    this.unlockedContentIds = new Set();
+    // Whether the PIN was entered for managing profiles since the picker last showed the profile list
+    this.profileManagementUnlocked = false;
+    // Featured title showing in the hero, and whatever is holding it from advancing
+    this.heroIndex = 0;
+    this.heroContentId = null;
+    this.heroTimer = null;
+    this.heroPauseReasons = new Set();
+    this.heroTrailerTimer = null;
+    this.heroTrailerMuted = true;
+    // Trailers that failed to load; their titles keep the backdrop image
+    this.failedTrailerUrls = new Set();
+    // Previews paused by pauseActiveContent, to resume afterwards
+    this.pausedPreviews = new Set();
+    // Expanded card preview on screen, and the card Escape last closed one on
+    this.activeCardPreview = null;
+    this.cardPreviewTimer = null;
+    this.cardPreviewDismissed = null;
+    // Titles and mounted range of each long row, keyed by its slider
+    this.rowWindows = new WeakMap();
+    // Where the catalog and its pages come from, set up by loadContentData
+    this.contentSource = null;
+    // The last search sent to the content source, so each query is only asked once
+    this.sourceSearchQuery = null;
+    // Saved copy of the catalog on screen, where it is kept, and any check for a newer one
+    this.catalogCacheKey = null;
+    this.catalogCacheEntry = null;
+    this.catalogDatabase = null;
+    this.catalogRevalidation = null;
+    // Watches rows whose first page hasn't loaded for coming near the viewport
+    this.categoryRowObserver = null;
+    // Whether the user closed the offline banner since the connection last changed
+    this.offlineBannerDismissed = false;
     this.init();
   }
 
@@ -69,19 +198,29 @@ class NetflixApp {
       
       // Initialize core components
       this.setupNavigation();
+      this.setupSearch();
       this.setupHeroSection();
       this.setupModalSystem();
+      this.setupVideoPlayer();
       this.setupEventListeners();
       this.setupResponsiveHandlers();
+      this.setupOfflineMode();
+      
+      // Profiles come first so a Kids profile's limit applies from the first render
+      this.setupParentalControls();
+      this.setupProfiles();
       
       // Load content data
       await this.loadContentData();
       
-      // Load saved My List from storage
-      this.loadMyListFromStorage();
+      // Load the active profile's My List, playback progress, ratings and viewing activity
+      this.loadProfileData();
       
-      // Initialize content rows
-      this.initializeContentRows();
+      // Render the view for the current URL
+      this.setupRouter();
+      
+      // Ask for the PIN when the app or the remembered profile is locked
+      this.lockAppIfNeeded();
       
       console.log('✅ Application initialized successfully');
     } catch (error) {
@@ -175,6 +314,458 @@ class NetflixApp {
     }
   }
 
+  /**
+   * Setup search bar and results
+   */
+  setupSearch() {
+    const searchBoxes = document.querySelectorAll('.search-box');
+    const resultsSection = document.getElementById('search-results');
+
+    if (searchBoxes.length === 0 || !resultsSection) {
+      console.warn('⚠️ Search elements not found');
+      return;
+    }
+
+    const runSearch = this.debounce((query) => {
+      this.renderSearchResults(query);
+    }, AppConfig.search.debounceDelay);
+
+    searchBoxes.forEach(searchBox => {
+      const searchButton = searchBox.querySelector('.search-btn');
+      const searchInput = searchBox.querySelector('.search-input');
+
+      if (!searchButton || !searchInput) return;
+
+      searchButton.addEventListener('click', () => {
+        if (searchBox.classList.contains('expanded') && searchInput.value.trim()) {
+          this.renderSearchResults(searchInput.value);
+        } else {
+          this.openSearch(searchBox);
+        }
+      });
+
+      searchInput.addEventListener('input', () => {
+        AppState.searchQuery = searchInput.value;
+        runSearch(searchInput.value);
+      });
+
+      searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+          const firstCard = resultsSection.querySelector('.content-card');
+          if (firstCard) {
+            e.preventDefault();
+            this.focusCard(firstCard);
+          }
+        }
+      });
+
+      // Collapse the bar again when it loses focus without a query
+      searchInput.addEventListener('blur', () => {
+        if (!searchInput.value.trim()) {
+          this.closeSearch({ restoreFocus: false });
+        }
+      });
+    });
+
+    const filterToggle = resultsSection.querySelector('.filter-toggle');
+    const filterPanel = resultsSection.querySelector('.filter-panel');
+    if (filterToggle && filterPanel) {
+      this.setupFilterToggle(filterToggle, filterPanel);
+    }
+
+    // Arrow key navigation through the results grid
+    resultsSection.addEventListener('keydown', (e) => {
+      this.handleSearchResultsKeydown(e, resultsSection);
+    });
+
+    // Close search with escape key (the modal takes precedence when open)
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && AppState.searchOpen && !AppState.currentModal) {
+        this.closeSearch();
+      }
+    });
+
+    console.log('🔍 Search setup complete');
+  }
+
+  /**
+   * Expand the search bar and focus its input
+   */
+  openSearch(searchBox) {
+    const searchInput = searchBox.querySelector('.search-input');
+    const searchButton = searchBox.querySelector('.search-btn');
+
+    AppState.searchOpen = true;
+    this.activeSearchBox = searchBox;
+
+    searchBox.classList.add('expanded');
+    searchButton?.setAttribute('aria-expanded', 'true');
+    searchInput.removeAttribute('tabindex');
+    searchInput.focus();
+  }
+
+  /**
+   * Collapse the search bar and restore the regular page
+   */
+  closeSearch({ restoreFocus = true } = {}) {
+    const resultsSection = document.getElementById('search-results');
+
+    document.querySelectorAll('.search-box').forEach(searchBox => {
+      const searchInput = searchBox.querySelector('.search-input');
+      searchBox.classList.remove('expanded');
+      searchBox.querySelector('.search-btn')?.setAttribute('aria-expanded', 'false');
+      if (searchInput) {
+        searchInput.value = '';
+        searchInput.setAttribute('tabindex', '-1');
+      }
+    });
+
+    if (resultsSection) {
+      resultsSection.classList.add('hidden');
+      resultsSection.querySelector('.search-results-grid').innerHTML = '';
+      resultsSection.querySelector('.filter-panel')?.classList.add('hidden');
+      resultsSection.querySelector('.filter-toggle')?.setAttribute('aria-expanded', 'false');
+    }
+    this.togglePageSections(true);
+
+    AppState.activeFilters.search = ContentFilters.createEmptyFilters();
+    this.lastSearchResults = null;
+
+    if (restoreFocus && this.activeSearchBox) {
+      this.activeSearchBox.querySelector('.search-btn')?.focus();
+    }
+
+    AppState.searchOpen = false;
+    AppState.searchQuery = '';
+    this.activeSearchBox = null;
+  }
+
+  /**
+   * Render search results as a card grid
+   */
+  renderSearchResults(query) {
+    const resultsSection = document.getElementById('search-results');
+    if (!resultsSection) return;
+
+    const resultsTitle = resultsSection.querySelector('.search-results-title');
+    const resultsGrid = resultsSection.querySelector('.search-results-grid');
+    const trimmedQuery = query.trim();
+
+    const filterToggle = resultsSection.querySelector('.filter-toggle');
+    const filterPanel = resultsSection.querySelector('.filter-panel');
+
+    // An empty query shows the regular page again
+    if (!trimmedQuery) {
+      resultsSection.classList.add('hidden');
+      resultsGrid.innerHTML = '';
+      this.togglePageSections(true);
+      this.lastSearchResults = null;
+      return;
+    }
+
+    const results = this.searchContentWithScores(trimmedQuery);
+
+    resultsSection.classList.remove('hidden');
+    this.togglePageSections(false);
+
+    this.lastSearchResults = results;
+    this.lastSearchQuery = trimmedQuery;
+
+    // Titles on pages that haven't loaded yet join the results when the source finds them
+    this.searchContentSource(trimmedQuery);
+
+    if (results.length === 0) {
+      resultsTitle.textContent = 'No results';
+      filterToggle?.classList.add('hidden');
+      filterPanel?.classList.add('hidden');
+      filterToggle?.setAttribute('aria-expanded', 'false');
+
+      this.showSearchEmptyState(resultsGrid, `Your search for "${trimmedQuery}" did not have any matches. Try a different title, genre or description.`);
+      return;
+    }
+
+    filterToggle?.classList.remove('hidden');
+    if (filterPanel) {
+      this.renderFilterPanel(filterPanel, results.map(result => result.item), 'search', () => {
+        this.renderSearchResultCards();
+      });
+    }
+
+    this.renderSearchResultCards();
+  }
+
+  /**
+   * Render the latest search results with the search filters applied
+   */
+  renderSearchResultCards() {
+    const resultsSection = document.getElementById('search-results');
+    if (!resultsSection || !this.lastSearchResults) return;
+
+    const resultsTitle = resultsSection.querySelector('.search-results-title');
+    const resultsGrid = resultsSection.querySelector('.search-results-grid');
+    const filters = this.getFilters('search');
+    const results = this.lastSearchResults.filter(result => ContentFilters.matches(result.item, filters));
+    const filteredSuffix = ContentFilters.hasActiveFilters(filters) ? ' (filtered)' : '';
+
+    resultsTitle.textContent = `${results.length} result${results.length === 1 ? '' : 's'} for "${this.lastSearchQuery}"${filteredSuffix}`;
+
+    if (results.length === 0) {
+      this.showSearchEmptyState(resultsGrid, 'No titles match the selected filters. Try removing some of them.');
+      return;
+    }
+
+    resultsGrid.innerHTML = this.createContentCards(results.map(result => result.item));
+    this.highlightSearchMatches(resultsGrid, results);
+    this.setupContentCardHandlers(resultsGrid);
+  }
+
+  /**
+   * Show an empty-state message in the search results grid
+   */
+  showSearchEmptyState(resultsGrid, message) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'search-empty-state text-gray-400 px-4 py-8 text-center';
+    emptyState.textContent = message;
+
+    resultsGrid.innerHTML = '';
+    resultsGrid.appendChild(emptyState);
+  }
+
+  /**
+   * Mark which fields matched on each search result card
+   */
+  highlightSearchMatches(resultsGrid, results) {
+    results.forEach(({ item, score, matches }) => {
+      const card = resultsGrid.querySelector(`[data-content-id="${item.id}"]`);
+      if (!card) return;
+
+      card.dataset.searchScore = score;
+      card.querySelector('.card-info h3')?.classList.toggle('search-match-title', matches.title);
+
+      // Explain matches that are not visible on the card itself
+      let matchText = '';
+      if (matches.cast.length > 0) {
+        matchText = `Starring ${matches.cast.join(', ')}`;
+      } else if (!matches.title && matches.genres.length === 0 && matches.description) {
+        matchText = 'Matched in description';
+      }
+
+      if (matchText) {
+        const matchInfo = document.createElement('p');
+        matchInfo.className = 'search-match';
+        matchInfo.textContent = matchText;
+        card.querySelector('.card-info')?.appendChild(matchInfo);
+      }
+    });
+  }
+
+  /**
+   * Handle arrow key navigation between search result cards
+   */
+  handleSearchResultsKeydown(e, resultsSection) {
+    if (!['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(e.key)) return;
+
+    const cards = Array.from(resultsSection.querySelectorAll('.content-card'));
+    const currentIndex = document.activeElement?.classList.contains('card-open')
+      ? cards.indexOf(document.activeElement.closest('.content-card'))
+      : -1;
+    if (currentIndex === -1) return;
+
+    e.preventDefault();
+
+    // Cards in the first grid row share its offsetTop
+    const firstRowTop = cards[0].offsetTop;
+    const columns = Math.max(1, cards.filter(card => card.offsetTop === firstRowTop).length);
+
+    let nextIndex = currentIndex;
+    if (e.key === 'ArrowLeft') nextIndex = currentIndex - 1;
+    if (e.key === 'ArrowRight') nextIndex = currentIndex + 1;
+    if (e.key === 'ArrowUp') nextIndex = currentIndex - columns;
+    if (e.key === 'ArrowDown') nextIndex = currentIndex + columns;
+
+    // Moving up from the first row returns to the search input
+    if (nextIndex < 0 && e.key === 'ArrowUp') {
+      this.activeSearchBox?.querySelector('.search-input')?.focus();
+      return;
+    }
+
+    nextIndex = Math.max(0, Math.min(cards.length - 1, nextIndex));
+    this.focusCard(cards[nextIndex]);
+  }
+
+  /**
+   * Show or hide the hero and content rows while search results are shown
+   */
+  togglePageSections(visible) {
+    const showHero = Boolean(AppConfig.views[AppState.currentView]?.showHero) && Boolean(this.getHeroContent());
+
+    document.querySelector('.content-rows')?.classList.toggle('hidden', !visible);
+    document.querySelector('.hero')?.classList.toggle('hidden', !visible || !showHero);
+
+    // Previews on hidden sections stop until they are shown again
+    if (visible && showHero) {
+      this.resumeActiveContent();
+    } else {
+      this.pauseActiveContent();
+    }
+  }
+
+  /**
+   * Get the filters for a scope ('search' or a category ID)
+   */
+  getFilters(scope) {
+    if (!AppState.activeFilters[scope]) {
+      AppState.activeFilters[scope] = ContentFilters.createEmptyFilters();
+    }
+    return AppState.activeFilters[scope];
+  }
+
+  /**
+   * Get category items limited to the content type of the current view
+   */
+  getViewContentByCategory(categoryId) {
+    const contentType = AppConfig.views[AppState.currentView]?.contentType;
+    const items = this.getContentByCategory(categoryId);
+    return contentType ? items.filter(item => item.type === contentType) : items;
+  }
+
+  /**
+   * Get category items for the current view with that category's filters applied
+   */
+  getFilteredContentByCategory(categoryId) {
+    return ContentFilters.apply(this.getViewContentByCategory(categoryId), AppState.activeFilters[categoryId]);
+  }
+
+  /**
+   * Setup a button that shows and hides a filter panel
+   */
+  setupFilterToggle(toggleButton, panel) {
+    toggleButton.addEventListener('click', () => {
+      const isOpen = !panel.classList.contains('hidden');
+      panel.classList.toggle('hidden', isOpen);
+      toggleButton.setAttribute('aria-expanded', String(!isOpen));
+    });
+  }
+
+  /**
+   * Render the filter panel for a set of items
+   */
+  renderFilterPanel(panel, items, scope, onChange) {
+    const filters = this.getFilters(scope);
+    const genres = Array.from(new Set(items.flatMap(item => item.genres || []))).sort();
+    const typeLabels = { 'movie': 'Movies', 'tv-show': 'TV Shows' };
+
+    panel.innerHTML = `
+      <div class="filter-panel-inner flex flex-wrap gap-6 p-4 mb-6 rounded">
+        <fieldset class="filter-group" data-facet="genres">
+          <legend class="filter-legend">Genre</legend>
+          <div class="filter-options flex flex-wrap gap-2">
+            ${genres.map(genre => `
+              <label class="filter-option">
+                <input type="checkbox" value="${genre}" ${filters.genres.includes(genre) ? 'checked' : ''}>
+                <span>${genre}</span>
+                <span class="filter-count" data-count-for="${genre}"></span>
+              </label>
+            `).join('')}
+          </div>
+        </fieldset>
+        <fieldset class="filter-group" data-facet="types">
+          <legend class="filter-legend">Type</legend>
+          <div class="filter-options flex flex-wrap gap-2">
+            ${Object.keys(typeLabels).map(type => `
+              <label class="filter-option">
+                <input type="checkbox" value="${type}" ${filters.types.includes(type) ? 'checked' : ''}>
+                <span>${typeLabels[type]}</span>
+                <span class="filter-count" data-count-for="${type}"></span>
+              </label>
+            `).join('')}
+          </div>
+        </fieldset>
+        <fieldset class="filter-group" data-facet="years">
+          <legend class="filter-legend">Year</legend>
+          <div class="flex items-center gap-2">
+            <input type="number" class="filter-year" name="yearFrom" aria-label="From year" value="${filters.yearFrom ?? ''}">
+            <span aria-hidden="true">–</span>
+            <input type="number" class="filter-year" name="yearTo" aria-label="To year" value="${filters.yearTo ?? ''}">
+          </div>
+        </fieldset>
+        <fieldset class="filter-group" data-facet="minRating">
+          <legend class="filter-legend">Rating</legend>
+          <select class="filter-rating" name="minRating" aria-label="Minimum rating">
+            <option value="">Any rating</option>
+            ${ContentFilters.ratingThresholds.map(threshold => `
+              <option value="${threshold}" ${filters.minRating === threshold ? 'selected' : ''}>${threshold}+</option>
+            `).join('')}
+          </select>
+        </fieldset>
+        <button type="button" class="filter-clear self-end text-sm underline text-gray-300 hover:text-white">Clear filters</button>
+      </div>
+    `;
+
+    const handleChange = () => {
+      this.updateFilterCounts(panel, items, scope);
+      onChange();
+    };
+
+    panel.querySelectorAll('[data-facet="genres"] input, [data-facet="types"] input').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const facet = checkbox.closest('.filter-group').dataset.facet;
+        filters[facet] = checkbox.checked
+          ? [...filters[facet], checkbox.value]
+          : filters[facet].filter(value => value !== checkbox.value);
+        handleChange();
+      });
+    });
+
+    panel.querySelectorAll('.filter-year').forEach(input => {
+      input.addEventListener('change', () => {
+        const year = parseInt(input.value, 10);
+        filters[input.name] = Number.isNaN(year) ? null : year;
+        handleChange();
+      });
+    });
+
+    panel.querySelector('.filter-rating').addEventListener('change', (e) => {
+      filters.minRating = e.target.value ? Number(e.target.value) : null;
+      handleChange();
+    });
+
+    panel.querySelector('.filter-clear').addEventListener('click', () => {
+      AppState.activeFilters[scope] = ContentFilters.createEmptyFilters();
+      this.renderFilterPanel(panel, items, scope, onChange);
+      onChange();
+    });
+
+    this.updateFilterCounts(panel, items, scope);
+  }
+
+  /**
+   * Update the live counts shown next to each filter value
+   */
+  updateFilterCounts(panel, items, scope) {
+    const filters = this.getFilters(scope);
+    const counts = ContentFilters.getFacetCounts(items, filters);
+
+    ['genres', 'types'].forEach(facet => {
+      panel.querySelectorAll(`[data-facet="${facet}"] .filter-option`).forEach(option => {
+        const checkbox = option.querySelector('input');
+        const count = counts[facet][checkbox.value] || 0;
+        option.querySelector('.filter-count').textContent = `(${count})`;
+        checkbox.disabled = count === 0 && !checkbox.checked;
+        option.classList.toggle('disabled', checkbox.disabled);
+      });
+    });
+
+    panel.querySelectorAll('.filter-rating option[value]:not([value=""])').forEach(option => {
+      option.textContent = `${option.value}+ (${counts.ratings[option.value]})`;
+    });
+
+    panel.querySelectorAll('.filter-year').forEach(input => {
+      const bound = input.name === 'yearFrom' ? counts.years.min : counts.years.max;
+      input.placeholder = bound !== null ? String(bound) : '';
+    });
+  }
+
   /**
    * Setup hero section
    */
@@ -191,21 +782,110 @@ class NetflixApp {
     // Hero button event listeners
     if (playButton) {
       playButton.addEventListener('click', () => {
-        const heroData = AppState.contentData?.hero;
+        const heroData = this.getHeroContent();
         this.handlePlayAction(heroData?.id || 'hero-featured');
       });
     }
 
     if (infoButton) {
       infoButton.addEventListener('click', () => {
-        const heroData = AppState.contentData?.hero;
+        const heroData = this.getHeroContent();
         this.handleInfoAction(heroData?.id || 'hero-featured');
       });
     }
+
+    this.setupHeroCarousel(heroSection);
+    this.setupHeroTrailer(heroSection);
     
     console.log('🦸 Hero section setup complete');
   }
 
+  /**
+   * Setup the featured title controls and what pauses the rotation
+   */
+  setupHeroCarousel(heroSection) {
+    const controls = heroSection.querySelector('.hero-carousel-controls');
+
+    if (!controls) {
+      console.warn('⚠️ Hero carousel controls not found');
+      return;
+    }
+
+    controls.addEventListener('click', (e) => {
+      const dot = e.target.closest('.hero-dot');
+      if (dot) {
+        this.showHeroSlide(Number(dot.dataset.index), { announce: true });
+      } else if (e.target.closest('.hero-prev')) {
+        this.showHeroSlide(this.heroIndex - 1, { announce: true });
+      } else if (e.target.closest('.hero-next')) {
+        this.showHeroSlide(this.heroIndex + 1, { announce: true });
+      } else if (e.target.closest('.hero-pause')) {
+        this.setHeroPaused('user', !this.heroPauseReasons.has('user'));
+      }
+    });
+
+    // Hold the current title while the pointer or keyboard focus is on the hero
+    heroSection.addEventListener('mouseenter', () => this.setHeroPaused('hover', true));
+    heroSection.addEventListener('mouseleave', () => this.setHeroPaused('hover', false));
+    heroSection.addEventListener('focusin', () => this.setHeroPaused('focus', true));
+    heroSection.addEventListener('focusout', (e) => {
+      if (!heroSection.contains(e.relatedTarget)) {
+        this.setHeroPaused('focus', false);
+      }
+    });
+
+    if (document.hidden) {
+      this.heroPauseReasons.add('hidden');
+    }
+
+    // Start paused for people who have asked for less motion; the pause button still resumes it
+    if (this.prefersReducedMotion()) {
+      this.heroPauseReasons.add('user');
+    }
+    this.updateHeroPauseButton();
+  }
+
+  /**
+   * Setup the hero trailer and its mute and replay controls
+   */
+  setupHeroTrailer(heroSection) {
+    const trailer = heroSection.querySelector('.hero-trailer');
+    const controls = heroSection.querySelector('.hero-trailer-controls');
+
+    if (!trailer || !controls) {
+      console.warn('⚠️ Hero trailer elements not found');
+      return;
+    }
+
+    // Swap the backdrop for the trailer only once frames are actually showing
+    trailer.addEventListener('playing', () => {
+      heroSection.classList.add('trailer-playing');
+      controls.classList.remove('hidden');
+    });
+
+    trailer.addEventListener('error', () => {
+      const trailerUrl = trailer.getAttribute('src');
+      if (!trailerUrl) return;
+
+      console.warn(`⚠️ Trailer failed to load, keeping the backdrop: ${trailerUrl}`);
+      this.failedTrailerUrls.add(trailerUrl);
+      this.stopHeroTrailer();
+    });
+
+    controls.addEventListener('click', (e) => {
+      if (e.target.closest('.hero-trailer-mute')) {
+        this.heroTrailerMuted = !this.heroTrailerMuted;
+        trailer.muted = this.heroTrailerMuted;
+        this.updateHeroTrailerMuteButton();
+      } else if (e.target.closest('.hero-trailer-replay')) {
+        trailer.currentTime = 0;
+        this.playPreview(trailer);
+      }
+    });
+
+    this.updateHeroTrailerMuteButton();
+  }
+
   /**
    * Setup modal system
    */
@@ -224,16 +904,42 @@ class NetflixApp {
       }
     });
 
-    // Close modal with escape key
+    // Escape steps back through More Like This titles, then closes the modal
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && AppState.currentModal) {
-        this.closeModal();
+        e.preventDefault();
+        this.stepBackModal();
       }
     });
     
     console.log('🎭 Modal system setup complete');
   }
 
+  /**
+   * Setup video player overlay
+   */
+  setupVideoPlayer() {
+    const playerOverlay = document.querySelector('.player-overlay');
+
+    if (!playerOverlay) {
+      console.warn('⚠️ Video player overlay not found');
+      return;
+    }
+
+    this.videoPlayer = new VideoPlayer(playerOverlay, {
+      onProgress: (content, { position, duration }) => {
+        this.recordPlaybackProgress(content.id, position, duration);
+      },
+      onClose: (content, { position, duration }) => {
+        this.recordPlaybackProgress(content.id, position, duration);
+        this.refreshContinueWatchingRow();
+        this.resumeActiveContent();
+      }
+    });
+    
+    console.log('📺 Video player setup complete');
+  }
+
   /**
    * Setup global event listeners
    */
@@ -243,11 +949,19 @@ class NetflixApp {
       this.handleResize();
     }, 250));
 
+    // Card previews are placed against the viewport, so any scroll or resize closes them
+    window.addEventListener('scroll', () => this.dismissCardPreview(), true);
+    window.addEventListener('resize', () => this.dismissCardPreview());
+
     // Handle visibility change (tab switching)
     document.addEventListener('visibilitychange', () => {
+      this.setHeroPaused('hidden', document.hidden);
+
       if (document.hidden) {
         // Pause any ongoing animations or videos
         this.pauseActiveContent();
+      } else {
+        this.resumeActiveContent();
       }
     });
     
@@ -267,70 +981,367 @@ class NetflixApp {
   }
 
   /**
-   * Load content data from JSON file
+   * Register the service worker that keeps content for offline use, and show
+   * the offline banner while the network is unavailable
    */
-  async loadContentData() {
-    try {
-      AppState.isLoading = true;
-      console.log('📊 Loading content data...');
-      
-      const response = await fetch('./data/content.json');
-      if (!response.ok) {
-        throw new Error(`Failed to load content: ${response.status} ${response.statusText}`);
-      }
-      
-      const contentData = await response.json();
-      
-      // Validate content data structure
-      if (!this.validateContentData(contentData)) {
-        throw new Error('Invalid content data structure');
-      }
-      
-      AppState.contentData = contentData;
-      
-      // Load hero content
-      this.loadHeroContent();
-      
-      console.log('✅ Content data loaded successfully');
-      console.log(`📊 Loaded ${this.getTotalContentCount()} content items across ${contentData.categories.length} categories`);
-    } catch (error) {
-      console.error('❌ Failed to load content data:', error);
-      this.handleContentLoadError(error);
-    } finally {
-      AppState.isLoading = false;
+  setupOfflineMode() {
+    this.registerServiceWorker();
+
+    const banner = document.querySelector('.offline-banner');
+    const dismissButton = banner ? banner.querySelector('.offline-banner-dismiss') : null;
+
+    if (!banner || !dismissButton) {
+      console.warn('⚠️ Offline banner not found');
+      return;
     }
+
+    dismissButton.addEventListener('click', () => {
+      this.offlineBannerDismissed = true;
+      this.updateOfflineBanner();
+    });
+
+    // A dismissed banner comes back the next time the connection drops
+    const handleConnectionChange = () => {
+      this.offlineBannerDismissed = false;
+      this.updateOfflineBanner();
+      console.log(navigator.onLine ? '🌐 Back online' : '📴 Offline, showing saved content');
+    };
+    window.addEventListener('online', handleConnectionChange);
+    window.addEventListener('offline', handleConnectionChange);
+
+    this.updateOfflineBanner();
   }
 
   /**
-   * Validate content data structure
+   * Register the service worker, where the browser supports one
    */
-  validateContentData(data) {
-    if (!data || typeof data !== 'object') {
+  async registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+      console.warn('⚠️ Service workers not supported, content will not be saved for offline use');
+      return;
+    }
+
+    try {
+      await navigator.serviceWorker.register('sw.js');
+      console.log('📦 Service worker registered for offline use');
+    } catch (error) {
+      console.error('❌ Service worker registration failed:', error);
+    }
+  }
+
+  /**
+   * Show the offline banner while offline, unless the user dismissed it
+   */
+  updateOfflineBanner() {
+    const banner = document.querySelector('.offline-banner');
+    if (!banner) return;
+
+    const message = banner.querySelector('.offline-banner-message');
+    const wasShown = !banner.classList.contains('hidden');
+    const show = !navigator.onLine && !this.offlineBannerDismissed;
+
+    banner.classList.toggle('hidden', !show);
+
+    if (!show) {
+      message.textContent = '';
+    } else if (!wasShown) {
+      // Fill the status once the banner is visible, so screen readers announce it
+      requestAnimationFrame(() => {
+        if (!banner.classList.contains('hidden')) {
+          message.textContent = "You're offline, showing saved content";
+        }
+      });
+    }
+  }
+
+  /**
+   * Load the catalog from the configured content source, or at once from the
+   * copy saved on an earlier visit while the source is checked for changes
+   */
+  async loadContentData() {
+    try {
+      AppState.isLoading = true;
+      console.log('📊 Loading content data...');
+      
+      // Paged sources answer with the catalog; each category's items come a page at a time
+      const config = this.getContentSourceConfig();
+      this.contentSource = ContentSource.create(config);
+      this.catalogCacheKey = CatalogCache.getKey(config);
+      
+      const cached = await this.readCachedCatalog();
+      if (cached && this.validateContentData(CatalogCache.copy(cached.catalog))) {
+        this.catalogCacheEntry = cached;
+        this.applyContentData(CatalogCache.copy(cached.catalog));
+        console.log('⚡ Content data loaded from the saved catalog');
+        
+        if (!CatalogCache.isFresh(cached, AppConfig.catalogCache.maxAge, Date.now())) {
+          this.revalidateContentData();
+        }
+        return;
+      }
+      
+      const { catalog, etag } = await this.loadWithRetries('the catalog', async () => {
+        const result = await this.contentSource.loadCatalog();
+        
+        // Validate content data structure
+        if (!this.validateContentData(result.catalog)) {
+          throw new Error('Invalid content data structure');
+        }
+        
+        return result;
+      });
+      
+      this.saveCachedCatalog(CatalogCache.createEntry(this.catalogCacheKey, catalog, etag, Date.now()));
+      this.applyContentData(catalog);
+    } catch (error) {
+      console.error('❌ Failed to load content data:', error);
+      this.handleContentLoadError(error);
+    } finally {
+      AppState.isLoading = false;
+    }
+  }
+
+  /**
+   * Make a validated catalog the app's content and show its featured titles
+   */
+  applyContentData(contentData) {
+    // Turn free-text durations into structured runtimes
+    this.normalizeContentData(contentData);
+    
+    AppState.contentData = contentData;
+    AppState.contentLoadFailed = false;
+    AppState.categoryPages = Object.fromEntries(contentData.categories
+      .filter(category => category.paged)
+      .map(category => [category.id, { cursor: null, loaded: false, loading: false, complete: false, failed: false }]));
+    AppState.loadedTitles = {};
+    this.sourceSearchQuery = null;
+    
+    // Load hero content
+    this.loadHeroContent();
+    
+    console.log('✅ Content data loaded successfully');
+    console.log(`📊 Loaded ${this.getTotalContentCount()} content items across ${contentData.categories.length} categories`);
+  }
+
+  /**
+   * Run a content request, retrying network failures and server errors with
+   * exponential backoff and jitter. Each failed attempt is logged with its reason.
+   */
+  async loadWithRetries(description, request) {
+    const { retries } = AppConfig.contentRetry;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        const { retryable, reason } = ContentRetry.describeFailure(error);
+        const failure = `Loading ${description} failed on attempt ${attempt} of ${retries + 1}: ${reason}`;
+
+        if (!retryable || attempt > retries) {
+          console.error(`❌ ${failure}${retryable ? '' : ', not retrying'}`);
+          throw error;
+        }
+
+        const delay = ContentRetry.getDelay(attempt, AppConfig.contentRetry);
+        console.warn(`⚠️ ${failure}, retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Check the content source for a newer catalog than the one on screen, and
+   * show it in place if the data changed
+   * @returns {Promise<boolean>} Whether the catalog changed
+   */
+  revalidateContentData({ force = false } = {}) {
+    if (!this.catalogRevalidation) {
+      this.catalogRevalidation = this.checkForNewContent(force).finally(() => {
+        this.catalogRevalidation = null;
+      });
+    }
+
+    return this.catalogRevalidation;
+  }
+
+  /**
+   * Load the catalog again, unless the source confirms the saved ETag is current
+   */
+  async checkForNewContent(force) {
+    const entry = this.catalogCacheEntry;
+    if (!this.contentSource || !entry) {
+      return false;
+    }
+
+    try {
+      // A forced refresh skips the ETag, so the whole catalog comes back
+      const result = await this.contentSource.loadCatalog({ etag: force ? null : entry.etag });
+
+      if (!CatalogCache.hasChanged(entry, result)) {
+        this.saveCachedCatalog({ ...entry, etag: result.etag || entry.etag, savedAt: Date.now() });
+        console.log('✅ Content data is up to date');
+        return false;
+      }
+
+      if (!this.validateContentData(result.catalog)) {
+        throw new Error('Invalid content data structure');
+      }
+
+      this.saveCachedCatalog(CatalogCache.createEntry(entry.key, result.catalog, result.etag, Date.now()));
+      this.applyContentData(result.catalog);
+      this.loadMyListFromStorage();
+      this.patchCurrentView();
+      console.log('🔄 Content data updated');
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Unable to check for new content:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the whole catalog from the content source again, whatever the
+   * saved copy's age, and show it if it changed
+   * @returns {Promise<boolean>} Whether the catalog changed
+   */
+  refreshContentData() {
+    return this.revalidateContentData({ force: true });
+  }
+
+  /**
+   * Re-render the view on screen with new content, keeping the scroll
+   * position and the focused title
+   */
+  patchCurrentView() {
+    // The router hasn't rendered a view yet, and will render the new content when it does
+    if (!this.renderedViewPath || !AppConfig.views[AppState.currentView]) return;
+
+    const scrollY = window.scrollY;
+    const focusedCard = document.activeElement ? document.activeElement.closest('.content-card') : null;
+
+    this.renderView(AppConfig.views[AppState.currentView]);
+    window.scrollTo(0, scrollY);
+
+    if (focusedCard) {
+      this.focusCard(document.querySelector(`.content-card[data-content-id="${focusedCard.dataset.contentId}"]`), { preventScroll: true });
+    }
+  }
+
+  /**
+   * Open the database saved catalogs are kept in
+   */
+  openCatalogDatabase() {
+    if (!this.catalogDatabase) {
+      this.catalogDatabase = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CatalogCache.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(CatalogCache.storeName, { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.catalogDatabase;
+  }
+
+  /**
+   * Read the catalog saved for the content source, or null when there is none
+   */
+  async readCachedCatalog() {
+    if (!this.catalogCacheKey || typeof indexedDB === 'undefined') return null;
+
+    try {
+      const database = await this.openCatalogDatabase();
+      return await new Promise((resolve, reject) => {
+        const request = database.transaction(CatalogCache.storeName)
+          .objectStore(CatalogCache.storeName)
+          .get(this.catalogCacheKey);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+      });
+    } catch (error) {
+      console.warn('⚠️ Unable to read the saved catalog:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Keep a catalog as the one on screen, and save it for the next visit
+   */
+  async saveCachedCatalog(entry) {
+    this.catalogCacheEntry = entry;
+    if (!entry.key || typeof indexedDB === 'undefined') return;
+
+    try {
+      const database = await this.openCatalogDatabase();
+      await new Promise((resolve, reject) => {
+        const transaction = database.transaction(CatalogCache.storeName, 'readwrite');
+        transaction.objectStore(CatalogCache.storeName).put(entry);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.warn('⚠️ Unable to save the catalog:', error);
+    }
+  }
+
+  /**
+   * Validate content data structure
+   */
+  validateContentData(data) {
+    if (!data || typeof data !== 'object') {
       console.error('Content data is not a valid object');
       return false;
     }
 
-    // Check for required hero section
-    if (!data.hero || !data.hero.id || !data.hero.title) {
+    // Check for the featured titles, or the single hero of older content data
+    const featured = HeroCarousel.getFeatured(data);
+    if (featured.length === 0) {
       console.error('Hero section is missing or invalid');
       return false;
     }
 
+    for (const item of featured) {
+      if (!item || !item.id || !item.title) {
+        console.error('Featured title is missing an id or title');
+        return false;
+      }
+
+      if (!this.validateSeasons(item)) {
+        console.error(`Invalid seasons in featured title ${item.id}`);
+        return false;
+      }
+
+      if (!this.validateRuntime(item)) {
+        console.error(`Invalid runtime in featured title ${item.id}`);
+        return false;
+      }
+
+      if (!this.validateMaturityRating(item)) {
+        console.error(`Invalid maturity rating in featured title ${item.id}`);
+        return false;
+      }
+
+      if (!this.validateOptionalUrl(item, 'videoUrl') || !this.validateOptionalUrl(item, 'trailerUrl')) {
+        console.error(`Invalid video in featured title ${item.id}`);
+        return false;
+      }
+    }
+
     // Check for categories array
     if (!Array.isArray(data.categories)) {
       console.error('Categories is not an array');
       return false;
     }
 
-    // Validate each category
+    // Validate each category. Paged categories have no items until their pages load.
     for (const category of data.categories) {
-      if (!category.id || !category.title || !Array.isArray(category.items)) {
+      if (!category.id || !category.title || !(Array.isArray(category.items) || category.paged === true)) {
         console.error(`Invalid category structure: ${category.id}`);
         return false;
       }
 
       // Validate content items in category
-      for (const item of category.items) {
+      for (const item of category.items || []) {
         if (!this.validateContentItem(item)) {
           console.error(`Invalid content item in category ${category.id}:`, item);
           return false;
@@ -370,125 +1381,521 @@ class NetflixApp {
       return false;
     }
 
+    // Optional fields
+    if (!this.validateOptionalUrl(item, 'videoUrl') || !this.validateOptionalUrl(item, 'trailerUrl')) {
+      return false;
+    }
+
+    if (!this.validateRuntime(item)) {
+      return false;
+    }
+
+    if (!this.validateMaturityRating(item)) {
+      return false;
+    }
+
+    // Older TV items have no seasons and keep loading as before
+    if (!this.validateSeasons(item)) {
+      return false;
+    }
+
     return true;
   }
 
   /**
-   * Handle content loading errors
+   * Validate the optional maturity rating of an item. Unrated items still
+   * load but are hidden from Kids profiles.
    */
-  handleContentLoadError(error) {
-    console.error('Content loading failed, using fallback data:', error);
-    
-    // Use placeholder content as fallback
-    AppState.contentData = this.getPlaceholderContent();
-    this.loadHeroContent();
-    
-    // Show user notification
-    this.showNotification('Unable to load content. Using offline data.', 'warning');
+  validateMaturityRating(item) {
+    if (item.maturityRating !== undefined && !MaturityRatings.isValid(item.maturityRating)) {
+      const ratings = MaturityLevels.flatMap(level => level.ratings).join(', ');
+      console.error(`Invalid maturity rating "${item.maturityRating}" for ${item.id}: expected one of ${ratings}`);
+      return false;
+    }
+
+    return true;
   }
 
   /**
-   * Get total content count across all categories
+   * Validate the optional duration string and structured runtime of an item
    */
-  getTotalContentCount() {
-    if (!AppState.contentData || !AppState.contentData.categories) {
-      return 0;
+  validateRuntime(item) {
+    if (item.duration !== undefined && !Runtime.parse(item.duration)) {
+      const examples = Runtime.examples.map(example => `"${example}"`).join(', ');
+      console.error(`Invalid duration "${item.duration}" for ${item.id}: expected a length such as ${examples}`);
+      return false;
     }
-    
-    return AppState.contentData.categories.reduce((total, category) => {
-      return total + (category.items ? category.items.length : 0);
-    }, 0);
+
+    if (item.runtime !== undefined && !Runtime.isValid(item.runtime)) {
+      console.error(`Invalid runtime for ${item.id}: expected { minutes } or { seasons, episodeMinutes } as positive whole numbers`);
+      return false;
+    }
+
+    return true;
   }
 
   /**
-   * Get content by ID across all categories
+   * Add a structured runtime to the featured titles and every content item
    */
-  getContentById(contentId) {
-    if (!AppState.contentData) {
-      return null;
-    }
+  normalizeContentData(data) {
+    // Paged categories start empty and fill as their pages load
+    data.categories.forEach(category => {
+      if (!Array.isArray(category.items)) {
+        category.items = [];
+      }
+    });
 
-    // Check hero content first
-    if (AppState.contentData.hero && AppState.contentData.hero.id === contentId) {
-      return AppState.contentData.hero;
-    }
+    this.normalizeContentItems([...HeroCarousel.getFeatured(data), ...data.categories.flatMap(category => category.items)]);
+  }
 
-    // Search through all categories
-    for (const category of AppState.contentData.categories) {
-      const item = category.items.find(item => item.id === contentId);
-      if (item) {
-        return item;
+  /**
+   * Add a structured runtime to each of a list of content items
+   */
+  normalizeContentItems(items) {
+    items.forEach(item => {
+      const runtime = Runtime.normalize(item.runtime !== undefined ? item.runtime : item.duration);
+      if (runtime) {
+        item.runtime = runtime;
       }
+    });
+  }
+
+  /**
+   * Check that an optional URL field is either absent or a non-empty string
+   */
+  validateOptionalUrl(item, field) {
+    if (item[field] !== undefined && (typeof item[field] !== 'string' || item[field].trim() === '')) {
+      console.error(`Invalid ${field} value`);
+      return false;
     }
+    return true;
+  }
 
-    return null;
+  /**
+   * Get the display text for an item's runtime, or '' when it has none
+   */
+  formatRuntime(item) {
+    // Items saved to My List before runtimes existed only have a duration
+    return Runtime.format(item.runtime || Runtime.parse(item.duration));
   }
 
   /**
-   * Get content by category
+   * Validate the seasons -> episodes structure of a TV show
    */
-  getContentByCategory(categoryId) {
-    if (!AppState.contentData || !AppState.contentData.categories) {
-      return [];
+  validateSeasons(item) {
+    const error = Seasons.getError(item);
+    if (error) {
+      console.error(error);
+      return false;
     }
 
-    const category = AppState.contentData.categories.find(cat => cat.id === categoryId);
-    return category ? category.items : [];
+    return true;
   }
 
   /**
-   * Search content by title or description
+   * Handle content loading errors
    */
-  searchContent(query) {
-    if (!AppState.contentData || !query) {
-      return [];
-    }
+  handleContentLoadError(error) {
+    console.error('Content loading failed, using fallback data:', error);
+    
+    // Use placeholder content as fallback, while the content area offers to try again
+    AppState.contentData = this.getPlaceholderContent();
+    AppState.categoryPages = {};
+    AppState.contentLoadFailed = true;
+    this.loadHeroContent();
+    this.patchCurrentView();
+  }
 
-    const searchTerm = query.toLowerCase();
-    const results = [];
+  /**
+   * Show that the titles couldn't be loaded, with a button to try again
+   */
+  renderContentLoadError() {
+    const contentContainer = document.getElementById('content-container');
+    if (!contentContainer) return;
 
-    // Search through all categories
-    for (const category of AppState.contentData.categories) {
-      for (const item of category.items) {
-        if (item.title.toLowerCase().includes(searchTerm) || 
-            item.description.toLowerCase().includes(searchTerm) ||
-            item.genres.some(genre => genre.toLowerCase().includes(searchTerm))) {
-          results.push(item);
-        }
-      }
-    }
+    contentContainer.innerHTML = `
+      <div class="content-load-error text-center py-24" role="alert">
+        <p class="text-lg text-gray-400">
+          Couldn't load titles —
+          <button type="button" class="content-load-retry">Retry</button>
+        </p>
+      </div>
+    `;
 
-    return results;
+    contentContainer.querySelector('.content-load-retry').addEventListener('click', () => this.retryContentLoad());
   }
 
   /**
-   * Add content to My List
+   * Load the catalog again after it failed, and show the current view with it
    */
-  addToMyList(contentId) {
-    const content = this.getContentById(contentId);
-    if (!content) {
-      console.error('Content not found:', contentId);
-      return false;
+  async retryContentLoad() {
+    const button = document.querySelector('.content-load-retry');
+    const hadFocus = button !== null && button === document.activeElement;
+
+    if (button) {
+      button.disabled = true;
+      button.textContent = 'Retrying…';
     }
 
-    const myListCategory = AppState.contentData.categories.find(cat => cat.id === 'my-list');
-    if (!myListCategory) {
-      console.error('My List category not found');
+    console.log('🔁 Retrying content load...');
+    await this.loadContentData();
+
+    if (AppState.contentLoadFailed) {
+      if (hadFocus) {
+        document.querySelector('.content-load-retry')?.focus();
+      }
       return false;
     }
 
-    // Check if already in list
-    const alreadyInList = myListCategory.items.some(item => item.id === contentId);
-    if (alreadyInList) {
-      console.log('Content already in My List:', contentId);
-      return false;
+    this.loadProfileData();
+    this.patchCurrentView();
+
+    if (hadFocus) {
+      this.focusCard(document.querySelector('#content-container .content-card'));
     }
 
-    // Add to My List
-    myListCategory.items.push(content);
-    console.log('Added to My List:', content.title);
-    
-    // Save to localStorage for persistence
+    return true;
+  }
+
+  /**
+   * Get the content source config. A content API URL set in the page, as
+   * the local content server does, switches it to a REST source.
+   */
+  getContentSourceConfig() {
+    const meta = document.querySelector('meta[name="content-api"]');
+    const url = meta ? meta.content.trim() : '';
+    return url ? { ...AppConfig.contentSource, type: 'rest', url } : AppConfig.contentSource;
+  }
+
+  /**
+   * Check whether a category still has pages to load from the content API
+   */
+  isCategoryPending(categoryId) {
+    const pages = AppState.categoryPages[categoryId];
+    return Boolean(pages) && !pages.complete;
+  }
+
+  /**
+   * Load the next page of a paged category and add its titles to the row
+   * @returns {Promise<boolean>} Whether a page was loaded
+   */
+  async loadCategoryPage(categoryId) {
+    const pages = AppState.categoryPages[categoryId];
+    const category = AppState.contentData.categories.find(cat => cat.id === categoryId);
+    if (!pages || !category || pages.loading || pages.complete) {
+      return false;
+    }
+
+    pages.loading = true;
+    this.renderCategoryPage(categoryId);
+
+    try {
+      const page = await this.loadWithRetries(`a page of ${categoryId}`, () => (
+        this.contentSource.loadPage(categoryId, pages.cursor, AppConfig.categoryPages.pageSize)
+      ));
+
+      // Skip invalid or repeated titles rather than failing the whole page
+      const knownIds = new Set(category.items.map(item => item.id));
+      const items = page.items.filter(item => {
+        if (!item || !this.validateContentItem(item)) {
+          console.error(`Invalid content item in category ${categoryId}:`, item);
+          return false;
+        }
+        return !knownIds.has(item.id);
+      });
+
+      this.normalizeContentItems(items);
+      category.items.push(...items);
+
+      // Titles in progress join Continue Watching once their page has loaded
+      if (items.some(item => this.getPlaybackProgress(item.id))) {
+        this.refreshContinueWatchingRow();
+      }
+
+      pages.cursor = page.nextCursor;
+      pages.loaded = true;
+      pages.complete = !page.nextCursor;
+      pages.failed = false;
+
+      console.log(`📄 Loaded ${items.length} titles for ${categoryId}${pages.complete ? ', the last page' : ''}`);
+      return true;
+    } catch (error) {
+      // The row offers to try again, and tries by itself the next time its view is shown
+      pages.failed = true;
+      console.error('❌ Failed to load a page of titles:', error);
+      return false;
+    } finally {
+      pages.loading = false;
+      this.renderCategoryPage(categoryId);
+    }
+  }
+
+  /**
+   * Get total content count across all categories
+   */
+  getTotalContentCount() {
+    if (!AppState.contentData || !AppState.contentData.categories) {
+      return 0;
+    }
+    
+    return AppState.contentData.categories.reduce((total, category) => {
+      return total + (category.items ? category.items.length : 0);
+    }, 0);
+  }
+
+  /**
+   * Get content by ID across all categories
+   */
+  getContentById(contentId) {
+    if (!AppState.contentData) {
+      return null;
+    }
+
+    // Check the featured titles first
+    const featuredItem = HeroCarousel.getFeatured(AppState.contentData).find(item => item.id === contentId);
+    if (featuredItem) {
+      return this.isContentAllowed(featuredItem) ? featuredItem : null;
+    }
+
+    // Search through all categories
+    for (const category of AppState.contentData.categories) {
+      const item = category.items.find(item => item.id === contentId);
+      if (item) {
+        // Titles above a Kids profile's limit don't exist for it, even by URL
+        return this.isContentAllowed(item) ? item : null;
+      }
+    }
+
+    // Titles loaded one at a time for links to pages that haven't loaded yet
+    const loadedTitle = AppState.loadedTitles[contentId];
+    if (loadedTitle) {
+      return this.isContentAllowed(loadedTitle) ? loadedTitle : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether any paged category still has pages to load
+   */
+  hasPendingPages() {
+    return Object.keys(AppState.categoryPages).some(categoryId => this.isCategoryPending(categoryId));
+  }
+
+  /**
+   * Check whether a title may be on a page of a paged category that hasn't loaded yet
+   */
+  canLoadTitle(contentId) {
+    return !AppState.loadedTitles[contentId] && this.hasPendingPages();
+  }
+
+  /**
+   * Keep titles the content source returned outside a page, so lookups and
+   * My List find them. Invalid titles are skipped.
+   */
+  addLoadedTitles(items) {
+    const titles = items.filter(item => {
+      if (!item || !this.validateContentItem(item)) {
+        console.error('Invalid content item from the content source:', item);
+        return false;
+      }
+      return !AppState.loadedTitles[item.id];
+    });
+
+    this.normalizeContentItems(titles);
+    titles.forEach(title => {
+      AppState.loadedTitles[title.id] = title;
+    });
+  }
+
+  /**
+   * Get content by ID, asking the content source for a title no loaded page has
+   * @returns {Promise<Object|null>}
+   */
+  async findContentById(contentId) {
+    if (this.getContentById(contentId) || !this.canLoadTitle(contentId)) {
+      return this.getContentById(contentId);
+    }
+
+    try {
+      const title = await this.loadWithRetries(`title ${contentId}`, () => this.contentSource.loadTitle(contentId));
+      if (title && title.id === contentId) {
+        this.addLoadedTitles([title]);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load a title:', error);
+    }
+
+    return this.getContentById(contentId);
+  }
+
+  /**
+   * Get the active profile's maximum maturity rating, or null when unlimited
+   */
+  getMaturityLimit() {
+    const profile = this.getActiveProfile();
+    return profile && profile.kids ? profile.maxMaturityRating : null;
+  }
+
+  /**
+   * Check whether the active profile may see a title
+   */
+  isContentAllowed(item) {
+    return MaturityRatings.isAllowed(item.maturityRating, this.getMaturityLimit());
+  }
+
+  /**
+   * Get content by category
+   */
+  getContentByCategory(categoryId) {
+    if (!AppState.contentData || !AppState.contentData.categories) {
+      return [];
+    }
+
+    // Continue Watching is built from playback progress, not content data
+    if (categoryId === AppConfig.continueWatching.categoryId) {
+      return this.getContinueWatchingItems();
+    }
+
+    if (categoryId.startsWith(AppConfig.recommendations.categoryPrefix)) {
+      const row = this.getRecommendationRows().find(recommendationRow => recommendationRow.id === categoryId);
+      return row ? row.items : [];
+    }
+
+    const category = AppState.contentData.categories.find(cat => cat.id === categoryId);
+    return category ? category.items.filter(item => this.isContentAllowed(item)) : [];
+  }
+
+  /**
+   * Get every content item across all categories
+   */
+  getAllContentItems() {
+    if (!AppState.contentData || !AppState.contentData.categories) {
+      return [];
+    }
+
+    return AppState.contentData.categories
+      .flatMap(category => category.items || [])
+      .filter(item => this.isContentAllowed(item));
+  }
+
+  /**
+   * Get the featured titles and every category item, for features that look across the catalog
+   */
+  getCatalogItems() {
+    if (!AppState.contentData) {
+      return [];
+    }
+
+    return [...HeroCarousel.getFeatured(AppState.contentData), ...this.getAllContentItems()]
+      .filter(item => item && this.isContentAllowed(item));
+  }
+
+  /**
+   * Get the titles the hero rotates through. When every featured title is
+   * above the profile's limit, the best-rated allowed title with a backdrop stands in.
+   */
+  getHeroItems() {
+    const featured = HeroCarousel.getFeatured(AppState.contentData).filter(item => this.isContentAllowed(item));
+    if (featured.length > 0) {
+      return featured;
+    }
+
+    const standIn = this.getAllContentItems()
+      .filter(item => item.backdrop)
+      .sort((a, b) => Recommendations.compareItems(a, b))[0];
+    return standIn ? [standIn] : [];
+  }
+
+  /**
+   * Get the title showing in the hero
+   */
+  getHeroContent() {
+    const items = this.getHeroItems();
+    return items[HeroCarousel.wrapIndex(this.heroIndex, items.length)] || null;
+  }
+
+  /**
+   * Get the titles most like a title, for the modal's More Like This section
+   */
+  getSimilarContent(contentId) {
+    const content = this.getContentById(contentId);
+    if (!content) {
+      return [];
+    }
+
+    return Recommendations.findSimilar(this.getCatalogItems(), content, { limit: AppConfig.moreLikeThis.limit });
+  }
+
+  /**
+   * Search content by title, cast, genre or description, best matches first
+   */
+  searchContent(query) {
+    return this.searchContentWithScores(query).map(result => result.item);
+  }
+
+  /**
+   * Search content and return { item, score, matches } results for highlighting
+   */
+  searchContentWithScores(query) {
+    if (!AppState.contentData || !query) {
+      return [];
+    }
+
+    const loadedTitles = Object.values(AppState.loadedTitles).filter(item => this.isContentAllowed(item));
+    return SearchEngine.search([...this.getAllContentItems(), ...loadedTitles], query);
+  }
+
+  /**
+   * Ask the content source to search pages that haven't loaded yet, and show
+   * what it finds if the search is still on screen
+   */
+  async searchContentSource(query) {
+    if (!this.hasPendingPages() || this.sourceSearchQuery === query) {
+      return;
+    }
+    this.sourceSearchQuery = query;
+
+    try {
+      this.addLoadedTitles(await this.contentSource.search(query));
+    } catch (error) {
+      console.warn('⚠️ The content source could not search, showing loaded titles only:', error);
+      return;
+    }
+
+    if (this.lastSearchResults && this.lastSearchQuery === query) {
+      this.renderSearchResults(query);
+    }
+  }
+
+  /**
+   * Add content to My List
+   */
+  addToMyList(contentId) {
+    const content = this.getContentById(contentId);
+    if (!content) {
+      console.error('Content not found:', contentId);
+      return false;
+    }
+
+    const myListCategory = AppState.contentData.categories.find(cat => cat.id === 'my-list');
+    if (!myListCategory) {
+      console.error('My List category not found');
+      return false;
+    }
+
+    // Check if already in list
+    const alreadyInList = myListCategory.items.some(item => item.id === contentId);
+    if (alreadyInList) {
+      console.log('Content already in My List:', contentId);
+      return false;
+    }
+
+    // Add to My List
+    myListCategory.items.push(content);
+    console.log('Added to My List:', content.title);
+    
+    // Save to localStorage for persistence
     this.saveMyListToStorage();
     
     return true;
@@ -515,6 +1922,29 @@ class NetflixApp {
     return removed;
   }
 
+  /**
+   * Add a title to My List, or remove it if it's already there, and tell the user
+   * @returns {boolean|null} Whether the title is now in My List, or null if nothing changed
+   */
+  toggleMyList(content) {
+    const isInList = this.getContentByCategory('my-list').some(item => item.id === content.id);
+    const success = isInList ? this.removeFromMyList(content.id) : this.addToMyList(content.id);
+    if (!success) {
+      return null;
+    }
+
+    this.showNotification(
+      isInList ? `Removed "${content.title}" from My List` : `Added "${content.title}" to My List`,
+      'success'
+    );
+
+    // Update the content row if My List is visible
+    this.refreshMyListRow();
+    this.refreshRecommendationRows();
+
+    return !isInList;
+  }
+
   /**
    * Save My List to localStorage
    */
@@ -522,7 +1952,7 @@ class NetflixApp {
     try {
       const myListCategory = AppState.contentData.categories.find(cat => cat.id === 'my-list');
       if (myListCategory) {
-        localStorage.setItem('netflix-my-list', JSON.stringify(myListCategory.items));
+        localStorage.setItem(this.getProfileStorageKey('netflix-my-list'), JSON.stringify(myListCategory.items));
       }
     } catch (error) {
       console.error('Failed to save My List to storage:', error);
@@ -534,11 +1964,16 @@ class NetflixApp {
    */
   loadMyListFromStorage() {
     try {
-      const savedMyList = localStorage.getItem('netflix-my-list');
+      const myListCategory = AppState.contentData.categories.find(cat => cat.id === 'my-list');
+      if (!myListCategory) return;
+
+      // Start empty so switching profiles never carries the last profile's list over
+      myListCategory.items = [];
+
+      const savedMyList = localStorage.getItem(this.getProfileStorageKey('netflix-my-list'));
       if (savedMyList) {
         const myListItems = JSON.parse(savedMyList);
-        const myListCategory = AppState.contentData.categories.find(cat => cat.id === 'my-list');
-        if (myListCategory && Array.isArray(myListItems)) {
+        if (Array.isArray(myListItems)) {
           myListCategory.items = myListItems;
           console.log(`Loaded ${myListItems.length} items from saved My List`);
         }
@@ -549,45 +1984,1542 @@ class NetflixApp {
   }
 
   /**
-   * Show notification to user
+   * Record the playback position of a title. Any player calls this; finished
+   * titles are dropped so they leave the Continue Watching row.
    */
-  showNotification(message, type = 'info') {
-    const notification = document.createElement('div');
-    notification.className = `notification fixed top-4 right-4 p-4 rounded shadow-lg z-50 ${
-      type === 'error' ? 'bg-red-600' : 
-      type === 'warning' ? 'bg-yellow-600' : 
-      type === 'success' ? 'bg-green-600' : 'bg-blue-600'
-    } text-white`;
-    
-    notification.innerHTML = `
-      <div class="flex items-center space-x-2">
-        <span>${message}</span>
-        <button class="ml-2 text-white hover:text-gray-200" onclick="this.parentElement.parentElement.remove()">×</button>
-      </div>
-    `;
-    
-    document.body.appendChild(notification);
-    
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.parentNode.removeChild(notification);
-      }
-    }, 5000);
+  recordPlaybackProgress(contentId, position, duration) {
+    if (!this.getContentById(contentId)) {
+      console.warn('⚠️ Cannot record progress for unknown content:', contentId);
+      return;
+    }
+
+    AppState.watchProgress = WatchProgress.update(AppState.watchProgress, contentId, { position, duration });
+    this.saveWatchProgressToStorage();
   }
 
   /**
-   * Get placeholder content data
+   * Get the saved progress of a title, or null if it isn't in progress
    */
-  getPlaceholderContent() {
-    return {
-      hero: {
-        id: 'hero-featured',
-        title: 'Featured Content',
-        description: 'Discover amazing stories and unforgettable characters in this featured content.',
-        backdrop: 'https://via.placeholder.com/1920x1080/141414/ffffff?text=Featured+Content',
-        year: 2024,
+  getPlaybackProgress(contentId) {
+    return AppState.watchProgress[contentId] || null;
+  }
+
+  /**
+   * Remove a title from Continue Watching
+   */
+  removeFromContinueWatching(contentId) {
+    if (!AppState.watchProgress[contentId]) {
+      return false;
+    }
+
+    AppState.watchProgress = WatchProgress.remove(AppState.watchProgress, contentId);
+    console.log('Removed from Continue Watching:', contentId);
+    this.saveWatchProgressToStorage();
+
+    return true;
+  }
+
+  /**
+   * Get the titles in progress, most recently watched first
+   */
+  getContinueWatchingItems() {
+    return WatchProgress.getInProgressIds(AppState.watchProgress)
+      .map(contentId => this.getContentById(contentId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the "Because you liked" rows for the user's ratings and My List
+   * @returns {Array<{id: string, title: string, items: Array<Object>}>}
+   */
+  getRecommendationRows() {
+    if (!AppState.contentData) {
+      return [];
+    }
+
+    const { categoryPrefix, maxRows, itemsPerRow } = AppConfig.recommendations;
+    const catalog = this.getCatalogItems();
+    const myListIds = this.getContentByCategory('my-list').map(item => item.id);
+
+    return Recommendations.recommend(catalog, { ratings: AppState.userRatings, myListIds }, { maxRows, limit: itemsPerRow })
+      .map(row => ({
+        id: `${categoryPrefix}${row.anchor.id}`,
+        title: row.reason === 'my-list'
+          ? `Because you added ${row.anchor.title} to My List`
+          : `Because you liked ${row.anchor.title}`,
+        items: row.items
+      }));
+  }
+
+  /**
+   * Save playback progress to localStorage
+   */
+  saveWatchProgressToStorage() {
+    try {
+      localStorage.setItem(this.getProfileStorageKey('netflix-watch-progress'), JSON.stringify(AppState.watchProgress));
+    } catch (error) {
+      console.error('Failed to save playback progress to storage:', error);
+    }
+  }
+
+  /**
+   * Load playback progress from localStorage
+   */
+  loadWatchProgressFromStorage() {
+    try {
+      AppState.watchProgress = {};
+
+      const savedProgress = localStorage.getItem(this.getProfileStorageKey('netflix-watch-progress'));
+      if (savedProgress) {
+        AppState.watchProgress = WatchProgress.parse(savedProgress);
+        console.log(`Loaded progress for ${Object.keys(AppState.watchProgress).length} titles`);
+      }
+    } catch (error) {
+      console.error('Failed to load playback progress from storage:', error);
+    }
+  }
+
+  /**
+   * Get the user's rating of a title: 'dislike', 'like', 'love' or null
+   */
+  getUserRating(contentId) {
+    return Object.prototype.hasOwnProperty.call(AppState.userRatings, contentId) ? AppState.userRatings[contentId] : null;
+  }
+
+  /**
+   * Rate a title, or clear its rating with null
+   */
+  setUserRating(contentId, rating) {
+    if (rating !== null && !UserRatings.isValid(rating, AppConfig.userRatings)) {
+      console.error('Invalid rating:', rating);
+      return false;
+    }
+
+    AppState.userRatings = UserRatings.set(AppState.userRatings, contentId, rating);
+
+    console.log(`Rated ${contentId}:`, rating || 'cleared');
+    this.saveUserRatingsToStorage();
+    this.updateCardRatingBadges(contentId);
+    this.refreshRecommendationRows();
+
+    return true;
+  }
+
+  /**
+   * Give a title a rating and tell the user. Choosing the current rating again clears it.
+   * @returns {string|null|undefined} The new rating, null when cleared, or undefined if it failed
+   */
+  toggleUserRating(content, rating) {
+    const newRating = UserRatings.getNextRating(this.getUserRating(content.id), rating);
+    if (!this.setUserRating(content.id, newRating)) {
+      return undefined;
+    }
+
+    this.showNotification(
+      newRating ? `Rated "${content.title}": ${AppConfig.userRatings[newRating].label}` : `Removed your rating for "${content.title}"`,
+      newRating ? 'success' : 'info'
+    );
+    return newRating;
+  }
+
+  /**
+   * Save ratings to localStorage
+   */
+  saveUserRatingsToStorage() {
+    try {
+      localStorage.setItem(this.getProfileStorageKey('netflix-user-ratings'), JSON.stringify(AppState.userRatings));
+    } catch (error) {
+      console.error('Failed to save ratings to storage:', error);
+    }
+  }
+
+  /**
+   * Load ratings from localStorage, skipping unknown values
+   */
+  loadUserRatingsFromStorage() {
+    try {
+      AppState.userRatings = {};
+
+      const savedRatings = localStorage.getItem(this.getProfileStorageKey('netflix-user-ratings'));
+      if (savedRatings) {
+        AppState.userRatings = UserRatings.parse(savedRatings, AppConfig.userRatings);
+        console.log(`Loaded ${Object.keys(AppState.userRatings).length} ratings`);
+      }
+    } catch (error) {
+      console.error('Failed to load ratings from storage:', error);
+    }
+  }
+
+  /**
+   * Load profiles and set up the profile picker
+   */
+  setupProfiles() {
+    this.loadProfilesFromStorage();
+
+    document.querySelectorAll('.profile-btn').forEach(button => {
+      button.addEventListener('click', () => this.openProfilePicker());
+    });
+
+    const picker = document.querySelector('.profile-picker');
+    if (!picker) {
+      console.warn('⚠️ Profile picker not found');
+      return;
+    }
+
+    picker.addEventListener('click', (e) => this.handleProfilePickerClick(e));
+    picker.addEventListener('keydown', (e) => this.handleProfilePickerKeydown(e, picker));
+    picker.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (e.target.classList.contains('pin-form')) {
+        this.savePinForm(e.target);
+      } else if (e.target.classList.contains('parental-form')) {
+        this.saveParentalControlsForm(e.target);
+      } else {
+        this.requestProfileManagementPin(() => this.saveProfileForm(e.target));
+      }
+    });
+    picker.addEventListener('change', (e) => {
+      if (e.target.name === 'profile-color') {
+        const preview = picker.querySelector('.profile-form .profile-option-avatar');
+        if (preview) preview.style.backgroundColor = e.target.value;
+      } else if (e.target.name === 'profile-kids') {
+        picker.querySelector('.profile-maturity-select').disabled = !e.target.checked;
+      }
+    });
+
+    this.updateProfileButtons();
+
+    console.log(`👤 Profiles setup complete (${AppState.profiles.length} profiles)`);
+  }
+
+  /**
+   * Load profiles from localStorage. The first run moves the data saved
+   * before profiles existed into a default profile.
+   */
+  loadProfilesFromStorage() {
+    try {
+      const savedProfiles = localStorage.getItem(AppConfig.profiles.storageKey);
+      const { profiles, activeProfileId } = savedProfiles
+        ? Profiles.parse(savedProfiles)
+        : { profiles: [], activeProfileId: null };
+
+      if (profiles.length === 0) {
+        const profile = Profiles.createDefaultProfile();
+        this.migrateLegacyStorage(profile.id);
+        AppState.profiles = [profile];
+        AppState.activeProfileId = profile.id;
+        this.saveProfilesToStorage();
+        return;
+      }
+
+      AppState.profiles = profiles;
+      AppState.activeProfileId = activeProfileId || profiles[0].id;
+    } catch (error) {
+      console.error('Failed to load profiles from storage:', error);
+      const profile = Profiles.createDefaultProfile();
+      AppState.profiles = [profile];
+      AppState.activeProfileId = profile.id;
+    }
+  }
+
+  /**
+   * Save profiles and the active profile to localStorage
+   */
+  saveProfilesToStorage() {
+    try {
+      localStorage.setItem(AppConfig.profiles.storageKey, JSON.stringify({
+        profiles: AppState.profiles,
+        activeProfileId: AppState.activeProfileId
+      }));
+    } catch (error) {
+      console.error('Failed to save profiles to storage:', error);
+    }
+  }
+
+  /**
+   * Move single-user settings into a profile's own storage keys
+   */
+  migrateLegacyStorage(profileId) {
+    AppConfig.profiles.dataKeys.forEach(baseKey => {
+      const saved = localStorage.getItem(baseKey);
+      if (saved === null) return;
+
+      const profileKey = Profiles.getStorageKey(baseKey, profileId);
+      if (localStorage.getItem(profileKey) === null) {
+        localStorage.setItem(profileKey, saved);
+      }
+      localStorage.removeItem(baseKey);
+    });
+  }
+
+  /**
+   * Get the active profile's storage key for a setting
+   */
+  getProfileStorageKey(baseKey) {
+    return Profiles.getStorageKey(baseKey, AppState.activeProfileId || Profiles.createDefaultProfile().id);
+  }
+
+  /**
+   * Get the active profile
+   */
+  getActiveProfile() {
+    return AppState.profiles.find(profile => profile.id === AppState.activeProfileId) || null;
+  }
+
+  /**
+   * Load the active profile's My List, playback progress, ratings and viewing activity
+   */
+  loadProfileData() {
+    this.loadMyListFromStorage();
+    this.loadWatchProgressFromStorage();
+    this.loadUserRatingsFromStorage();
+    this.loadViewingHistoryFromStorage();
+  }
+
+  /**
+   * Show the active profile in the navbar
+   */
+  updateProfileButtons() {
+    const profile = this.getActiveProfile();
+    if (!profile) return;
+
+    document.querySelectorAll('.profile-btn').forEach(button => {
+      button.setAttribute('aria-label', `Switch profile (current: ${profile.name})`);
+
+      const avatar = button.querySelector('.profile-avatar');
+      if (avatar) avatar.style.backgroundColor = profile.color;
+
+      const initial = button.querySelector('.profile-initial');
+      if (initial) initial.textContent = Profiles.getInitial(profile.name);
+
+      const name = button.querySelector('.profile-name');
+      if (name) name.textContent = profile.name;
+    });
+  }
+
+  /**
+   * Switch to another profile and re-render the current view with its data
+   */
+  switchProfile(profileId, { pinEntered = false } = {}) {
+    const profile = AppState.profiles.find(other => other.id === profileId);
+    if (!profile) {
+      console.error('Profile not found:', profileId);
+      return false;
+    }
+
+    const isSameProfile = profileId === AppState.activeProfileId;
+
+    if (!isSameProfile && !pinEntered && this.isProfileLocked(profileId)) {
+      this.requestPin({ message: `Enter your PIN to switch to ${profile.name}.` }).then(unlocked => {
+        if (unlocked) {
+          this.switchProfile(profileId, { pinEntered: true });
+        }
+      });
+      return false;
+    }
+
+    AppState.activeProfileId = profileId;
+    this.saveProfilesToStorage();
+    this.closeProfilePicker();
+
+    if (isSameProfile) return true;
+
+    this.applyActiveProfile();
+    this.showNotification(`Switched to ${profile.name}`, 'success');
+    console.log(`👤 Switched to profile: ${profile.name}`);
+
+    return true;
+  }
+
+  /**
+   * Show the active profile's data, hero and titles in the current view
+   */
+  applyActiveProfile() {
+    this.unlockedContentIds.clear();
+    this.loadProfileData();
+    this.updateProfileButtons();
+    this.loadHeroContent();
+
+    if (AppConfig.views[AppState.currentView]) {
+      this.renderedViewPath = null;
+      this.showView(AppState.currentView);
+    }
+  }
+
+  /**
+   * Open the "Who's watching?" picker
+   */
+  openProfilePicker() {
+    const picker = document.querySelector('.profile-picker');
+    if (!picker) {
+      console.warn('⚠️ Profile picker not found');
+      return;
+    }
+
+    // The picker replaces whatever is on screen
+    if (this.videoPlayer && this.videoPlayer.isOpen) {
+      this.videoPlayer.close();
+    }
+    if (AppState.currentModal) {
+      this.closeModal();
+    }
+    if (AppState.searchOpen) {
+      this.closeSearch({ restoreFocus: false });
+    }
+    this.closeMobileMenu();
+
+    this.profilePickerReturnFocus = document.activeElement;
+
+    picker.classList.remove('hidden');
+    picker.setAttribute('aria-hidden', 'false');
+    document.body.style.overflow = 'hidden';
+    this.pauseActiveContent();
+
+    this.renderProfilePicker();
+
+    console.log('👤 Profile picker opened');
+  }
+
+  /**
+   * Close the profile picker and return focus to where it was opened from
+   */
+  closeProfilePicker() {
+    const picker = document.querySelector('.profile-picker');
+    if (!picker || picker.classList.contains('hidden')) return;
+
+    picker.classList.add('hidden');
+    picker.setAttribute('aria-hidden', 'true');
+    document.body.style.overflow = '';
+    this.profileManagementUnlocked = false;
+    this.resumeActiveContent();
+
+    if (this.profilePickerReturnFocus && document.body.contains(this.profilePickerReturnFocus)) {
+      this.profilePickerReturnFocus.focus();
+    }
+    this.profilePickerReturnFocus = null;
+  }
+
+  /**
+   * Create a profile's avatar and name. Names are typed by users, so they are
+   * set as text rather than HTML.
+   */
+  createProfileOption(profile) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'profile-option';
+    button.dataset.profileId = profile.id;
+
+    const avatar = document.createElement('span');
+    avatar.className = 'profile-option-avatar';
+    avatar.setAttribute('aria-hidden', 'true');
+    avatar.style.backgroundColor = profile.color;
+    avatar.textContent = Profiles.getInitial(profile.name);
+
+    const name = document.createElement('span');
+    name.className = 'profile-option-name';
+    name.textContent = profile.name;
+
+    button.append(avatar, name);
+
+    if (profile.kids) {
+      const kidsLabel = document.createElement('span');
+      kidsLabel.className = 'profile-kids-label';
+      kidsLabel.textContent = 'Kids';
+      button.appendChild(kidsLabel);
+    }
+
+    return button;
+  }
+
+  /**
+   * Render the profile list, for picking a profile or choosing one to edit
+   */
+  renderProfilePicker({ manage = false } = {}) {
+    const content = document.querySelector('.profile-picker-content');
+    if (!content) return;
+
+    this.profilePickerManaging = manage;
+    if (!manage) {
+      this.profileManagementUnlocked = false;
+    }
+
+    content.innerHTML = `
+      <h1 id="profile-picker-title" class="profile-picker-title">${manage ? 'Manage Profiles' : "Who's watching?"}</h1>
+      <ul class="profile-list" role="list"></ul>
+      <div class="profile-picker-actions">
+        ${manage
+          ? '<button type="button" class="profile-done-btn">Done</button>'
+          : `<button type="button" class="profile-manage-btn">Manage Profiles</button>
+             <button type="button" class="profile-activity-btn">Viewing Activity</button>
+             <button type="button" class="profile-parental-btn">Parental Controls</button>`}
+      </div>
+    `;
+
+    const list = content.querySelector('.profile-list');
+    AppState.profiles.forEach(profile => {
+      const item = document.createElement('li');
+      const option = this.createProfileOption(profile);
+
+      if (manage) {
+        option.classList.add('is-editing');
+        option.setAttribute('aria-label', `Edit ${profile.name}`);
+      } else if (profile.id === AppState.activeProfileId) {
+        option.setAttribute('aria-current', 'true');
+      }
+
+      item.appendChild(option);
+      list.appendChild(item);
+    });
+
+    if (AppState.profiles.length < Profiles.maxProfiles) {
+      const item = document.createElement('li');
+      item.innerHTML = `
+        <button type="button" class="profile-add-btn">
+          <span class="profile-option-avatar profile-add-icon" aria-hidden="true">+</span>
+          <span class="profile-option-name">Add Profile</span>
+        </button>
+      `;
+      list.appendChild(item);
+    }
+
+    const firstOption = list.querySelector('.profile-option');
+    if (firstOption) firstOption.focus();
+  }
+
+  /**
+   * Render the form for adding a profile, or editing one when an ID is given
+   */
+  renderProfileEditor(profileId = null, { confirmDelete = false } = {}) {
+    const content = document.querySelector('.profile-picker-content');
+    if (!content) return;
+
+    const profile = AppState.profiles.find(other => other.id === profileId) || null;
+    const color = profile ? profile.color : Profiles.avatarColors[AppState.profiles.length % Profiles.avatarColors.length].value;
+    const canDelete = profile && AppState.profiles.length > 1;
+    const limitOption = MaturityRatings.getLimitOptions().find(option =>
+      MaturityRatings.getLevelIndex(option.rating) === MaturityRatings.getLevelIndex(profile && profile.maxMaturityRating));
+    const maxMaturityRating = limitOption ? limitOption.rating : Profiles.defaultKidsMaxRating;
+
+    this.profileEditorId = profile ? profile.id : null;
+
+    content.innerHTML = `
+      <h1 id="profile-picker-title" class="profile-picker-title">${profile ? 'Edit Profile' : 'Add Profile'}</h1>
+      <form class="profile-form" novalidate>
+        <span class="profile-option-avatar" aria-hidden="true"></span>
+        <label for="profile-name-input" class="profile-form-label">Name</label>
+        <input type="text" id="profile-name-input" class="profile-name-input" name="profile-name"
+               maxlength="${Profiles.maxNameLength}" autocomplete="off" aria-describedby="profile-form-error">
+        <p id="profile-form-error" class="profile-form-error" role="alert"></p>
+        <fieldset class="profile-colors">
+          <legend class="profile-form-label">Avatar color</legend>
+          ${Profiles.avatarColors.map(avatarColor => `
+            <label class="profile-color-option">
+              <input type="radio" name="profile-color" value="${avatarColor.value}"${avatarColor.value === color ? ' checked' : ''}>
+              <span class="profile-color-swatch" style="background-color: ${avatarColor.value}" aria-hidden="true"></span>
+              <span class="sr-only">${avatarColor.name}</span>
+            </label>
+          `).join('')}
+        </fieldset>
+        <div class="profile-kids">
+          <label class="profile-kids-toggle">
+            <input type="checkbox" class="profile-kids-input" name="profile-kids"${profile && profile.kids ? ' checked' : ''}>
+            <span>Kids profile</span>
+          </label>
+          <label for="profile-maturity-select" class="profile-form-label">Show titles rated up to</label>
+          <select id="profile-maturity-select" class="profile-maturity-select" name="profile-maturity"${profile && profile.kids ? '' : ' disabled'}>
+            ${MaturityRatings.getLimitOptions().map(option => `
+              <option value="${option.rating}"${option.rating === maxMaturityRating ? ' selected' : ''}>${option.label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="profile-form-actions">
+          <button type="submit" class="profile-save-btn">Save</button>
+          <button type="button" class="profile-cancel-btn">Cancel</button>
+          ${canDelete ? '<button type="button" class="profile-delete-btn">Delete Profile</button>' : ''}
+        </div>
+        ${confirmDelete && canDelete ? `
+          <div class="profile-delete-confirm" role="alertdialog" aria-labelledby="profile-delete-message">
+            <p id="profile-delete-message"></p>
+            <button type="button" class="profile-delete-confirm-btn">Delete</button>
+            <button type="button" class="profile-delete-keep-btn">Keep Profile</button>
+          </div>
+        ` : ''}
+      </form>
+    `;
+
+    const nameInput = content.querySelector('.profile-name-input');
+    nameInput.value = profile ? profile.name : '';
+
+    const preview = content.querySelector('.profile-option-avatar');
+    preview.style.backgroundColor = color;
+    preview.textContent = Profiles.getInitial(nameInput.value);
+    nameInput.addEventListener('input', () => {
+      preview.textContent = Profiles.getInitial(nameInput.value);
+    });
+
+    const deleteMessage = content.querySelector('#profile-delete-message');
+    if (deleteMessage) {
+      deleteMessage.textContent = `Delete ${profile.name}? Their My List, ratings and viewing history will be removed.`;
+      content.querySelector('.profile-delete-keep-btn').focus();
+    } else {
+      nameInput.focus();
+    }
+  }
+
+  /**
+   * Add or update a profile from the editor form
+   */
+  saveProfileForm(form) {
+    const name = form.querySelector('.profile-name-input').value;
+    const checkedColor = form.querySelector('input[name="profile-color"]:checked');
+    const color = checkedColor ? checkedColor.value : null;
+    const kids = form.querySelector('.profile-kids-input').checked;
+    const maxMaturityRating = form.querySelector('.profile-maturity-select').value;
+    const isNewProfile = !this.profileEditorId;
+
+    const result = isNewProfile
+      ? Profiles.add(AppState.profiles, { name, color, kids, maxMaturityRating })
+      : Profiles.update(AppState.profiles, this.profileEditorId, { name, color, kids, maxMaturityRating });
+
+    if (result.error) {
+      const errorElement = form.querySelector('.profile-form-error');
+      errorElement.textContent = result.error;
+      form.querySelector('.profile-name-input').setAttribute('aria-invalid', 'true');
+      form.querySelector('.profile-name-input').focus();
+      return false;
+    }
+
+    AppState.profiles = result.profiles;
+    this.saveProfilesToStorage();
+
+    // Changing the active profile's limit changes what it can see right away
+    if (result.profile.id === AppState.activeProfileId) {
+      this.applyActiveProfile();
+    }
+    this.renderProfilePicker({ manage: !isNewProfile });
+
+    console.log(`👤 Profile ${isNewProfile ? 'added' : 'updated'}: ${result.profile.name}`);
+    return true;
+  }
+
+  /**
+   * Delete a profile and everything saved for it
+   */
+  deleteProfile(profileId) {
+    const result = Profiles.remove(AppState.profiles, profileId);
+    if (result.error) {
+      console.error('Failed to delete profile:', result.error);
+      return false;
+    }
+
+    AppConfig.profiles.dataKeys.forEach(baseKey => {
+      localStorage.removeItem(Profiles.getStorageKey(baseKey, profileId));
+    });
+
+    AppState.profiles = result.profiles;
+
+    if (AppState.parentalControls.lockedProfileIds.includes(profileId)) {
+      AppState.parentalControls = {
+        ...AppState.parentalControls,
+        lockedProfileIds: AppState.parentalControls.lockedProfileIds.filter(lockedId => lockedId !== profileId)
+      };
+      this.saveParentalControlsToStorage();
+    }
+
+    if (profileId === AppState.activeProfileId) {
+      // Whoever was watching moves to a profile that isn't locked. When every
+      // profile left is locked, only the PIN entered for deleting lets them in.
+      const fallback = AppState.profiles.find(other => !this.isProfileLocked(other.id)) || AppState.profiles[0];
+      this.switchProfile(fallback.id, { pinEntered: this.profileManagementUnlocked });
+    } else {
+      this.saveProfilesToStorage();
+      this.renderProfilePicker({ manage: true });
+    }
+
+    console.log(`👤 Profile deleted: ${profileId}`);
+    return true;
+  }
+
+  /**
+   * Handle clicks inside the profile picker
+   */
+  handleProfilePickerClick(e) {
+    const target = e.target.closest('button');
+    if (!target) return;
+
+    if (target.classList.contains('profile-option')) {
+      if (this.profilePickerManaging) {
+        this.renderProfileEditor(target.dataset.profileId);
+      } else {
+        this.switchProfile(target.dataset.profileId);
+      }
+    } else if (target.classList.contains('profile-add-btn')) {
+      this.requestProfileManagementPin(() => this.renderProfileEditor());
+    } else if (target.classList.contains('profile-activity-btn')) {
+      this.closeProfilePicker();
+      this.router.navigate('viewing-activity');
+    } else if (target.classList.contains('profile-parental-btn')) {
+      this.openParentalControls();
+    } else if (target.classList.contains('parental-cancel-btn')) {
+      this.renderProfilePicker();
+    } else if (target.classList.contains('parental-change-pin-btn')) {
+      this.renderPinEditor({ changing: true });
+    } else if (target.classList.contains('parental-remove-pin-btn')) {
+      this.removePin();
+    } else if (target.classList.contains('profile-manage-btn')) {
+      this.requestProfileManagementPin(() => this.renderProfilePicker({ manage: true }));
+    } else if (target.classList.contains('profile-done-btn')) {
+      this.renderProfilePicker();
+    } else if (target.classList.contains('profile-cancel-btn')) {
+      this.renderProfilePicker({ manage: Boolean(this.profileEditorId) });
+    } else if (target.classList.contains('profile-delete-btn')) {
+      this.renderProfileEditor(this.profileEditorId, { confirmDelete: true });
+    } else if (target.classList.contains('profile-delete-keep-btn')) {
+      this.renderProfileEditor(this.profileEditorId);
+    } else if (target.classList.contains('profile-delete-confirm-btn')) {
+      const profileId = this.profileEditorId;
+      this.requestProfileManagementPin(() => this.deleteProfile(profileId));
+    }
+  }
+
+  /**
+   * Run a change to the profiles once the PIN has been entered, when one is
+   * set. The PIN is asked for once until the picker goes back to picking a
+   * profile or closes.
+   */
+  requestProfileManagementPin(action) {
+    if (!ParentalControls.hasPin(AppState.parentalControls) || this.profileManagementUnlocked) {
+      action();
+      return;
+    }
+
+    this.requestPin({ message: 'Enter your PIN to manage profiles.' }).then(unlocked => {
+      if (unlocked) {
+        this.profileManagementUnlocked = true;
+        action();
+      }
+    });
+  }
+
+  /**
+   * Keep focus in the profile picker; Escape steps back out of the editor,
+   * then closes the picker
+   */
+  handleProfilePickerKeydown(e, picker) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      if (picker.querySelector('.pin-form, .parental-form')) {
+        this.renderProfilePicker();
+      } else if (picker.querySelector('.profile-form')) {
+        this.renderProfilePicker({ manage: Boolean(this.profileEditorId) });
+      } else {
+        this.closeProfilePicker();
+      }
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const focusableElements = Array.from(picker.querySelectorAll('button, input:checked, input[type="text"], input[type="checkbox"], select:not([disabled])'));
+    if (focusableElements.length === 0) return;
+
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+
+    if (e.shiftKey && document.activeElement === firstElement) {
+      e.preventDefault();
+      lastElement.focus();
+    } else if (!e.shiftKey && document.activeElement === lastElement) {
+      e.preventDefault();
+      firstElement.focus();
+    }
+  }
+
+  /**
+   * Load parental controls and set up the PIN prompt
+   */
+  setupParentalControls() {
+    this.loadParentalControlsFromStorage();
+
+    const prompt = document.querySelector('.pin-prompt');
+    if (!prompt) {
+      console.warn('⚠️ PIN prompt not found');
+      return;
+    }
+
+    const form = prompt.querySelector('.pin-prompt-content');
+    const input = prompt.querySelector('.pin-input');
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitPinPrompt();
+    });
+    prompt.querySelector('.pin-cancel-btn').addEventListener('click', () => {
+      if (this.pinPromptCancellable) {
+        this.finishPinPrompt(false);
+      }
+    });
+
+    // Digits only
+    input.addEventListener('input', () => {
+      input.value = input.value.replace(/\D/g, '').slice(0, PinPolicy.length);
+    });
+
+    // The prompt can sit above a modal, so its keys stop here
+    prompt.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.pinPromptCancellable) {
+          this.finishPinPrompt(false);
+        }
+      } else if (e.key === 'Tab') {
+        e.stopPropagation();
+        this.trapFocusInPinPrompt(e, prompt);
+      }
+    });
+
+    console.log('🔒 Parental controls setup complete');
+  }
+
+  /**
+   * Load parental controls from localStorage
+   */
+  loadParentalControlsFromStorage() {
+    try {
+      const savedSettings = localStorage.getItem(AppConfig.parentalControls.storageKey);
+      AppState.parentalControls = savedSettings
+        ? ParentalControls.parse(savedSettings)
+        : ParentalControls.createDefaultSettings();
+    } catch (error) {
+      console.error('Failed to load parental controls from storage:', error);
+      AppState.parentalControls = ParentalControls.createDefaultSettings();
+    }
+  }
+
+  /**
+   * Save parental controls to localStorage. Only the PIN's hash is stored.
+   */
+  saveParentalControlsToStorage() {
+    try {
+      localStorage.setItem(AppConfig.parentalControls.storageKey, JSON.stringify(AppState.parentalControls));
+    } catch (error) {
+      console.error('Failed to save parental controls to storage:', error);
+    }
+  }
+
+  /**
+   * Check whether a title needs the PIN before it can be opened or played
+   */
+  isTitleLocked(content) {
+    const { lockAbove } = AppState.parentalControls;
+
+    return ParentalControls.hasPin(AppState.parentalControls) &&
+      Boolean(lockAbove) &&
+      !MaturityRatings.isAllowed(content.maturityRating, lockAbove) &&
+      !this.unlockedContentIds.has(content.id);
+  }
+
+  /**
+   * Check whether switching to a profile needs the PIN
+   */
+  isProfileLocked(profileId) {
+    return ParentalControls.hasPin(AppState.parentalControls) &&
+      AppState.parentalControls.lockedProfileIds.includes(profileId);
+  }
+
+  /**
+   * Ask for the PIN to unlock a title until the profile changes
+   * @returns {Promise<boolean>} Whether the title was unlocked
+   */
+  requestTitleUnlock(content) {
+    const rating = content.maturityRating ? `is rated ${content.maturityRating}` : 'has no maturity rating';
+
+    return this.requestPin({
+      title: 'Enter your PIN',
+      message: `"${content.title}" ${rating}. Enter your PIN to watch it.`
+    }).then(unlocked => {
+      if (unlocked) {
+        this.unlockedContentIds.add(content.id);
+      }
+      return unlocked;
+    });
+  }
+
+  /**
+   * Ask for the PIN before the app can be used, when the app or the
+   * remembered profile is locked
+   */
+  lockAppIfNeeded() {
+    if (!ParentalControls.hasPin(AppState.parentalControls)) return;
+
+    if (AppState.parentalControls.lockApp) {
+      this.requestPin({
+        title: 'Netflix is locked',
+        message: 'Enter your PIN to start watching.',
+        cancellable: false
+      });
+      return;
+    }
+
+    const profile = this.getActiveProfile();
+    if (!profile || !this.isProfileLocked(profile.id)) return;
+
+    // Cancelling moves to a profile that isn't locked; with none, the PIN is required
+    const fallback = AppState.profiles.find(other => !this.isProfileLocked(other.id));
+    this.requestPin({
+      title: 'Profile locked',
+      message: `Enter your PIN to continue as ${profile.name}.`,
+      cancellable: Boolean(fallback)
+    }).then(unlocked => {
+      if (!unlocked && fallback) {
+        this.switchProfile(fallback.id);
+      }
+    });
+  }
+
+  /**
+   * Show the PIN prompt
+   * @returns {Promise<boolean>} Resolves true once the right PIN is entered, false if cancelled
+   */
+  requestPin({ title = 'Enter your PIN', message = '', cancellable = true } = {}) {
+    const prompt = document.querySelector('.pin-prompt');
+    if (!prompt) {
+      console.warn('⚠️ PIN prompt not found');
+      return Promise.resolve(false);
+    }
+
+    // Only one prompt at a time. A new request cancels the one before it,
+    // unless that one is the app lock, which only the PIN gets past.
+    const openPrompt = this.pinPromptResolve ? { cancellable: this.pinPromptCancellable } : null;
+    if (!ParentalControls.canReplacePrompt(openPrompt)) {
+      console.warn('⚠️ PIN request refused while the app is locked');
+      return Promise.resolve(false);
+    }
+    if (openPrompt) {
+      this.finishPinPrompt(false);
+    }
+
+    this.pinPromptReturnFocus = document.activeElement;
+    this.pinPromptCancellable = cancellable;
+
+    prompt.querySelector('.pin-prompt-title').textContent = title;
+    prompt.querySelector('.pin-prompt-message').textContent = message;
+    prompt.querySelector('.pin-prompt-error').textContent = '';
+    prompt.querySelector('.pin-input').value = '';
+    prompt.querySelector('.pin-cancel-btn').classList.toggle('hidden', !cancellable);
+    prompt.classList.toggle('is-app-lock', !cancellable);
+    this.setPageInert(!cancellable);
+    prompt.classList.remove('hidden');
+    prompt.setAttribute('aria-hidden', 'false');
+    this.pauseActiveContent();
+
+    this.updatePinCooldown();
+
+    return new Promise(resolve => {
+      this.pinPromptResolve = resolve;
+    });
+  }
+
+  /**
+   * Hide the PIN prompt, return focus and settle the pending request
+   */
+  finishPinPrompt(unlocked) {
+    const prompt = document.querySelector('.pin-prompt');
+    const resolve = this.pinPromptResolve;
+
+    this.pinPromptResolve = null;
+    clearInterval(this.pinCooldownTimer);
+    this.pinCooldownTimer = null;
+
+    if (prompt) {
+      prompt.classList.add('hidden');
+      prompt.setAttribute('aria-hidden', 'true');
+      prompt.querySelector('.pin-input').value = '';
+    }
+    this.setPageInert(false);
+
+    if (this.pinPromptReturnFocus && document.body.contains(this.pinPromptReturnFocus)) {
+      this.pinPromptReturnFocus.focus();
+    }
+    this.pinPromptReturnFocus = null;
+    this.resumeActiveContent();
+
+    if (resolve) {
+      resolve(unlocked);
+    }
+  }
+
+  /**
+   * Keep the navigation and content out of reach of the pointer, keyboard
+   * and screen readers while the app is locked
+   */
+  setPageInert(inert) {
+    document.querySelectorAll('.navbar, .main-content').forEach(element => {
+      element.toggleAttribute('inert', inert);
+    });
+  }
+
+  /**
+   * Check the entered PIN, counting wrong attempts towards a cooldown
+   */
+  async submitPinPrompt() {
+    const prompt = document.querySelector('.pin-prompt');
+    const input = prompt.querySelector('.pin-input');
+    const error = prompt.querySelector('.pin-prompt-error');
+    const settings = AppState.parentalControls;
+
+    if (ParentalControls.getCooldownRemaining(settings.attempts) > 0 || this.pinCheckInProgress) return;
+
+    const pin = input.value;
+    if (!ParentalControls.isValidPin(pin)) {
+      error.textContent = `Enter your ${PinPolicy.length}-digit PIN.`;
+      input.focus();
+      return;
+    }
+
+    this.pinCheckInProgress = true;
+    let isCorrect = false;
+    try {
+      isCorrect = await ParentalControls.verifyPin(settings, pin);
+    } catch (verifyError) {
+      console.error('Failed to check PIN:', verifyError);
+      error.textContent = verifyError.message;
+      return;
+    } finally {
+      this.pinCheckInProgress = false;
+    }
+
+    if (isCorrect) {
+      AppState.parentalControls = { ...settings, attempts: ParentalControls.createAttempts() };
+      this.saveParentalControlsToStorage();
+      console.log('🔓 PIN accepted');
+      this.finishPinPrompt(true);
+      return;
+    }
+
+    const attempts = ParentalControls.recordFailure(settings.attempts);
+    AppState.parentalControls = { ...settings, attempts };
+    this.saveParentalControlsToStorage();
+
+    input.value = '';
+    const attemptsLeft = PinPolicy.maxAttempts - attempts.failures;
+    error.textContent = `Incorrect PIN. ${attemptsLeft} ${attemptsLeft === 1 ? 'attempt' : 'attempts'} left.`;
+    this.updatePinCooldown();
+
+    console.warn('⚠️ Incorrect PIN entered');
+  }
+
+  /**
+   * Disable the prompt while a cooldown runs, counting down the seconds left
+   */
+  updatePinCooldown() {
+    const prompt = document.querySelector('.pin-prompt');
+    const input = prompt.querySelector('.pin-input');
+    const submitButton = prompt.querySelector('.pin-submit-btn');
+    const error = prompt.querySelector('.pin-prompt-error');
+    const remaining = ParentalControls.getCooldownRemaining(AppState.parentalControls.attempts);
+
+    clearInterval(this.pinCooldownTimer);
+    this.pinCooldownTimer = null;
+
+    input.disabled = remaining > 0;
+    submitButton.disabled = remaining > 0;
+
+    if (remaining === 0) {
+      input.focus();
+      return;
+    }
+
+    const showRemaining = () => {
+      const seconds = Math.ceil(ParentalControls.getCooldownRemaining(AppState.parentalControls.attempts) / 1000);
+      if (seconds === 0) {
+        error.textContent = '';
+        this.updatePinCooldown();
+        return;
+      }
+      error.textContent = `Too many incorrect PINs. Try again in ${seconds} ${seconds === 1 ? 'second' : 'seconds'}.`;
+    };
+
+    showRemaining();
+    this.pinCooldownTimer = setInterval(showRemaining, 1000);
+
+    // Focus stays in the dialog while the input is disabled
+    const focusTarget = this.pinPromptCancellable ? prompt.querySelector('.pin-cancel-btn') : prompt.querySelector('.pin-prompt-content');
+    focusTarget.focus();
+  }
+
+  /**
+   * Keep focus inside the PIN prompt
+   */
+  trapFocusInPinPrompt(e, prompt) {
+    const focusableElements = Array.from(prompt.querySelectorAll('input, button'))
+      .filter(element => !element.disabled && !element.classList.contains('hidden'));
+    if (focusableElements.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+
+    if (e.shiftKey && document.activeElement === firstElement) {
+      e.preventDefault();
+      lastElement.focus();
+    } else if (!e.shiftKey && document.activeElement === lastElement) {
+      e.preventDefault();
+      firstElement.focus();
+    }
+  }
+
+  /**
+   * Open parental controls from the profile picker, asking for the PIN when one is set
+   */
+  openParentalControls() {
+    if (!ParentalControls.hasPin(AppState.parentalControls)) {
+      this.renderPinEditor();
+      return;
+    }
+
+    this.requestPin({ message: 'Enter your PIN to change parental controls.' }).then(unlocked => {
+      if (unlocked) {
+        this.renderParentalControls();
+      }
+    });
+  }
+
+  /**
+   * Render the form for creating or changing the PIN
+   */
+  renderPinEditor({ changing = false } = {}) {
+    const content = document.querySelector('.profile-picker-content');
+    if (!content) return;
+
+    content.innerHTML = `
+      <h1 id="profile-picker-title" class="profile-picker-title">${changing ? 'Change PIN' : 'Create a PIN'}</h1>
+      <form class="profile-form pin-form" novalidate>
+        <p class="profile-form-hint">The PIN protects parental controls, locked titles and locked profiles.</p>
+        <label for="new-pin-input" class="profile-form-label">New ${PinPolicy.length}-digit PIN</label>
+        <input type="password" id="new-pin-input" class="profile-name-input new-pin-input" inputmode="numeric"
+               maxlength="${PinPolicy.length}" autocomplete="new-password" aria-describedby="pin-form-error">
+        <label for="confirm-pin-input" class="profile-form-label">Confirm PIN</label>
+        <input type="password" id="confirm-pin-input" class="profile-name-input confirm-pin-input" inputmode="numeric"
+               maxlength="${PinPolicy.length}" autocomplete="new-password" aria-describedby="pin-form-error">
+        <p id="pin-form-error" class="profile-form-error" role="alert"></p>
+        <div class="profile-form-actions">
+          <button type="submit" class="profile-save-btn">Save</button>
+          <button type="button" class="parental-cancel-btn">Cancel</button>
+        </div>
+      </form>
+    `;
+
+    content.querySelector('.new-pin-input').focus();
+  }
+
+  /**
+   * Hash and save the PIN from the PIN form
+   */
+  async savePinForm(form) {
+    const newPin = form.querySelector('.new-pin-input').value;
+    const confirmPin = form.querySelector('.confirm-pin-input').value;
+    const error = form.querySelector('.profile-form-error');
+
+    if (!ParentalControls.isValidPin(newPin)) {
+      error.textContent = `The PIN must be ${PinPolicy.length} digits.`;
+      form.querySelector('.new-pin-input').focus();
+      return false;
+    }
+    if (newPin !== confirmPin) {
+      error.textContent = "The PINs don't match.";
+      form.querySelector('.confirm-pin-input').focus();
+      return false;
+    }
+
+    try {
+      AppState.parentalControls = await ParentalControls.setPin(AppState.parentalControls, newPin);
+    } catch (pinError) {
+      console.error('Failed to save PIN:', pinError);
+      error.textContent = pinError.message;
+      return false;
+    }
+
+    this.saveParentalControlsToStorage();
+    this.showNotification('PIN saved', 'success');
+    this.renderParentalControls();
+
+    console.log('🔒 PIN saved');
+    return true;
+  }
+
+  /**
+   * Render the parental controls settings
+   */
+  renderParentalControls() {
+    const content = document.querySelector('.profile-picker-content');
+    if (!content) return;
+
+    const settings = AppState.parentalControls;
+    // Locking above the most mature level would lock nothing
+    const lockOptions = MaturityRatings.getLimitOptions().slice(0, -1);
+
+    content.innerHTML = `
+      <h1 id="profile-picker-title" class="profile-picker-title">Parental Controls</h1>
+      <form class="profile-form parental-form" novalidate>
+        <label for="parental-lock-select" class="profile-form-label">Ask for the PIN to watch titles rated above</label>
+        <select id="parental-lock-select" class="profile-maturity-select parental-lock-select" name="parental-lock">
+          <option value="">Don't lock titles</option>
+          ${lockOptions.map(option => `
+            <option value="${option.rating}"${option.rating === settings.lockAbove ? ' selected' : ''}>${option.label}</option>
+          `).join('')}
+        </select>
+        <label class="profile-kids-toggle">
+          <input type="checkbox" class="profile-kids-input parental-lock-app-input"${settings.lockApp ? ' checked' : ''}>
+          <span>Ask for the PIN when the app opens</span>
+        </label>
+        <fieldset class="parental-profiles">
+          <legend class="profile-form-label">Ask for the PIN to switch to</legend>
+        </fieldset>
+        <div class="profile-form-actions">
+          <button type="submit" class="profile-save-btn">Save</button>
+          <button type="button" class="parental-cancel-btn">Cancel</button>
+          <button type="button" class="parental-change-pin-btn">Change PIN</button>
+          <button type="button" class="parental-remove-pin-btn">Remove PIN</button>
+        </div>
+      </form>
+    `;
+
+    // Profile names are typed by users, so they are set as text
+    const profilesFieldset = content.querySelector('.parental-profiles');
+    AppState.profiles.forEach(profile => {
+      const label = document.createElement('label');
+      label.className = 'profile-kids-toggle';
+      label.innerHTML = `<input type="checkbox" class="profile-kids-input parental-profile-input" value="${profile.id}"><span></span>`;
+      label.querySelector('input').checked = settings.lockedProfileIds.includes(profile.id);
+      label.querySelector('span').textContent = profile.name;
+      profilesFieldset.appendChild(label);
+    });
+
+    content.querySelector('.parental-lock-select').focus();
+  }
+
+  /**
+   * Save the parental controls settings form
+   */
+  saveParentalControlsForm(form) {
+    AppState.parentalControls = {
+      ...AppState.parentalControls,
+      lockAbove: form.querySelector('.parental-lock-select').value || null,
+      lockApp: form.querySelector('.parental-lock-app-input').checked,
+      lockedProfileIds: Array.from(form.querySelectorAll('.parental-profile-input:checked'), input => input.value)
+    };
+
+    // New settings apply to titles unlocked earlier too
+    this.unlockedContentIds.clear();
+    this.saveParentalControlsToStorage();
+    this.showNotification('Parental controls saved', 'success');
+    this.renderProfilePicker();
+
+    console.log('🔒 Parental controls saved');
+    return true;
+  }
+
+  /**
+   * Remove the PIN and every lock that depends on it
+   */
+  removePin() {
+    AppState.parentalControls = ParentalControls.createDefaultSettings();
+    this.unlockedContentIds.clear();
+    this.saveParentalControlsToStorage();
+    this.showNotification('PIN removed', 'info');
+    this.renderProfilePicker();
+
+    console.log('🔓 PIN removed');
+  }
+
+  /**
+   * Add a title to the active profile's viewing activity
+   */
+  recordViewingActivity(content, action) {
+    AppState.viewingHistory = ViewingHistory.record(AppState.viewingHistory, {
+      contentId: content.id,
+      title: content.title,
+      action
+    });
+    this.saveViewingHistoryToStorage();
+    this.refreshViewingActivity();
+  }
+
+  /**
+   * Save viewing activity to localStorage
+   */
+  saveViewingHistoryToStorage() {
+    try {
+      localStorage.setItem(this.getProfileStorageKey('netflix-viewing-history'), JSON.stringify(AppState.viewingHistory));
+    } catch (error) {
+      console.error('Failed to save viewing activity to storage:', error);
+    }
+  }
+
+  /**
+   * Load viewing activity from localStorage
+   */
+  loadViewingHistoryFromStorage() {
+    try {
+      AppState.viewingHistory = [];
+
+      const savedHistory = localStorage.getItem(this.getProfileStorageKey('netflix-viewing-history'));
+      if (savedHistory) {
+        AppState.viewingHistory = ViewingHistory.parse(savedHistory);
+        console.log(`Loaded ${AppState.viewingHistory.length} viewing activity entries`);
+      }
+    } catch (error) {
+      console.error('Failed to load viewing activity from storage:', error);
+    }
+  }
+
+  /**
+   * Delete one viewing activity entry
+   */
+  removeViewingActivityEntry(entryId) {
+    AppState.viewingHistory = ViewingHistory.remove(AppState.viewingHistory, entryId);
+    this.saveViewingHistoryToStorage();
+    this.refreshViewingActivity();
+  }
+
+  /**
+   * Delete all of the active profile's viewing activity
+   */
+  clearViewingActivity() {
+    AppState.viewingHistory = [];
+    this.saveViewingHistoryToStorage();
+    this.refreshViewingActivity();
+    this.showNotification('Viewing activity cleared', 'info');
+  }
+
+  /**
+   * Download the active profile's viewing activity as a JSON file
+   */
+  downloadViewingActivity() {
+    const profile = this.getActiveProfile();
+    const data = ViewingHistory.toExport(AppState.viewingHistory, { profileName: profile ? profile.name : null });
+
+    if (typeof URL.createObjectURL !== 'function') {
+      console.warn('⚠️ File downloads are not supported');
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `viewing-activity-${ViewingHistory.getDateKey(Date.now())}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Label a day of viewing activity
+   */
+  formatActivityDate(dateKey) {
+    const today = ViewingHistory.getDateKey(Date.now());
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+
+    if (dateKey === today) return 'Today';
+    if (dateKey === ViewingHistory.getDateKey(yesterday.getTime())) return 'Yesterday';
+
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+      weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+    });
+  }
+
+  /**
+   * Render the Viewing Activity view, grouped by day
+   */
+  renderViewingActivity(view, { confirmClear = false } = {}) {
+    const contentContainer = document.getElementById('content-container');
+    if (!contentContainer) return;
+
+    const groups = ViewingHistory.groupByDate(AppState.viewingHistory);
+    const hasEntries = groups.length > 0;
+
+    contentContainer.innerHTML = '';
+    contentContainer.appendChild(this.createViewHeading(view.title));
+
+    const activity = document.createElement('div');
+    activity.className = 'viewing-activity';
+    activity.innerHTML = `
+      <div class="activity-actions">
+        ${confirmClear ? `
+          <p class="activity-confirm-message" id="activity-confirm-message">Clear all viewing activity for this profile? This can't be undone.</p>
+          <button type="button" class="activity-clear-confirm-btn" aria-describedby="activity-confirm-message">Clear All</button>
+          <button type="button" class="activity-clear-keep-btn">Keep</button>
+        ` : `
+          <button type="button" class="activity-download-btn"${hasEntries ? '' : ' disabled'}>Download (JSON)</button>
+          <button type="button" class="activity-clear-btn"${hasEntries ? '' : ' disabled'}>Clear All</button>
+        `}
+      </div>
+      ${hasEntries ? '' : `<p class="activity-empty">${view.emptyMessage}</p>`}
+    `;
+
+    groups.forEach(group => {
+      const section = document.createElement('section');
+      section.className = 'activity-day';
+      section.setAttribute('aria-labelledby', `activity-day-${group.dateKey}`);
+      section.innerHTML = `
+        <h2 id="activity-day-${group.dateKey}" class="activity-date">${this.formatActivityDate(group.dateKey)}</h2>
+        <ul class="activity-list"></ul>
+      `;
+
+      const list = section.querySelector('.activity-list');
+      group.entries.forEach(entry => list.appendChild(this.createViewingActivityEntry(entry)));
+      activity.appendChild(section);
+    });
+
+    activity.addEventListener('click', (e) => this.handleViewingActivityClick(e, view));
+    contentContainer.appendChild(activity);
+  }
+
+  /**
+   * Create one viewing activity entry. Titles are stored with the entry,
+   * so entries stay readable after a title leaves the catalog.
+   */
+  createViewingActivityEntry(entry) {
+    const item = document.createElement('li');
+    item.className = 'activity-entry';
+    item.dataset.entryId = entry.id;
+
+    const time = new Date(entry.timestamp);
+    const isAvailable = Boolean(this.getContentById(entry.contentId));
+
+    item.innerHTML = `
+      <time class="activity-time" datetime="${time.toISOString()}">${time.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}</time>
+      ${isAvailable
+        ? `<button type="button" class="activity-title" data-content-id="${entry.contentId}"></button>`
+        : '<span class="activity-title is-unavailable"></span>'}
+      <span class="activity-action">${entry.action === 'played' ? 'Played' : 'Viewed details'}</span>
+      <button type="button" class="activity-remove-btn">
+        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+        </svg>
+      </button>
+    `;
+
+    item.querySelector('.activity-title').textContent = entry.title;
+    item.querySelector('.activity-remove-btn').setAttribute('aria-label', `Remove ${entry.title} from viewing activity`);
+
+    return item;
+  }
+
+  /**
+   * Handle clicks in the Viewing Activity view
+   */
+  handleViewingActivityClick(e, view) {
+    const target = e.target.closest('button');
+    if (!target) return;
+
+    if (target.classList.contains('activity-title')) {
+      this.openModal(target.dataset.contentId);
+    } else if (target.classList.contains('activity-remove-btn')) {
+      this.removeViewingActivityEntry(target.closest('.activity-entry').dataset.entryId);
+    } else if (target.classList.contains('activity-download-btn')) {
+      this.downloadViewingActivity();
+    } else if (target.classList.contains('activity-clear-btn')) {
+      this.renderViewingActivity(view, { confirmClear: true });
+      document.querySelector('.activity-clear-keep-btn').focus();
+    } else if (target.classList.contains('activity-clear-keep-btn')) {
+      this.renderViewingActivity(view);
+      document.querySelector('.activity-clear-btn').focus();
+    } else if (target.classList.contains('activity-clear-confirm-btn')) {
+      this.clearViewingActivity();
+    }
+  }
+
+  /**
+   * Re-render the Viewing Activity view after entries change, keeping focus
+   * on the same entry or the one that took a removed entry's place
+   */
+  refreshViewingActivity() {
+    const view = AppConfig.views[AppState.currentView];
+    if (!view || view.layout !== 'activity') return;
+
+    const contentContainer = document.getElementById('content-container');
+    const focusedEntry = document.activeElement && document.activeElement.closest('.activity-entry');
+    const entryIds = Array.from(contentContainer.querySelectorAll('.activity-entry'), entry => entry.dataset.entryId);
+    const focusedIndex = focusedEntry ? entryIds.indexOf(focusedEntry.dataset.entryId) : -1;
+    const focusedClass = focusedEntry && document.activeElement.classList.contains('activity-remove-btn')
+      ? 'activity-remove-btn'
+      : 'activity-title';
+
+    this.renderViewingActivity(view);
+
+    if (focusedIndex === -1) {
+      if (contentContainer.contains(document.activeElement)) return;
+      const fallback = contentContainer.querySelector('.activity-clear-btn:not([disabled])') || contentContainer.querySelector('.view-title');
+      if (fallback && document.activeElement === document.body) {
+        fallback.setAttribute('tabindex', '-1');
+        fallback.focus();
+      }
+      return;
+    }
+
+    const entries = contentContainer.querySelectorAll('.activity-entry');
+    const target = entries[Math.min(focusedIndex, entries.length - 1)];
+    if (target) {
+      (target.querySelector(`.${focusedClass}`) || target.querySelector('.activity-remove-btn')).focus();
+    } else {
+      const heading = contentContainer.querySelector('.view-title');
+      heading.setAttribute('tabindex', '-1');
+      heading.focus();
+    }
+  }
+
+  /**
+   * Show notification to user
+   */
+  showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification fixed top-4 right-4 p-4 rounded shadow-lg z-50 ${
+      type === 'error' ? 'bg-red-600' : 
+      type === 'warning' ? 'bg-yellow-600' : 
+      type === 'success' ? 'bg-green-600' : 'bg-blue-600'
+    } text-white`;
+    
+    notification.innerHTML = `
+      <div class="flex items-center space-x-2">
+        <span class="notification-message"></span>
+        <button class="ml-2 text-white hover:text-gray-200" onclick="this.parentElement.parentElement.remove()">×</button>
+      </div>
+    `;
+    // Messages can include profile names, so they are set as text
+    notification.querySelector('.notification-message').textContent = message;
+    
+    document.body.appendChild(notification);
+    
+    // Auto-remove after 5 seconds
+    setTimeout(() => {
+      if (notification.parentNode) {
+        notification.parentNode.removeChild(notification);
+      }
+    }, 5000);
+  }
+
+  /**
+   * Get placeholder content data
+   */
+  getPlaceholderContent() {
+    return {
+      hero: {
+        id: 'hero-featured',
+        title: 'Featured Content',
+        description: 'Discover amazing stories and unforgettable characters in this featured content.',
+        backdrop: 'https://via.placeholder.com/1920x1080/141414/ffffff?text=Featured+Content',
+        year: 2024,
         rating: 8.5,
+        maturityRating: 'PG-13',
         duration: '2h 15m',
         genres: ['Action', 'Drama', 'Thriller']
       },
@@ -612,168 +3544,1138 @@ class NetflixApp {
           title: 'My List',
           items: []
         }
-      ]
-    };
+      ]
+    };
+  }
+
+  /**
+   * Load the featured titles into the hero and start rotating through them
+   */
+  loadHeroContent() {
+    const items = this.getHeroItems();
+    if (items.length === 0) {
+      console.warn('⚠️ No hero data available');
+      clearTimeout(this.heroTimer);
+      this.stopHeroTrailer();
+      return;
+    }
+
+    // Stay on the same title when it's still featured, e.g. after switching profiles
+    this.heroIndex = Math.max(0, HeroCarousel.findIndex(items, this.heroContentId));
+
+    this.renderHeroDots(items);
+    document.querySelector('.hero-carousel-controls')?.classList.toggle('hidden', items.length < 2);
+    this.showHeroSlide(this.heroIndex, { animate: false });
+
+    console.log('🦸 Hero content loaded successfully');
+  }
+
+  /**
+   * Show one featured title, crossfading from the previous one
+   */
+  showHeroSlide(index, { animate = true, announce = false } = {}) {
+    const items = this.getHeroItems();
+    if (items.length === 0) {
+      return;
+    }
+
+    this.heroIndex = HeroCarousel.wrapIndex(index, items.length);
+    const heroData = items[this.heroIndex];
+    const changed = heroData.id !== this.heroContentId;
+    this.heroContentId = heroData.id;
+
+    // Screen readers only hear titles the user asked for, not every automatic change
+    const details = document.querySelector('.hero-details');
+    details?.setAttribute('aria-live', announce ? 'polite' : 'off');
+
+    this.updateHeroBackdrop(heroData, animate && changed);
+    this.updateHeroDetails(heroData);
+
+    // Each title shows its backdrop first, then its own trailer
+    if (changed) {
+      this.stopHeroTrailer();
+      this.scheduleHeroTrailer();
+    }
+
+    if (details && animate && changed) {
+      details.classList.remove('is-entering');
+      // Reading the width restarts the fade-in animation
+      void details.offsetWidth;
+      details.classList.add('is-entering');
+    }
+
+    document.querySelectorAll('.hero-dot').forEach(dot => {
+      if (Number(dot.dataset.index) === this.heroIndex) {
+        dot.setAttribute('aria-current', 'true');
+      } else {
+        dot.removeAttribute('aria-current');
+      }
+    });
+
+    this.scheduleHeroRotation();
+  }
+
+  /**
+   * Show a featured title's backdrop, fading it in over the current one
+   */
+  updateHeroBackdrop(heroData, animate) {
+    const layers = Array.from(document.querySelectorAll('.hero-backdrop'));
+    if (layers.length === 0 || !heroData.backdrop) {
+      return;
+    }
+
+    const current = layers.find(layer => layer.classList.contains('is-active')) || layers[0];
+    const next = animate ? layers.find(layer => layer !== current) || current : current;
+
+    next.src = heroData.backdrop;
+    next.alt = `${heroData.title} backdrop`;
+    next.removeAttribute('aria-hidden');
+
+    if (next !== current) {
+      current.classList.remove('is-active');
+      current.alt = '';
+      current.setAttribute('aria-hidden', 'true');
+      next.classList.add('is-active');
+    }
+  }
+
+  /**
+   * Fill the hero text and buttons with a featured title
+   */
+  updateHeroDetails(heroData) {
+    // Update hero title
+    const heroTitle = document.getElementById('hero-title');
+    if (heroTitle) {
+      heroTitle.textContent = heroData.title;
+    }
+
+    // Update hero description
+    const heroDescription = document.querySelector('.hero-description');
+    if (heroDescription) {
+      heroDescription.textContent = heroData.description;
+    }
+
+    // Update hero metadata
+    const ratingElement = document.querySelector('.hero-meta .rating');
+    const yearElement = document.querySelector('.hero-meta .year');
+    const durationElement = document.querySelector('.hero-meta .duration');
+    const genresElement = document.querySelector('.hero-meta .genres');
+
+    if (ratingElement && heroData.rating) {
+      ratingElement.querySelector('.rating-value').textContent = heroData.rating;
+    }
+    if (yearElement) {
+      yearElement.textContent = heroData.year;
+    }
+    if (durationElement) {
+      durationElement.textContent = this.formatRuntime(heroData);
+    }
+    if (genresElement && heroData.genres) {
+      genresElement.textContent = heroData.genres.join(' • ');
+    }
+
+    // Update button aria-labels
+    const playButton = document.querySelector('.btn-play');
+    const infoButton = document.querySelector('.btn-info');
+    
+    if (playButton) {
+      playButton.setAttribute('aria-label', `Play ${heroData.title}`);
+    }
+    if (infoButton) {
+      infoButton.setAttribute('aria-label', `More information about ${heroData.title}`);
+    }
+  }
+
+  /**
+   * Render one dot per featured title
+   */
+  renderHeroDots(items) {
+    const dotsContainer = document.querySelector('.hero-dots');
+    if (!dotsContainer) {
+      return;
+    }
+
+    dotsContainer.innerHTML = '';
+    items.forEach((item, index) => {
+      const dot = document.createElement('button');
+      dot.type = 'button';
+      dot.className = 'hero-dot';
+      dot.dataset.index = String(index);
+      dot.setAttribute('aria-label', `Show ${item.title} (${index + 1} of ${items.length})`);
+      dotsContainer.appendChild(dot);
+    });
+  }
+
+  /**
+   * Advance to the next featured title after the interval, unless something is holding it
+   */
+  scheduleHeroRotation() {
+    clearTimeout(this.heroTimer);
+    this.heroTimer = null;
+
+    if (!HeroCarousel.shouldRotate(this.getHeroItems().length, this.heroPauseReasons)) {
+      return;
+    }
+
+    this.heroTimer = setTimeout(() => {
+      // Wait while another view or search results hide the hero
+      if (document.querySelector('.hero')?.classList.contains('hidden')) {
+        this.scheduleHeroRotation();
+        return;
+      }
+      this.showHeroSlide(this.heroIndex + 1);
+    }, AppConfig.hero.interval);
+  }
+
+  /**
+   * Hold or release the rotation for one reason: 'hover', 'focus', 'hidden' or 'user'
+   */
+  setHeroPaused(reason, paused) {
+    if (paused === this.heroPauseReasons.has(reason)) {
+      return;
+    }
+
+    if (paused) {
+      this.heroPauseReasons.add(reason);
+    } else {
+      this.heroPauseReasons.delete(reason);
+    }
+
+    if (reason === 'user') {
+      this.updateHeroPauseButton();
+    }
+    this.scheduleHeroRotation();
+  }
+
+  /**
+   * Show whether the pause button will pause or resume the rotation
+   */
+  updateHeroPauseButton() {
+    const pauseButton = document.querySelector('.hero-pause');
+    if (!pauseButton) {
+      return;
+    }
+
+    const paused = this.heroPauseReasons.has('user');
+    pauseButton.setAttribute('aria-label', paused ? 'Play featured titles' : 'Pause featured titles');
+    pauseButton.querySelector('.hero-pause-icon')?.classList.toggle('hidden', paused);
+    pauseButton.querySelector('.hero-resume-icon')?.classList.toggle('hidden', !paused);
+  }
+
+  /**
+   * Start the showing title's trailer after a short delay, unless it has none
+   * or an earlier attempt to load it failed
+   */
+  scheduleHeroTrailer() {
+    clearTimeout(this.heroTrailerTimer);
+    this.heroTrailerTimer = null;
+
+    const heroData = this.getHeroContent();
+    if (!heroData || !heroData.trailerUrl || this.failedTrailerUrls.has(heroData.trailerUrl) || this.prefersReducedMotion()) {
+      return;
+    }
+
+    this.heroTrailerTimer = setTimeout(() => {
+      this.heroTrailerTimer = null;
+      this.startHeroTrailer(heroData);
+    }, AppConfig.hero.trailerDelay);
+  }
+
+  /**
+   * Load and play a title's trailer over its backdrop
+   */
+  startHeroTrailer(heroData) {
+    const trailer = document.querySelector('.hero-trailer');
+    if (!trailer || heroData.id !== this.heroContentId) {
+      return;
+    }
+
+    // resumeActiveContent starts it once nothing covers the hero
+    if (!this.canPlayPreviews() || trailer.closest('.hidden')) {
+      return;
+    }
+
+    trailer.src = heroData.trailerUrl;
+    trailer.muted = this.heroTrailerMuted;
+    this.playPreview(trailer);
+  }
+
+  /**
+   * Stop the trailer and show the backdrop image again
+   */
+  stopHeroTrailer() {
+    clearTimeout(this.heroTrailerTimer);
+    this.heroTrailerTimer = null;
+
+    document.querySelector('.hero')?.classList.remove('trailer-playing');
+    document.querySelector('.hero-trailer-controls')?.classList.add('hidden');
+
+    const trailer = document.querySelector('.hero-trailer');
+    if (!trailer || !trailer.getAttribute('src')) {
+      return;
+    }
+
+    this.pausedPreviews.delete(trailer);
+    trailer.pause();
+    trailer.removeAttribute('src');
+    trailer.load();
+  }
+
+  /**
+   * Play a muted preview video. Browsers may refuse to play sound without a
+   * click, so a refused unmuted preview retries muted.
+   */
+  playPreview(video) {
+    const playPromise = video.play();
+    if (!playPromise || typeof playPromise.catch !== 'function') {
+      return;
+    }
+
+    playPromise.catch(error => {
+      // Changing or removing the source interrupts a pending play; that's expected
+      if (error.name === 'AbortError') return;
+
+      if (error.name === 'NotAllowedError' && !video.muted) {
+        video.muted = true;
+        if (video.classList.contains('hero-trailer')) {
+          this.heroTrailerMuted = true;
+          this.updateHeroTrailerMuteButton();
+        }
+        this.playPreview(video);
+        return;
+      }
+
+      console.warn('⚠️ Preview playback did not start:', error);
+    });
+  }
+
+  /**
+   * Show whether the mute button will mute or unmute the trailer
+   */
+  updateHeroTrailerMuteButton() {
+    const muteButton = document.querySelector('.hero-trailer-mute');
+    if (!muteButton) {
+      return;
+    }
+
+    muteButton.setAttribute('aria-label', this.heroTrailerMuted ? 'Unmute trailer' : 'Mute trailer');
+    muteButton.querySelector('.hero-muted-icon')?.classList.toggle('hidden', !this.heroTrailerMuted);
+    muteButton.querySelector('.hero-unmuted-icon')?.classList.toggle('hidden', this.heroTrailerMuted);
+  }
+
+  /**
+   * Check whether the viewer has asked the system for less motion
+   */
+  prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  /**
+   * Setup hash-based routing between views
+   */
+  setupRouter() {
+    const viewRoutes = Object.keys(AppConfig.views).map(viewName => ({
+      path: viewName,
+      handler: () => this.showView(viewName)
+    }));
+
+    const titleRoute = {
+      path: 'title/:id',
+      handler: (params) => this.showTitleFromRoute(params.id)
+    };
+
+    this.router = new HashRouter({
+      routes: [...viewRoutes, titleRoute],
+      defaultPath: 'home',
+      onNotFound: (path) => this.showNotFoundView(path)
+    });
+
+    // Back from a title URL closes its modal
+    window.addEventListener('popstate', () => {
+      if (AppState.currentModal && !window.location.hash.startsWith('#title/')) {
+        this.modalHistoryPushed = false;
+        this.closeModal({ fromHistory: true });
+      }
+    });
+
+    this.router.start();
+    
+    console.log('🧭 Router setup complete');
+  }
+
+  /**
+   * Render one of the views configured in AppConfig.views
+   */
+  showView(viewName) {
+    const view = AppConfig.views[viewName];
+
+    if (AppState.currentModal) {
+      this.closeModal({ fromHistory: true });
+    }
+
+    // Leaving a title URL keeps the view underneath as it was
+    if (this.renderedViewPath === viewName) return;
+
+    AppState.currentView = viewName;
+    this.renderedViewPath = viewName;
+    this.prepareViewChange();
+    this.renderView(view);
+
+    this.updateActiveNavLink(viewName);
+    console.log(`🧭 Showing view: ${viewName}`);
+  }
+
+  /**
+   * Render a view's content in the content container
+   */
+  renderView(view) {
+    // Viewing activity is saved in the browser, so it shows without the catalog
+    if (AppState.contentLoadFailed && view.layout !== 'activity') {
+      this.renderContentLoadError();
+    } else if (view.layout === 'grid') {
+      this.renderGridView(view);
+    } else if (view.layout === 'activity') {
+      this.renderViewingActivity(view);
+    } else {
+      this.initializeContentRows();
+    }
+  }
+
+  /**
+   * Reset search and scroll position before switching views
+   */
+  prepareViewChange() {
+    if (AppState.searchOpen) {
+      this.closeSearch({ restoreFocus: false });
+    }
+
+    this.togglePageSections(true);
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Render a view as a single grid of one category
+   */
+  renderGridView(view) {
+    const contentContainer = document.getElementById('content-container');
+    if (!contentContainer) return;
+
+    contentContainer.innerHTML = '';
+    contentContainer.appendChild(this.createViewHeading(view.title));
+
+    const grid = document.createElement('div');
+    grid.className = 'content-grid';
+    grid.dataset.category = view.category;
+    grid.dataset.emptyMessage = view.emptyMessage || '';
+    grid.setAttribute('role', 'group');
+    grid.setAttribute('aria-label', `${view.title} content`);
+    contentContainer.appendChild(grid);
+
+    this.refreshCategoryRow(view.category);
+  }
+
+  /**
+   * Render the not-found view for unknown routes
+   */
+  showNotFoundView(path) {
+    const contentContainer = document.getElementById('content-container');
+
+    console.warn(`⚠️ No route for "${path}"`);
+
+    if (AppState.currentModal) {
+      this.closeModal({ fromHistory: true });
+    }
+
+    AppState.currentView = 'not-found';
+    this.renderedViewPath = path;
+    this.prepareViewChange();
+    this.updateActiveNavLink(null);
+
+    if (!contentContainer) return;
+
+    contentContainer.innerHTML = `
+      <div class="not-found-view text-center py-24">
+        <h1 class="text-4xl md:text-5xl font-bold mb-4 text-white">Lost your way?</h1>
+        <p class="text-lg text-gray-400 mb-8">Sorry, we can't find that page. You'll find lots to explore on the home page.</p>
+        <a href="#home" class="not-found-home bg-white text-black px-6 py-3 rounded font-semibold hover:bg-gray-200 transition-colors">Netflix Home</a>
+      </div>
+    `;
+  }
+
+  /**
+   * Create the heading shown at the top of non-home views
+   */
+  createViewHeading(title) {
+    const heading = document.createElement('h1');
+    heading.className = 'view-title text-3xl md:text-4xl font-bold text-white';
+    heading.textContent = title;
+    return heading;
+  }
+
+  /**
+   * Mark the navigation links for the current view as active
+   */
+  updateActiveNavLink(viewName) {
+    document.querySelectorAll('.nav-link, .mobile-menu a').forEach(link => {
+      const isActive = viewName !== null && link.getAttribute('href') === `#${viewName}`;
+      link.classList.toggle('active', isActive);
+
+      if (isActive) {
+        link.setAttribute('aria-current', 'page');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Initialize content rows for the current view
+   */
+  initializeContentRows() {
+    const contentContainer = document.getElementById('content-container');
+    
+    if (!contentContainer || !AppState.contentData) {
+      console.warn('⚠️ Content container or data not available');
+      return;
+    }
+
+    const view = AppConfig.views[AppState.currentView] || AppConfig.views.home;
+
+    // Clear existing content
+    contentContainer.innerHTML = '';
+
+    if (!view.showHero) {
+      contentContainer.appendChild(this.createViewHeading(view.title));
+    }
+
+    const continueWatchingRow = this.createContinueWatchingRow();
+    if (continueWatchingRow) {
+      contentContainer.appendChild(continueWatchingRow);
+    }
+
+    this.createRecommendationRows().forEach(rowElement => contentContainer.appendChild(rowElement));
+
+    // Rows that failed to load a page try again now the view is shown afresh
+    Object.values(AppState.categoryPages).forEach(pages => {
+      pages.failed = false;
+    });
+    this.categoryRowObserver?.disconnect();
+
+    // Create content rows from actual data
+    AppState.contentData.categories.forEach(category => {
+      // Skip rows left empty by the view's content type or the profile's maturity limit.
+      // Rows with pages still to load can't tell yet.
+      if (!this.isCategoryPending(category.id)
+        && (view.contentType || category.items.length > 0)
+        && this.getViewContentByCategory(category.id).length === 0) {
+        return;
+      }
+
+      const rowElement = this.createContentRow(category);
+      contentContainer.appendChild(rowElement);
+    });
+    
+    console.log('🎬 Content rows initialized with real data');
+  }
+
+  /**
+   * Create the Continue Watching row, or null when nothing is in progress
+   */
+  createContinueWatchingRow() {
+    const { categoryId, title } = AppConfig.continueWatching;
+
+    if (this.getViewContentByCategory(categoryId).length === 0) {
+      return null;
+    }
+
+    const rowElement = this.createContentRow({ id: categoryId, title });
+    rowElement.classList.add('continue-watching-row');
+    return rowElement;
+  }
+
+  /**
+   * Add, update or remove the Continue Watching row after progress changes
+   */
+  refreshContinueWatchingRow() {
+    const contentContainer = document.getElementById('content-container');
+    const view = AppConfig.views[AppState.currentView];
+
+    // Only row-based views show Continue Watching
+    if (!contentContainer || !view || view.layout) return;
+
+    const existingRow = contentContainer.querySelector('.continue-watching-row');
+    const hasItems = this.getViewContentByCategory(AppConfig.continueWatching.categoryId).length > 0;
+
+    // Re-rendering replaces the cards, so remember which title had focus
+    const focusedCard = existingRow && existingRow.contains(document.activeElement)
+      ? document.activeElement.closest('.content-card')
+      : null;
+
+    if (existingRow && hasItems) {
+      this.refreshCategoryRow(AppConfig.continueWatching.categoryId);
+
+      if (focusedCard) {
+        const sameCard = existingRow.querySelector(`[data-content-id="${focusedCard.dataset.contentId}"]`);
+        this.focusCard(sameCard || existingRow.querySelector('.content-card'));
+      }
+    } else if (existingRow) {
+      existingRow.remove();
+
+      if (focusedCard) {
+        this.focusCard(contentContainer.querySelector('.content-card'));
+      }
+    } else if (hasItems) {
+      const rowElement = this.createContinueWatchingRow();
+      const heading = contentContainer.querySelector('.view-title');
+      contentContainer.insertBefore(rowElement, heading ? heading.nextSibling : contentContainer.firstChild);
+    }
+  }
+
+  /**
+   * Create the "Because you liked" rows that have titles for the current view
+   */
+  createRecommendationRows() {
+    return this.getRecommendationRows()
+      .filter(row => this.getViewContentByCategory(row.id).length > 0)
+      .map(row => {
+        const rowElement = this.createContentRow(row);
+        rowElement.classList.add('recommendation-row');
+        return rowElement;
+      });
+  }
+
+  /**
+   * Rebuild the "Because you liked" rows after ratings or My List change
+   */
+  refreshRecommendationRows() {
+    const contentContainer = document.getElementById('content-container');
+    const view = AppConfig.views[AppState.currentView];
+
+    // Only row-based views show recommendations
+    if (!contentContainer || !view || view.layout) return;
+
+    contentContainer.querySelectorAll('.recommendation-row').forEach(rowElement => rowElement.remove());
+
+    // Recommendations follow Continue Watching and the view heading
+    const previous = contentContainer.querySelector('.continue-watching-row') || contentContainer.querySelector('.view-title');
+    let insertBefore = previous ? previous.nextSibling : contentContainer.firstChild;
+
+    this.createRecommendationRows().forEach(rowElement => {
+      contentContainer.insertBefore(rowElement, insertBefore);
+      insertBefore = rowElement.nextSibling;
+    });
+  }
+
+  /**
+   * Create a content row element
+   */
+  createContentRow(category) {
+    const rowElement = document.createElement('section');
+    rowElement.className = 'content-row mb-8';
+    rowElement.setAttribute('role', 'region');
+    rowElement.setAttribute('aria-labelledby', `row-title-${category.id}`);
+    
+    rowElement.innerHTML = `
+      <div class="row-header flex items-center justify-between">
+        <h2 id="row-title-${category.id}" class="row-title text-2xl font-bold mb-4 text-white">${category.title}</h2>
+        <button class="filter-toggle row-filter-toggle" 
+                aria-expanded="false" 
+                aria-controls="filter-panel-${category.id}">
+          Filters
+        </button>
+      </div>
+      <div id="filter-panel-${category.id}" class="filter-panel hidden"></div>
+      <div class="row-container relative">
+        <button class="scroll-btn scroll-left" 
+                aria-label="Scroll ${category.title} left" 
+                tabindex="0">
+          <span aria-hidden="true">‹</span>
+        </button>
+        <div class="content-slider" 
+             data-category="${category.id}"
+             role="group"
+             aria-label="${category.title} content">
+        </div>
+        <button class="scroll-btn scroll-right" 
+                aria-label="Scroll ${category.title} right" 
+                tabindex="0">
+          <span aria-hidden="true">›</span>
+        </button>
+      </div>
+    `;
+
+    this.renderSliderCards(rowElement.querySelector('.content-slider'), this.getFilteredContentByCategory(category.id), {
+      showProgress: category.id === AppConfig.continueWatching.categoryId
+    });
+
+    // Add scroll functionality
+    this.setupRowScrolling(rowElement, category.id);
+
+    // Add filter panel
+    this.setupRowFilters(rowElement, category.id);
+
+    // Paged categories load their first titles as the row nears the viewport
+    this.observeCategoryRow(rowElement.querySelector('.content-slider'));
+    
+    return rowElement;
+  }
+
+  /**
+   * Setup the filter panel of a content row
+   */
+  setupRowFilters(rowElement, categoryId) {
+    const filterToggle = rowElement.querySelector('.row-filter-toggle');
+    const filterPanel = rowElement.querySelector('.filter-panel');
+
+    if (!filterToggle || !filterPanel) return;
+
+    this.setupFilterToggle(filterToggle, filterPanel);
+
+    // Render the panel when first opened so counts reflect the current items
+    filterToggle.addEventListener('click', () => {
+      if (!filterPanel.classList.contains('hidden')) {
+        this.renderFilterPanel(filterPanel, this.getViewContentByCategory(categoryId), categoryId, () => {
+          this.refreshCategoryRow(categoryId);
+        });
+      }
+    });
+  }
+
+  /**
+   * Re-render the cards of a content row or grid from its current (filtered) items
+   */
+  refreshCategoryRow(categoryId) {
+    const container = document.querySelector(`[data-category="${categoryId}"]`);
+    if (!container) return;
+
+    const items = this.getFilteredContentByCategory(categoryId);
+    const options = { showProgress: categoryId === AppConfig.continueWatching.categoryId };
+
+    // Grids have no scroll state to reset
+    if (!container.classList.contains('content-slider')) {
+      container.innerHTML = this.createContentCards(items, container.dataset.emptyMessage || undefined, options);
+      this.setupContentCardHandlers(container);
+      return;
+    }
+
+    const slider = container;
+    slider.scrollLeft = 0;
+    AppState.scrollPositions[categoryId] = 0;
+    this.renderSliderCards(slider, items, options);
+
+    const rowContainer = slider.parentElement;
+    this.updateScrollButtons(slider, rowContainer.querySelector('.scroll-left'), rowContainer.querySelector('.scroll-right'));
+
+    // Filters may leave too few titles to fill the row
+    this.loadMoreIfNearEnd(slider);
+  }
+
+  /**
+   * Render a row's cards. Short rows mount every card; long rows only mount
+   * the cards near the visible scroll range, with spacers keeping the row as
+   * wide as if every card were there.
+   */
+  renderSliderCards(slider, items, options = {}) {
+    if (!RowWindow.isWindowed(items.length)) {
+      this.rowWindows.delete(slider);
+      slider.innerHTML = this.createContentCards(items, undefined, options);
+      this.setupContentCardHandlers(slider);
+    } else {
+      slider.innerHTML = `
+        <div class="slider-spacer" aria-hidden="true" hidden></div>
+        <div class="slider-spacer" aria-hidden="true" hidden></div>
+      `;
+      this.rowWindows.set(slider, { items, options, start: 0, end: 0, frame: null });
+      this.updateRowWindow(slider);
+    }
+
+    this.updateRowPlaceholder(slider);
+  }
+
+  /**
+   * Add newly loaded titles to the end of a row. The cards already there stay
+   * mounted, so the row keeps its scroll position and focus.
+   */
+  appendSliderCards(slider, items, options = {}) {
+    const rowWindow = this.rowWindows.get(slider);
+    const mountedCount = slider.querySelectorAll(':scope > .content-card').length;
+
+    if (rowWindow) {
+      rowWindow.items = items;
+      this.updateRowWindow(slider);
+    } else if (RowWindow.isWindowed(items.length)) {
+      // The row has grown long enough to only mount the cards near the visible range
+      const { scrollLeft } = slider;
+      const focusedCard = slider.contains(document.activeElement) ? document.activeElement.closest('.content-card') : null;
+
+      if (this.activeCardPreview && slider.contains(this.activeCardPreview.card)) {
+        this.hideCardPreview();
+      }
+
+      this.renderSliderCards(slider, items, options);
+      slider.scrollLeft = scrollLeft;
+      this.updateRowWindow(slider);
+
+      if (focusedCard) {
+        this.focusCard(slider.querySelector(`.content-card[data-content-id="${focusedCard.dataset.contentId}"]`), { preventScroll: true });
+      }
+    } else if (mountedCount === 0) {
+      slider.innerHTML = this.createContentCards(items, undefined, options);
+      this.setupContentCardHandlers(slider);
+    } else if (items.length > mountedCount) {
+      const template = document.createElement('template');
+      template.innerHTML = this.createContentCards(items.slice(mountedCount), undefined, options);
+      template.content.querySelectorAll('.content-card').forEach(card => this.setupContentCardHandler(card));
+      slider.insertBefore(template.content, slider.querySelector(':scope > .card-placeholder'));
+    }
+
+    this.updateRowPlaceholder(slider);
+  }
+
+  /**
+   * Show a placeholder card at the end of a paged row while a page is in
+   * flight, or while the row waits for its first titles
+   */
+  updateRowPlaceholder(slider) {
+    const pages = AppState.categoryPages[slider.dataset.category];
+    if (!pages) return;
+
+    const hasCards = Boolean(slider.querySelector(':scope > .content-card'));
+    const loading = pages.loading || (!hasCards && !pages.complete && !pages.failed);
+    const failed = pages.failed && !pages.loading;
+    const placeholder = slider.querySelector(':scope > .card-placeholder');
+    const loadError = slider.querySelector(':scope > .row-load-error');
+
+    slider.setAttribute('aria-busy', String(pages.loading));
+    slider.querySelector(':scope > .content-empty-state')?.toggleAttribute('hidden', loading || failed);
+
+    if (loading && !placeholder) {
+      slider.insertAdjacentHTML('beforeend', '<div class="card-placeholder loading" aria-hidden="true"></div>');
+    } else if (!loading && placeholder) {
+      placeholder.remove();
+    }
+
+    if (failed && !loadError) {
+      slider.appendChild(this.createRowLoadError(slider.dataset.category));
+    } else if (!failed && loadError) {
+      loadError.remove();
+    }
+  }
+
+  /**
+   * Create the "Couldn't load titles — Retry" tile for the end of a row whose page failed
+   */
+  createRowLoadError(categoryId) {
+    const loadError = document.createElement('div');
+    loadError.className = 'row-load-error';
+    loadError.setAttribute('role', 'alert');
+    loadError.innerHTML = `
+      <p>
+        Couldn't load titles —
+        <button type="button" class="row-load-retry">Retry</button>
+      </p>
+    `;
+
+    loadError.querySelector('.row-load-retry').addEventListener('click', () => this.retryCategoryPage(categoryId));
+    return loadError;
+  }
+
+  /**
+   * Load a row's failed page again, keeping keyboard focus in the row
+   */
+  async retryCategoryPage(categoryId) {
+    const slider = document.querySelector(`.content-slider[data-category="${categoryId}"]`);
+    const button = slider?.querySelector('.row-load-retry');
+    const hadFocus = Boolean(button) && button === document.activeElement;
+    const category = AppState.contentData.categories.find(cat => cat.id === categoryId);
+    const loadedCount = category ? category.items.length : 0;
+
+    console.log(`🔁 Retrying titles for ${categoryId}...`);
+    const loaded = await this.loadCategoryPage(categoryId);
+
+    if (!hadFocus || !slider.isConnected) return loaded;
+
+    // Focus the first new title, or the Retry button shown again
+    const firstNewItem = category?.items[loadedCount];
+    if (loaded && firstNewItem) {
+      const selector = `.content-card[data-content-id="${firstNewItem.id}"]`;
+      const rowWindow = this.rowWindows.get(slider);
+
+      // A long row only mounts the cards near its scroll position, so scroll the new title into range first
+      if (rowWindow && !slider.querySelector(selector)) {
+        const index = rowWindow.items.findIndex(item => item.id === firstNewItem.id);
+        if (index >= 0) {
+          slider.scrollLeft = index * this.getCardStride(slider).stride;
+          this.updateRowWindow(slider);
+        }
+      }
+
+      const mountedCards = slider.querySelectorAll(':scope > .content-card');
+      this.focusCard(slider.querySelector(selector) || mountedCards[mountedCards.length - 1]);
+    } else {
+      slider.querySelector('.row-load-retry')?.focus();
+    }
+
+    return loaded;
   }
 
   /**
-   * Load hero content into the hero section
+   * Bring a paged category's row up to date with its loaded titles and loading state
    */
-  loadHeroContent() {
-    const heroData = AppState.contentData?.hero;
-    if (!heroData) {
-      console.warn('⚠️ No hero data available');
+  renderCategoryPage(categoryId) {
+    const slider = document.querySelector(`.content-slider[data-category="${categoryId}"]`);
+    if (!slider) return;
+
+    const pages = AppState.categoryPages[categoryId];
+    const view = AppConfig.views[AppState.currentView];
+    const category = AppState.contentData.categories.find(cat => cat.id === categoryId);
+
+    // Rows the view or the profile's maturity limit leaves empty go, as when rows are first rendered
+    if (pages.complete && (view.contentType || category.items.length > 0) && this.getViewContentByCategory(categoryId).length === 0) {
+      slider.closest('.content-row')?.remove();
+      return;
+    }
+
+    this.appendSliderCards(slider, this.getFilteredContentByCategory(categoryId));
+
+    const rowContainer = slider.parentElement;
+    this.updateScrollButtons(slider, rowContainer.querySelector('.scroll-left'), rowContainer.querySelector('.scroll-right'));
+
+    // Keep loading while the row is too short to scroll
+    this.loadMoreIfNearEnd(slider);
+  }
+
+  /**
+   * Load the first page of a paged row when it comes within a viewport of being seen
+   */
+  observeCategoryRow(slider) {
+    const pages = AppState.categoryPages[slider.dataset.category];
+    if (!pages || pages.loaded || pages.loading) return;
+
+    if (typeof IntersectionObserver === 'undefined') {
+      this.loadCategoryPage(slider.dataset.category);
       return;
     }
 
-    // Update hero background image
-    const heroBackgroundImg = document.getElementById('hero-background-image');
-    if (heroBackgroundImg && heroData.backdrop) {
-      heroBackgroundImg.src = heroData.backdrop;
-      heroBackgroundImg.alt = `${heroData.title} backdrop`;
-    }
+    if (!this.categoryRowObserver) {
+      this.categoryRowObserver = new IntersectionObserver(entries => {
+        entries.filter(entry => entry.isIntersecting).forEach(entry => {
+          this.categoryRowObserver.unobserve(entry.target);
+          this.loadCategoryPage(entry.target.dataset.category);
+        });
+      }, { rootMargin: '100% 0px' });
+    }
+
+    this.categoryRowObserver.observe(slider);
+  }
+
+  /**
+   * Load a paged row's next page once it's scrolled near its end. Rows that
+   * aren't laid out, like those of a hidden view, wait until they are.
+   */
+  loadMoreIfNearEnd(slider) {
+    const pages = AppState.categoryPages[slider.dataset.category];
+    if (!pages || !pages.loaded || pages.loading || pages.complete || pages.failed) return;
+    if (!slider.isConnected || slider.clientWidth === 0) return;
+
+    const remaining = slider.scrollWidth - slider.clientWidth - slider.scrollLeft;
+    if (remaining <= AppConfig.categoryPages.loadMoreDistance) {
+      this.loadCategoryPage(slider.dataset.category);
+    }
+  }
+
+  /**
+   * Mount the cards of a long row that are near its visible range and unmount
+   * the rest. Cards still in range stay mounted, so focus and previews survive.
+   */
+  updateRowWindow(slider) {
+    const rowWindow = this.rowWindows.get(slider);
+    if (!rowWindow) return;
+
+    const { items, options } = rowWindow;
+    const { stride, gap } = this.getCardStride(slider);
+    const range = RowWindow.getRange({
+      scrollLeft: slider.scrollLeft,
+      viewportWidth: slider.clientWidth || window.innerWidth,
+      stride,
+      count: items.length
+    });
+
+    const [beforeSpacer, afterSpacer] = slider.querySelectorAll(':scope > .slider-spacer');
+    const spacerWidths = RowWindow.getSpacerWidths(range, items.length, stride, gap);
+    [[beforeSpacer, spacerWidths.before], [afterSpacer, spacerWidths.after]].forEach(([spacer, width]) => {
+      spacer.style.width = `${width}px`;
+      spacer.hidden = width <= 0;
+    });
+
+    if (range.start === rowWindow.start && range.end === rowWindow.end) return;
 
-    // Update hero title
-    const heroTitle = document.getElementById('hero-title');
-    if (heroTitle) {
-      heroTitle.textContent = heroData.title;
-    }
+    slider.querySelectorAll(':scope > .content-card').forEach(card => {
+      const index = Number(card.dataset.index);
+      if (index < range.start || index >= range.end) {
+        card.remove();
+      }
+    });
 
-    // Update hero description
-    const heroDescription = document.querySelector('.hero-description');
-    if (heroDescription) {
-      heroDescription.textContent = heroData.description;
-    }
+    const keptStart = Math.max(range.start, rowWindow.start);
+    const keptEnd = Math.min(range.end, rowWindow.end);
 
-    // Update hero metadata
-    const ratingElement = document.querySelector('.hero-meta .rating');
-    const yearElement = document.querySelector('.hero-meta .year');
-    const durationElement = document.querySelector('.hero-meta .duration');
-    const genresElement = document.querySelector('.hero-meta .genres');
+    const mountCards = (start, end, beforeNode) => {
+      if (start >= end) return;
 
-    if (ratingElement && heroData.rating) {
-      ratingElement.querySelector('svg + *').textContent = heroData.rating;
-    }
-    if (yearElement) {
-      yearElement.textContent = heroData.year;
-    }
-    if (durationElement) {
-      durationElement.textContent = heroData.duration;
-    }
-    if (genresElement && heroData.genres) {
-      genresElement.textContent = heroData.genres.join(' • ');
-    }
+      const template = document.createElement('template');
+      template.innerHTML = this.createContentCards(items.slice(start, end), undefined, options);
+      template.content.querySelectorAll('.content-card').forEach((card, offset) => {
+        card.dataset.index = String(start + offset);
+        this.setupContentCardHandler(card);
+      });
+      slider.insertBefore(template.content, beforeNode);
+    };
 
-    // Update button aria-labels
-    const playButton = document.querySelector('.btn-play');
-    const infoButton = document.querySelector('.btn-info');
-    
-    if (playButton) {
-      playButton.setAttribute('aria-label', `Play ${heroData.title}`);
-    }
-    if (infoButton) {
-      infoButton.setAttribute('aria-label', `More information about ${heroData.title}`);
+    if (keptStart >= keptEnd) {
+      mountCards(range.start, range.end, afterSpacer);
+    } else {
+      mountCards(range.start, keptStart, beforeSpacer.nextSibling);
+      mountCards(keptEnd, range.end, afterSpacer);
     }
 
-    console.log('🦸 Hero content loaded successfully');
+    rowWindow.start = range.start;
+    rowWindow.end = range.end;
   }
 
   /**
-   * Initialize content rows
+   * Update a long row's mounted cards once per frame while it scrolls
    */
-  initializeContentRows() {
-    const contentContainer = document.getElementById('content-container');
-    
-    if (!contentContainer || !AppState.contentData) {
-      console.warn('⚠️ Content container or data not available');
-      return;
-    }
+  scheduleRowWindowUpdate(slider) {
+    const rowWindow = this.rowWindows.get(slider);
+    if (!rowWindow || rowWindow.frame) return;
 
-    // Clear existing content
-    contentContainer.innerHTML = '';
-
-    // Create content rows from actual data
-    AppState.contentData.categories.forEach(category => {
-      const rowElement = this.createContentRow(category);
-      contentContainer.appendChild(rowElement);
+    rowWindow.frame = requestAnimationFrame(() => {
+      rowWindow.frame = null;
+      this.updateRowWindow(slider);
     });
-    
-    console.log('🎬 Content rows initialized with real data');
   }
 
   /**
-   * Create a content row element
+   * Get the width of one card plus the gap after it, measured from a mounted
+   * card, or estimated from the viewport while the row is hidden
    */
-  createContentRow(category) {
-    const rowElement = document.createElement('section');
-    rowElement.className = 'content-row mb-8';
-    rowElement.setAttribute('role', 'region');
-    rowElement.setAttribute('aria-labelledby', `row-title-${category.id}`);
-    
-    rowElement.innerHTML = `
-      <h2 id="row-title-${category.id}" class="row-title text-2xl font-bold mb-4 text-white">${category.title}</h2>
-      <div class="row-container relative">
-        <button class="scroll-btn scroll-left" 
-                aria-label="Scroll ${category.title} left" 
-                tabindex="0">
-          <span aria-hidden="true">‹</span>
-        </button>
-        <div class="content-slider" 
-             data-category="${category.id}"
-             role="group"
-             aria-label="${category.title} content">
-          ${this.createContentCards(category.items)}
-        </div>
-        <button class="scroll-btn scroll-right" 
-                aria-label="Scroll ${category.title} right" 
-                tabindex="0">
-          <span aria-hidden="true">›</span>
-        </button>
-      </div>
-    `;
+  getCardStride(slider) {
+    const card = slider.querySelector(':scope > .content-card');
+    const gap = parseFloat(getComputedStyle(slider).columnGap);
 
-    // Add scroll functionality
-    this.setupRowScrolling(rowElement, category.id);
-    
-    return rowElement;
+    if (card && card.offsetWidth > 0 && Number.isFinite(gap)) {
+      return { stride: card.offsetWidth + gap, gap };
+    }
+
+    const metrics = this.getCardMetrics();
+    return { stride: metrics.cardWidth + metrics.gap, gap: metrics.gap };
+  }
+
+  /**
+   * Get the card width and gap of the current breakpoint
+   */
+  getCardMetrics() {
+    const viewportWidth = window.innerWidth;
+    return {
+      cardWidth: viewportWidth < 640 ? 150 : viewportWidth < 1024 ? 180 : 200,
+      gap: viewportWidth < 640 ? 12 : viewportWidth < 1024 ? 16 : 20
+    };
   }
 
   /**
-   * Create content cards from actual data
+   * Create content cards from actual data, optionally with playback progress
    */
-  createContentCards(items) {
+  createContentCards(items, emptyMessage = 'No content available', { showProgress = false } = {}) {
     if (!items || items.length === 0) {
-      return '<div class="text-gray-400 px-4 py-8 text-center">No content available</div>';
+      return `<div class="content-empty-state text-gray-400 px-4 py-8 text-center">${emptyMessage}</div>`;
     }
 
+    // The card is a plain container: its details button and quick actions sit side by side
     return items.map(item => `
-      <div class="content-card" 
-           data-content-id="${item.id}" 
-           tabindex="0" 
-           role="button" 
-           aria-label="View details for ${item.title}">
+      <div class="content-card" data-content-id="${item.id}">
         <div class="relative">
-          <img src="${item.poster}" 
-               alt="${item.title} poster" 
-               loading="lazy"
-               onerror="this.src='https://via.placeholder.com/200x300/333333/ffffff?text=No+Image'">
+          <button type="button" class="card-open" aria-label="View details for ${item.title}">
+            <img src="${item.poster}" 
+                 alt="" 
+                 loading="lazy"
+                 onerror="this.src='https://via.placeholder.com/200x300/333333/ffffff?text=No+Image'">
+          </button>
           <div class="card-overlay">
             <div class="card-info">
               <h3>${item.title}</h3>
-              <p>${item.genres.join(' • ')} • ${item.year}</p>
+              <p>${[...item.genres, item.year, this.formatRuntime(item)].filter(Boolean).join(' • ')}</p>
               <div class="rating">
                 <svg class="w-4 h-4 text-yellow-400" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
                   <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"></path>
                 </svg>
                 <span>${item.rating}</span>
               </div>
+              ${item.videoUrl ? `
+                <button class="card-play-btn" aria-label="Play ${item.title}">
+                  <svg class="w-4 h-4" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+                    <path d="M6.3 2.841A1.5 1.5 0 004 4.11v11.78a1.5 1.5 0 002.3 1.269l9.344-5.89a1.5 1.5 0 000-2.538L6.3 2.84z"></path>
+                  </svg>
+                  <span>${showProgress ? 'Resume' : 'Play'}</span>
+                </button>
+              ` : ''}
+              ${showProgress ? `
+                <button class="card-remove-btn" aria-label="Remove ${item.title} from Continue Watching">
+                  Remove from row
+                </button>
+              ` : ''}
             </div>
           </div>
+          ${this.createRatingBadge(item.id)}
+          ${showProgress ? this.createProgressBar(item) : ''}
         </div>
       </div>
     `).join('');
   }
 
+  /**
+   * Create the badge showing the user's rating on a card, or '' if unrated
+   */
+  createRatingBadge(contentId) {
+    const rating = this.getUserRating(contentId);
+    if (!rating) return '';
+
+    return `
+      <span class="card-rating-badge" data-rating="${rating}" role="img" aria-label="Your rating: ${AppConfig.userRatings[rating].label}">
+        ${this.getRatingIcon(rating, true)}
+      </span>
+    `;
+  }
+
+  /**
+   * Update the rating badge on every card of a title
+   */
+  updateCardRatingBadges(contentId) {
+    document.querySelectorAll(`.content-card[data-content-id="${contentId}"]`).forEach(card => {
+      const container = card.querySelector('.relative');
+      container.querySelector('.card-rating-badge')?.remove();
+      container.insertAdjacentHTML('beforeend', this.createRatingBadge(contentId));
+    });
+  }
+
+  /**
+   * Create the progress bar shown on Continue Watching cards
+   */
+  createProgressBar(item) {
+    const percent = WatchProgress.getPercent(this.getPlaybackProgress(item.id));
+
+    return `
+      <div class="card-progress" 
+           role="progressbar" 
+           aria-label="${item.title} watched" 
+           aria-valuemin="0" 
+           aria-valuemax="100" 
+           aria-valuenow="${percent}">
+        <div class="card-progress-bar" style="width: ${percent}%"></div>
+      </div>
+    `;
+  }
+
   /**
    * Setup row scrolling functionality
    */
@@ -790,8 +4692,7 @@ class NetflixApp {
     // Calculate scroll amount based on viewport width and card size
     const getScrollAmount = () => {
       const viewportWidth = window.innerWidth;
-      const cardWidth = viewportWidth < 640 ? 150 : viewportWidth < 1024 ? 180 : 200;
-      const gap = viewportWidth < 640 ? 12 : viewportWidth < 1024 ? 16 : 20;
+      const { cardWidth, gap } = this.getCardMetrics();
       const cardsToScroll = viewportWidth < 640 ? 2 : viewportWidth < 1024 ? 3 : 4;
       return (cardWidth + gap) * cardsToScroll;
     };
@@ -862,33 +4763,315 @@ class NetflixApp {
     slider.addEventListener('scroll', this.debounce(() => {
       AppState.scrollPositions[categoryId] = slider.scrollLeft;
       this.updateScrollButtons(slider, leftBtn, rightBtn);
+      this.loadMoreIfNearEnd(slider);
     }, 50));
 
+    // Long rows mount the cards scrolled into view
+    slider.addEventListener('scroll', () => this.scheduleRowWindowUpdate(slider));
+
     // Handle resize events to recalculate scroll positions
     window.addEventListener('resize', this.debounce(() => {
+      this.updateRowWindow(slider);
       this.updateScrollButtons(slider, leftBtn, rightBtn);
     }, 250));
 
     // Initial scroll button state
     this.updateScrollButtons(slider, leftBtn, rightBtn);
+  }
+
+  /**
+   * Setup click and keyboard handlers for content cards in a container
+   */
+  setupContentCardHandlers(container) {
+    container.querySelectorAll('.content-card').forEach(card => this.setupContentCardHandler(card));
+  }
+
+  /**
+   * Setup click, preview and keyboard handlers for one content card
+   */
+  setupContentCardHandler(card) {
+    card.addEventListener('click', () => {
+      const contentId = card.dataset.contentId;
+      this.openModal(contentId);
+    });
 
-    // Setup content card click handlers
-    const contentCards = slider.querySelectorAll('.content-card');
-    contentCards.forEach(card => {
-      card.addEventListener('click', () => {
-        const contentId = card.dataset.contentId;
-        this.openModal(contentId);
+    // Play button inside the card overlay
+    const playButton = card.querySelector('.card-play-btn');
+    if (playButton) {
+      playButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.handlePlayAction(card.dataset.contentId);
       });
+    }
 
-      // Keyboard support
-      card.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          const contentId = card.dataset.contentId;
-          this.openModal(contentId);
-        }
+    // Remove button on Continue Watching cards
+    const removeButton = card.querySelector('.card-remove-btn');
+    if (removeButton) {
+      removeButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.handleRemoveFromContinueWatching(card);
       });
+    }
+
+    // Expand into a preview when the pointer or keyboard focus rests on the card
+    card.addEventListener('mouseenter', () => this.scheduleCardPreview(card));
+    card.addEventListener('mouseleave', () => {
+      if (this.hideCardPreview({ card })) {
+        // Don't leave focus on a button that just disappeared
+        document.activeElement?.blur();
+      }
+    });
+    card.addEventListener('focusin', (e) => {
+      if (e.target.classList.contains('card-open')) {
+        this.scheduleCardPreview(card);
+      }
+    });
+    card.addEventListener('focusout', (e) => {
+      if (!card.contains(e.relatedTarget)) {
+        this.hideCardPreview({ card });
+      }
+    });
+
+    // Enter and Space open the details through the card's own button; Escape closes the preview
+    card.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.activeCardPreview?.card === card) {
+        e.stopPropagation();
+        this.dismissCardPreview();
+      }
+    });
+  }
+
+  /**
+   * Move keyboard focus to a card's details button
+   */
+  focusCard(card, options) {
+    card?.querySelector('.card-open')?.focus(options);
+  }
+
+  /**
+   * Show a card's preview after the delay, unless it is already showing or was just dismissed
+   */
+  scheduleCardPreview(card) {
+    if (this.activeCardPreview?.card === card || this.cardPreviewDismissed === card) {
+      return;
+    }
+
+    clearTimeout(this.cardPreviewTimer);
+    this.cardPreviewTimer = setTimeout(() => {
+      this.cardPreviewTimer = null;
+      this.showCardPreview(card);
+    }, AppConfig.cardPreview.delay);
+  }
+
+  /**
+   * Expand a card into a preview with its backdrop, details and quick actions.
+   * The preview lives inside the card, so Tab moves from the card's details
+   * button into the preview's buttons and on to the next card, but is positioned against the viewport
+   * so the row's scrolling doesn't clip it.
+   */
+  showCardPreview(card) {
+    const content = this.getContentById(card.dataset.contentId);
+    if (!content || !card.isConnected || !this.canPlayPreviews()) {
+      return;
+    }
+
+    this.hideCardPreview();
+
+    const preview = this.createCardPreview(content, card);
+    card.classList.add('is-previewing');
+    card.appendChild(preview);
+    this.activeCardPreview = { card, preview };
+
+    this.positionCardPreview(card, preview);
+  }
+
+  /**
+   * Hide the preview, or only the given card's preview, and cancel one waiting to show
+   * @returns {boolean} Whether focus was inside the preview that was hidden
+   */
+  hideCardPreview({ card = null } = {}) {
+    clearTimeout(this.cardPreviewTimer);
+    this.cardPreviewTimer = null;
+
+    if (card && this.cardPreviewDismissed === card) {
+      this.cardPreviewDismissed = null;
+    }
+
+    const active = this.activeCardPreview;
+    if (!active || (card && active.card !== card)) {
+      return false;
+    }
+
+    const hadFocus = active.preview.contains(document.activeElement);
+    this.activeCardPreview = null;
+    active.preview.remove();
+    active.card.classList.remove('is-previewing');
+
+    return hadFocus;
+  }
+
+  /**
+   * Close the preview and keep it closed until the card is left, returning
+   * focus from the preview to its card
+   */
+  dismissCardPreview() {
+    const active = this.activeCardPreview;
+    if (!active) return;
+
+    const hadFocus = this.hideCardPreview();
+    this.cardPreviewDismissed = active.card;
+
+    if (hadFocus && active.card.isConnected) {
+      this.focusCard(active.card);
+    }
+  }
+
+  /**
+   * Size the preview to its card and keep it inside the viewport
+   */
+  positionCardPreview(card, preview) {
+    const cardRect = card.getBoundingClientRect();
+    const viewport = { width: document.documentElement.clientWidth || window.innerWidth, height: window.innerHeight };
+    const width = CardPreview.getWidth(cardRect.width, viewport.width);
+
+    preview.style.width = `${width}px`;
+    const position = CardPreview.getPosition(cardRect, { width, height: preview.offsetHeight }, viewport);
+
+    preview.style.left = `${position.left}px`;
+    preview.style.top = `${position.top}px`;
+    preview.style.transformOrigin = `${position.originX}px ${position.originY}px`;
+  }
+
+  /**
+   * Create the preview element for a card's title
+   */
+  createCardPreview(content, card) {
+    const preview = document.createElement('div');
+    preview.className = 'card-preview';
+    preview.setAttribute('role', 'group');
+    preview.setAttribute('aria-label', `${content.title} preview`);
+
+    const details = [content.year, this.formatRuntime(content)].filter(Boolean).join(' • ');
+
+    preview.innerHTML = `
+      <img class="card-preview-image" 
+           src="${content.backdrop || content.poster}" 
+           alt="" 
+           onerror="this.src='https://via.placeholder.com/800x450/333333/ffffff?text=No+Image'">
+      <div class="card-preview-body">
+        <div class="card-preview-actions">
+          ${content.videoUrl ? `
+            <button type="button" class="card-preview-btn card-preview-play" aria-label="Play ${content.title}">
+              <svg class="w-5 h-5" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+                <path d="M6.3 2.841A1.5 1.5 0 004 4.11v11.78a1.5 1.5 0 002.3 1.269l9.344-5.89a1.5 1.5 0 000-2.538L6.3 2.84z"></path>
+              </svg>
+            </button>
+          ` : ''}
+          <button type="button" class="card-preview-btn card-preview-list"></button>
+          <button type="button" class="card-preview-btn card-preview-like" aria-label="I like ${content.title}"></button>
+          <button type="button" class="card-preview-btn card-preview-info" aria-label="More information about ${content.title}">
+            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
+            </svg>
+          </button>
+        </div>
+        <h3 class="card-preview-title">${content.title}</h3>
+        <div class="card-preview-meta">
+          ${content.maturityRating ? `<span class="maturity-rating">${content.maturityRating}</span>` : ''}
+          ${details ? `<span>${details}</span>` : ''}
+        </div>
+        ${content.genres ? `<p class="card-preview-genres">${content.genres.join(' • ')}</p>` : ''}
+      </div>
+    `;
+
+    this.updateCardPreviewActions(preview, content);
+
+    preview.addEventListener('click', (e) => {
+      // Clicks on the preview aren't clicks on the card, which would open the modal
+      e.stopPropagation();
+      this.handleCardPreviewClick(e, content, card);
     });
+
+    return preview;
+  }
+
+  /**
+   * Show whether a preview's title is in My List and liked
+   */
+  updateCardPreviewActions(preview, content) {
+    const listButton = preview.querySelector('.card-preview-list');
+    const likeButton = preview.querySelector('.card-preview-like');
+    const isInList = this.getContentByCategory('my-list').some(item => item.id === content.id);
+    const isLiked = this.getUserRating(content.id) === 'like';
+
+    listButton.classList.toggle('in-list', isInList);
+    listButton.setAttribute('aria-label', isInList ? `Remove ${content.title} from My List` : `Add ${content.title} to My List`);
+    listButton.innerHTML = `
+      <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${isInList ? 'M5 13l4 4L19 7' : 'M12 6v6m0 0v6m0-6h6m-6 0H6'}"></path>
+      </svg>
+    `;
+
+    likeButton.setAttribute('aria-pressed', String(isLiked));
+    likeButton.innerHTML = this.getRatingIcon('like', isLiked);
+  }
+
+  /**
+   * Handle the quick action buttons in a card preview
+   */
+  handleCardPreviewClick(e, content, card) {
+    const button = e.target.closest('.card-preview-btn');
+    if (!button) return;
+
+    if (button.classList.contains('card-preview-play')) {
+      this.handlePlayAction(content.id);
+      return;
+    }
+    if (button.classList.contains('card-preview-info')) {
+      this.handleInfoAction(content.id);
+      return;
+    }
+
+    const row = card.closest('[data-category]');
+    if (button.classList.contains('card-preview-list')) {
+      this.toggleMyList(content);
+    } else if (button.classList.contains('card-preview-like')) {
+      this.toggleUserRating(content, 'like');
+    }
+
+    if (card.isConnected) {
+      this.updateCardPreviewActions(button.closest('.card-preview'), content);
+      return;
+    }
+
+    // The change re-rendered the card's row; keep focus on the same title or nearby
+    this.activeCardPreview = null;
+    const selector = `.content-card[data-content-id="${content.id}"]`;
+    const replacement = (row?.isConnected && (row.querySelector(selector) || row.querySelector('.content-card'))) ||
+      document.querySelector(selector);
+    this.focusCard(replacement);
+  }
+
+  /**
+   * Remove a card's title from Continue Watching and keep focus in the row
+   */
+  handleRemoveFromContinueWatching(card) {
+    const contentId = card.dataset.contentId;
+    const slider = card.parentElement;
+    const cardIndex = Array.from(slider.querySelectorAll('.content-card')).indexOf(card);
+    const content = this.getContentById(contentId);
+
+    if (!this.removeFromContinueWatching(contentId)) return;
+
+    this.refreshContinueWatchingRow();
+    this.showNotification(`Removed "${content.title}" from Continue Watching`, 'info');
+
+    // Focus the card that took its place, if the row is still there
+    if (document.body.contains(slider)) {
+      const cards = slider.querySelectorAll('.content-card');
+      const nextCard = cards[Math.min(cardIndex, cards.length - 1)];
+      if (nextCard) this.focusCard(nextCard);
+    }
   }
 
   /**
@@ -1135,8 +5318,41 @@ class NetflixApp {
    */
   handlePlayAction(contentId) {
     console.log(`🎬 Play action for content: ${contentId}`);
-    // Placeholder for play functionality
-    alert('Play functionality will be implemented in future tasks');
+
+    const content = this.getContentById(contentId);
+    if (!content) {
+      console.error('Content not found:', contentId);
+      this.showNotification('Content not found', 'error');
+      return;
+    }
+
+    if (!content.videoUrl) {
+      this.showNotification(`"${content.title}" is not available to play yet`, 'warning');
+      return;
+    }
+
+    if (this.isTitleLocked(content)) {
+      this.requestTitleUnlock(content).then(unlocked => {
+        if (unlocked) {
+          this.handlePlayAction(contentId);
+        }
+      });
+      return;
+    }
+
+    if (!this.videoPlayer) {
+      console.warn('⚠️ Video player not available');
+      return;
+    }
+
+    // Resume where the viewer left off; focus returns here when the player exits
+    const progress = this.getPlaybackProgress(contentId);
+    this.videoPlayer.open(content, {
+      returnFocusTo: document.activeElement,
+      startTime: progress ? progress.position : 0
+    });
+    this.pauseActiveContent();
+    this.recordViewingActivity(content, 'played');
   }
 
   /**
@@ -1150,7 +5366,7 @@ class NetflixApp {
   /**
    * Open modal with content details
    */
-  openModal(contentId) {
+  openModal(contentId, { updateHistory = true } = {}) {
     console.log(`🎭 Opening modal for content: ${contentId}`);
     
     const modalOverlay = document.querySelector('.modal-overlay');
@@ -1169,11 +5385,43 @@ class NetflixApp {
       return;
     }
 
+    if (this.isTitleLocked(content)) {
+      this.requestTitleUnlock(content).then(unlocked => {
+        if (unlocked) {
+          this.openModal(contentId, { updateHistory });
+        } else if (!AppState.currentModal && window.location.hash.startsWith('#title/')) {
+          // A locked deep link leaves the URL on the view underneath
+          history.replaceState(null, '', `#${this.renderedViewPath || 'home'}`);
+        }
+      });
+      return;
+    }
+
+    // A modal opened over the page starts a new More Like This trail
+    const isNewModal = !AppState.currentModal;
+    if (isNewModal) {
+      this.modalStack = [];
+    }
+
     // Set current modal state
     AppState.currentModal = contentId;
+    this.recordViewingActivity(content, 'opened');
+
+    // Give the open modal its own URL so it can be shared and closed with Back
+    const titleHash = `#${this.getTitlePath(contentId)}`;
+    if (updateHistory && window.location.hash !== titleHash) {
+      history.pushState({ modal: contentId }, '', titleHash);
+
+      // Records whether the first title's entry is ours; More Like This entries are counted by modalStack
+      if (isNewModal) {
+        this.modalHistoryPushed = true;
+      }
+    }
     
     // Show loading state first
     this.showModalLoadingState(modalContent);
+    modalContent.scrollTop = 0;
+    modalOverlay.scrollTop = 0;
     
     // Show modal overlay
     modalOverlay.classList.remove('hidden');
@@ -1184,6 +5432,7 @@ class NetflixApp {
     
     // Add modal-open class to body for additional styling if needed
     document.body.classList.add('modal-open');
+    this.pauseActiveContent();
     
     // Populate modal content with real data after a brief delay for smooth transition
     setTimeout(() => {
@@ -1215,52 +5464,6 @@ class NetflixApp {
     `;
   }
 
-  /**
-   * Setup modal interactions and event listeners
-   */
-  setupModalInteractions(content) {
-    const modalOverlay = document.querySelector('.modal-overlay');
-    const modalContent = document.querySelector('.modal-content');
-    const closeButton = modalContent.querySelector('.modal-close');
-    
-    // Remove any existing event listeners to prevent duplicates
-    this.removeModalEventListeners();
-    
-    // Close button click handler
-    if (closeButton) {
-      this.modalCloseHandler = () => this.closeModal();
-      closeButton.addEventListener('click', this.modalCloseHandler);
-    }
-    
-    // Click outside to close (overlay click)
-    this.modalOverlayClickHandler = (e) => {
-      if (e.target === modalOverlay) {
-        this.closeModal();
-      }
-    };
-    modalOverlay.addEventListener('click', this.modalOverlayClickHandler);
-    
-    // Escape key to close
-    this.modalKeydownHandler = (e) => {
-      if (e.key === 'Escape' && AppState.currentModal) {
-        e.preventDefault();
-        this.closeModal();
-      }
-      
-      // Trap focus within modal
-      if (e.key === 'Tab') {
-        this.trapFocusInModal(e, modalContent);
-      }
-    };
-    document.addEventListener('keydown', this.modalKeydownHandler);
-    
-    // Setup modal action buttons
-    this.setupModalActions(content);
-    
-    // Setup focus trap
-    this.setupModalFocusTrap(modalContent);
-  }
-
   /**
    * Remove modal event listeners to prevent memory leaks
    */
@@ -1344,9 +5547,9 @@ class NetflixApp {
    * Setup modal action button event listeners
    */
   setupModalActions(content) {
-    const playButton = document.querySelector('.modal .btn-play');
-    const listButton = document.querySelector('.modal .btn-list');
-    const likeButton = document.querySelector('.modal .btn-like');
+    const playButton = document.querySelector('.modal-content .btn-play');
+    const listButton = document.querySelector('.modal-content .btn-list');
+    const ratingGroup = document.querySelector('.modal-content .rating-buttons');
 
     // Remove existing event listeners to prevent duplicates
     if (this.modalPlayHandler) {
@@ -1355,8 +5558,8 @@ class NetflixApp {
     if (this.modalListHandler) {
       listButton?.removeEventListener('click', this.modalListHandler);
     }
-    if (this.modalLikeHandler) {
-      likeButton?.removeEventListener('click', this.modalLikeHandler);
+    if (this.modalRatingHandler) {
+      ratingGroup?.removeEventListener('click', this.modalRatingHandler);
     }
 
     if (playButton) {
@@ -1373,115 +5576,27 @@ class NetflixApp {
       this.updateMyListButton(listButton, isInMyList);
 
       this.modalListHandler = () => {
-        const currentlyInList = this.getContentByCategory('my-list').some(item => item.id === content.id);
-        
-        if (currentlyInList) {
-          const success = this.removeFromMyList(content.id);
-          if (success) {
-            this.showNotification(`Removed "${content.title}" from My List`, 'success');
-            this.updateMyListButton(listButton, false);
-            
-            // Update the content row if My List is visible
-            this.refreshMyListRow();
-          }
-        } else {
-          const success = this.addToMyList(content.id);
-          if (success) {
-            this.showNotification(`Added "${content.title}" to My List`, 'success');
-            this.updateMyListButton(listButton, true);
-            
-            // Update the content row if My List is visible
-            this.refreshMyListRow();
-          }
+        const isInList = this.toggleMyList(content);
+        if (isInList !== null) {
+          this.updateMyListButton(listButton, isInList);
         }
       };
       listButton.addEventListener('click', this.modalListHandler);
     }
 
-    if (likeButton) {
-      this.modalLikeHandler = () => {
-        // Toggle like state (placeholder functionality)
-        const isLiked = likeButton.classList.contains('liked');
-        
-        if (isLiked) {
-          likeButton.classList.remove('liked');
-          likeButton.innerHTML = `
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14 10h4.764a2 2 0 011.789 2.894l-3.5 7A2 2 0 0115.263 21h-4.017c-.163 0-.326-.02-.485-.06L7 20m7-10V5a2 2 0 00-2-2h-.095c-.5 0-.905.405-.905.905 0 .714-.211 1.412-.608 2.006L7 11v9m7-10h-2M7 20H5a2 2 0 01-2-2v-6a2 2 0 012-2h2.5"></path>
-            </svg>
-            <span>Like</span>
-          `;
-          this.showNotification('Removed like', 'info');
-        } else {
-          likeButton.classList.add('liked');
-          likeButton.innerHTML = `
-            <svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
-              <path d="M14 10h4.764a2 2 0 011.789 2.894l-3.5 7A2 2 0 0115.263 21h-4.017c-.163 0-.326-.02-.485-.06L7 20m7-10V5a2 2 0 00-2-2h-.095c-.5 0-.905.405-.905.905 0 .714-.211 1.412-.608 2.006L7 11v9m7-10h-2M7 20H5a2 2 0 01-2-2v-6a2 2 0 012-2h2.5"></path>
-            </svg>
-            <span>Liked</span>
-          `;
-          this.showNotification('Added like', 'success');
-        }
-      };
-      likeButton.addEventListener('click', this.modalLikeHandler);
-    }
-  }
+    if (ratingGroup) {
+      this.updateRatingButtons(ratingGroup, this.getUserRating(content.id));
 
-  /**
-   * Update My List button appearance
-   */
-  updateMyListButton(button, isInList) {
-    if (!button) return;
-    
-    if (isInList) {
-      button.classList.add('in-list');
-      button.innerHTML = `
-        <svg class="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-          <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-        </svg>
-        <span>In My List</span>
-      `;
-      button.setAttribute('aria-label', 'Remove from My List');
-    } else {
-      button.classList.remove('in-list');
-      button.innerHTML = `
-        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6"></path>
-        </svg>
-        <span>My List</span>
-      `;
-      button.setAttribute('aria-label', 'Add to My List');
-    }
-  }
+      this.modalRatingHandler = (e) => {
+        const button = e.target.closest('.btn-rate');
+        if (!button) return;
 
-  /**
-   * Refresh My List content row
-   */
-  refreshMyListRow() {
-    const myListSlider = document.querySelector('[data-category="my-list"]');
-    if (myListSlider) {
-      const myListCategory = AppState.contentData.categories.find(cat => cat.id === 'my-list');
-      if (myListCategory) {
-        myListSlider.innerHTML = this.createContentCards(myListCategory.items);
-        
-        // Re-setup content card click handlers for the refreshed content
-        const contentCards = myListSlider.querySelectorAll('.content-card');
-        contentCards.forEach(card => {
-          card.addEventListener('click', () => {
-            const contentId = card.dataset.contentId;
-            this.openModal(contentId);
-          });
-
-          // Keyboard support
-          card.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-              e.preventDefault();
-              const contentId = card.dataset.contentId;
-              this.openModal(contentId);
-            }
-          });
-        });
-      }
+        const rating = this.toggleUserRating(content, button.dataset.rating);
+        if (rating !== undefined) {
+          this.updateRatingButtons(ratingGroup, rating);
+        }
+      };
+      ratingGroup.addEventListener('click', this.modalRatingHandler);
     }
   }
 
@@ -1511,7 +5626,8 @@ class NetflixApp {
               ${content.rating}
             </span>
             <span class="year">${content.year}</span>
-            <span class="duration">${content.duration}</span>
+            ${content.maturityRating ? `<span class="maturity-rating" aria-label="Rated ${content.maturityRating}">${content.maturityRating}</span>` : ''}
+            ${this.formatRuntime(content) ? `<span class="duration">${this.formatRuntime(content)}</span>` : ''}
             <span class="type capitalize">${content.type.replace('-', ' ')}</span>
           </div>
         </div>
@@ -1541,24 +5657,204 @@ class NetflixApp {
             </svg>
             <span>My List</span>
           </button>
-          <button class="btn-like bg-gray-600 text-white px-6 py-3 rounded font-semibold flex items-center space-x-2 hover:bg-gray-500 transition-colors">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14 10h4.764a2 2 0 011.789 2.894l-3.5 7A2 2 0 0115.263 21h-4.017c-.163 0-.326-.02-.485-.06L7 20m7-10V5a2 2 0 00-2-2h-.095c-.5 0-.905.405-.905.905 0 .714-.211 1.412-.608 2.006L7 11v9m7-10h-2M7 20H5a2 2 0 01-2-2v-6a2 2 0 012-2h2.5"></path>
-            </svg>
-            <span>Like</span>
-          </button>
+          <div class="rating-buttons flex gap-2" role="group" aria-label="Rate ${content.title}">
+            ${Object.keys(AppConfig.userRatings).map(rating => `
+              <button class="btn-rate ${rating === 'like' ? 'btn-like ' : ''}bg-gray-600 text-white w-12 h-12 rounded-full flex items-center justify-center hover:bg-gray-500 transition-colors" 
+                      data-rating="${rating}" 
+                      aria-pressed="false" 
+                      aria-label="${AppConfig.userRatings[rating].label}" 
+                      title="${AppConfig.userRatings[rating].label}">
+                ${this.getRatingIcon(rating, false)}
+              </button>
+            `).join('')}
+          </div>
         </div>
+        ${this.hasSeasons(content) ? this.createEpisodesSection(content) : ''}
+        ${this.createMoreLikeThisSection(content)}
       </div>
     `;
   }
 
+  /**
+   * Create the More Like This grid for the modal, or '' when nothing is similar
+   */
+  createMoreLikeThisSection(content) {
+    const similarItems = this.getSimilarContent(content.id);
+    if (similarItems.length === 0) return '';
+
+    return `
+      <section class="more-like-this mt-8" aria-labelledby="more-like-this-title">
+        <h3 id="more-like-this-title" class="text-xl font-bold text-white mb-4">More Like This</h3>
+        <div class="similar-grid">
+          ${similarItems.map(item => `
+            <button class="similar-card" data-content-id="${item.id}" aria-label="View details for ${item.title}">
+              <img src="${item.backdrop || item.poster}" 
+                   alt="" 
+                   class="similar-image" 
+                   loading="lazy"
+                   onerror="this.src='https://via.placeholder.com/320x180/333333/ffffff?text=No+Image'">
+              <span class="similar-info">
+                <span class="similar-title">${item.title}</span>
+                <span class="similar-meta">${[item.year, this.formatRuntime(item), `★ ${item.rating}`].filter(Boolean).join(' • ')}</span>
+                <span class="similar-description">${item.description}</span>
+              </span>
+            </button>
+          `).join('')}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Swap the modal to a title picked from More Like This
+   */
+  setupMoreLikeThis() {
+    const section = document.querySelector('.modal-content .more-like-this');
+    if (!section) return;
+
+    section.addEventListener('click', (e) => {
+      const card = e.target.closest('.similar-card');
+      if (card) {
+        this.openSimilarTitle(card.dataset.contentId);
+      }
+    });
+  }
+
+  /**
+   * Show another title in the open modal, remembering the current one for Escape and Back
+   */
+  openSimilarTitle(contentId) {
+    if (!AppState.currentModal || contentId === AppState.currentModal) return;
+
+    // Unlock first so a cancelled PIN leaves the stack as it was
+    const content = this.getContentById(contentId);
+    if (content && this.isTitleLocked(content)) {
+      this.requestTitleUnlock(content).then(unlocked => {
+        if (unlocked) {
+          this.openSimilarTitle(contentId);
+        }
+      });
+      return;
+    }
+
+    this.modalStack.push(AppState.currentModal);
+    this.openModal(contentId);
+  }
+
+  /**
+   * Step back to the previous More Like This title, or close the modal
+   */
+  stepBackModal() {
+    if (this.modalStack.length > 0) {
+      // The route handler swaps the title back when the entry is popped
+      history.back();
+    } else {
+      this.closeModal();
+    }
+  }
+
+  /**
+   * Check whether a TV show has season and episode data
+   */
+  hasSeasons(content) {
+    return content.type === 'tv-show' && Array.isArray(content.seasons) && content.seasons.length > 0;
+  }
+
+  /**
+   * Get a season label such as "Season 2" or its own title
+   */
+  getSeasonLabel(season) {
+    return season.title || `Season ${season.number}`;
+  }
+
+  /**
+   * Create the season selector and episode list for the modal
+   */
+  createEpisodesSection(content) {
+    const seasons = [...content.seasons].sort((a, b) => a.number - b.number);
+    const firstSeason = seasons[0];
+
+    const seasonControl = seasons.length > 1 ? `
+      <label for="season-select" class="sr-only">Season</label>
+      <select id="season-select" class="season-select">
+        ${seasons.map(season => `
+          <option value="${season.number}">${this.getSeasonLabel(season)}</option>
+        `).join('')}
+      </select>
+    ` : `
+      <span class="season-label text-gray-300">${this.getSeasonLabel(firstSeason)}</span>
+    `;
+
+    return `
+      <section class="episodes mt-8" aria-labelledby="episodes-title">
+        <div class="episodes-header flex items-center justify-between mb-4">
+          <h3 id="episodes-title" class="text-xl font-bold text-white">Episodes</h3>
+          ${seasonControl}
+        </div>
+        <ol class="episode-list" aria-live="polite">
+          ${this.createEpisodeList(firstSeason)}
+        </ol>
+      </section>
+    `;
+  }
+
+  /**
+   * Create the episode items of one season
+   */
+  createEpisodeList(season) {
+    return [...season.episodes]
+      .sort((a, b) => a.number - b.number)
+      .map(episode => `
+        <li class="episode-item" data-episode="${episode.number}">
+          <span class="episode-number" aria-hidden="true">${episode.number}</span>
+          <img src="${episode.thumbnail}" 
+               alt="" 
+               class="episode-thumbnail" 
+               loading="lazy"
+               onerror="this.src='https://via.placeholder.com/160x90/333333/ffffff?text=No+Image'">
+          <div class="episode-info">
+            <div class="episode-heading">
+              <h4 class="episode-title">
+                <span class="sr-only">Episode ${episode.number}: </span>${episode.title}
+              </h4>
+              <span class="episode-runtime">${episode.runtime}m</span>
+            </div>
+            <p class="episode-synopsis">${episode.synopsis}</p>
+          </div>
+        </li>
+      `).join('');
+  }
+
+  /**
+   * Switch the episode list when another season is selected
+   */
+  setupSeasonSelector(content) {
+    const seasonSelect = document.querySelector('.modal-content .season-select');
+    const episodeList = document.querySelector('.modal-content .episode-list');
+
+    if (!seasonSelect || !episodeList) return;
+
+    seasonSelect.addEventListener('change', () => {
+      const season = content.seasons.find(s => s.number === Number(seasonSelect.value));
+      if (season) {
+        episodeList.innerHTML = this.createEpisodeList(season);
+        episodeList.scrollTop = 0;
+      }
+    });
+  }
+
   /**
    * Close modal
    */
-  closeModal() {
+  closeModal({ fromHistory = false } = {}) {
     const modalOverlay = document.querySelector('.modal-overlay');
     
     if (!modalOverlay) return;
+
+    // Leave the title URL, unless the browser already did (Back button)
+    if (AppState.currentModal && !fromHistory) {
+      this.restoreViewHistory();
+    }
     
     // Remove event listeners to prevent memory leaks
     this.removeModalEventListeners();
@@ -1588,10 +5884,90 @@ class NetflixApp {
         announcement.parentNode.removeChild(announcement);
       }
     }, 1000);
+
+    this.resumeActiveContent();
     
     console.log('🎭 Modal closed');
   }
 
+  /**
+   * Get the router path of a title's modal
+   */
+  getTitlePath(contentId) {
+    return `title/${encodeURIComponent(contentId)}`;
+  }
+
+  /**
+   * Return the URL to the view underneath the modal
+   */
+  restoreViewHistory() {
+    const stackDepth = this.modalStack.length;
+    this.modalStack = [];
+
+    if (!window.location.hash.startsWith('#title/')) {
+      this.modalHistoryPushed = false;
+      return;
+    }
+
+    if (this.modalHistoryPushed) {
+      // Pop the entries pushed by openModal so Forward can reopen the titles
+      history.go(-(stackDepth + 1));
+    } else if (stackDepth > 0) {
+      // Opened from a deep link: go back to it, then swap it for the view URL
+      this.replaceTitleHistoryOnReturn = true;
+      history.go(-stackDepth);
+    } else {
+      // Opened from a deep link, so there is no entry of ours to go back to
+      history.replaceState(null, '', `#${this.renderedViewPath || 'home'}`);
+    }
+
+    this.modalHistoryPushed = false;
+  }
+
+  /**
+   * Open a title modal from a #title/:id deep link
+   */
+  showTitleFromRoute(contentId, { lookedUp = false } = {}) {
+    // A deep link opened on page load still needs a view behind the modal
+    if (!this.renderedViewPath) {
+      this.showView('home');
+    }
+
+    // Closing a modal opened from a deep link went back to that link
+    if (this.replaceTitleHistoryOnReturn) {
+      this.replaceTitleHistoryOnReturn = false;
+      history.replaceState(null, '', `#${this.renderedViewPath || 'home'}`);
+      return;
+    }
+
+    if (AppState.currentModal === contentId) return;
+
+    // Back from a More Like This title returns to the one before it
+    if (AppState.currentModal && this.modalStack[this.modalStack.length - 1] === contentId) {
+      this.modalStack.pop();
+      this.openModal(contentId, { updateHistory: false });
+      return;
+    }
+
+    if (!this.getContentById(contentId)) {
+      // A link to a title on a page that hasn't loaded yet waits for the title
+      if (!lookedUp && this.canLoadTitle(contentId)) {
+        this.findContentById(contentId).then(() => {
+          if (this.router.getPath() === `title/${contentId}`) {
+            this.showTitleFromRoute(contentId, { lookedUp: true });
+          }
+        });
+        return;
+      }
+
+      history.replaceState(null, '', `#${this.renderedViewPath}`);
+    }
+
+    this.modalStack = [];
+    this.modalHistoryPushed = false;
+    this.openModal(contentId, { updateHistory: false });
+  }
+
   /**
    * Handle window resize
    */
@@ -1615,12 +5991,67 @@ class NetflixApp {
     console.log('🔄 Updating content row layouts');
   }
 
+  /**
+   * Check whether previews may play: the tab is showing and no modal, player,
+   * profile picker or PIN prompt covers the page
+   */
+  canPlayPreviews() {
+    if (document.hidden) {
+      return false;
+    }
+
+    return !['.modal-overlay', '.player-overlay', '.profile-picker', '.pin-prompt']
+      .some(selector => {
+        const overlay = document.querySelector(selector);
+        return overlay && !overlay.classList.contains('hidden');
+      });
+  }
+
   /**
    * Pause active content (videos, animations)
    */
   pauseActiveContent() {
+    this.hideCardPreview();
+
+    // A title playing full screen stays paused when the page shows again
+    this.videoPlayer?.pause();
+
+    document.querySelectorAll('.preview-video').forEach(video => {
+      if (!video.paused) {
+        video.pause();
+        this.pausedPreviews.add(video);
+      }
+    });
+
+    // A trailer waiting to start waits for resumeActiveContent instead
+    clearTimeout(this.heroTrailerTimer);
+    this.heroTrailerTimer = null;
+
     console.log('⏸️ Pausing active content');
-    // Placeholder for pausing functionality
+  }
+
+  /**
+   * Resume the previews pauseActiveContent paused, once nothing covers them
+   */
+  resumeActiveContent() {
+    if (!this.canPlayPreviews()) {
+      return;
+    }
+
+    this.pausedPreviews.forEach(video => {
+      // Previews that were removed or are still hidden stay paused
+      if (!video.isConnected || !video.getAttribute('src') || video.closest('.hidden')) {
+        return;
+      }
+      this.pausedPreviews.delete(video);
+      this.playPreview(video);
+    });
+
+    // Start the showing title's trailer if it never got the chance
+    const trailer = document.querySelector('.hero-trailer');
+    if (trailer && !trailer.getAttribute('src') && !this.heroTrailerTimer) {
+      this.scheduleHeroTrailer();
+    }
   }
 
   /**
@@ -1703,13 +6134,8 @@ class NetflixApp {
     };
     modalOverlay.addEventListener('click', this.modalOverlayClickHandler);
     
-    // Escape key to close
+    // Escape is handled once in setupModalSystem
     this.modalKeydownHandler = (e) => {
-      if (e.key === 'Escape' && AppState.currentModal) {
-        e.preventDefault();
-        this.closeModal();
-      }
-      
       // Trap focus within modal
       if (e.key === 'Tab') {
         this.trapFocusInModal(e, modalContent);
@@ -1719,6 +6145,12 @@ class NetflixApp {
     
     // Setup modal action buttons
     this.setupModalActions(content);
+
+    // Setup season selector for TV shows
+    this.setupSeasonSelector(content);
+
+    // Setup More Like This titles
+    this.setupMoreLikeThis();
     
     // Setup focus trap
     this.setupModalFocusTrap(modalContent);
@@ -1803,6 +6235,34 @@ class NetflixApp {
     }, 1000);
   }
 
+  /**
+   * Mark the selected rating button as pressed
+   */
+  updateRatingButtons(ratingGroup, rating) {
+    ratingGroup.querySelectorAll('.btn-rate').forEach(button => {
+      const isSelected = button.dataset.rating === rating;
+      button.classList.toggle('selected', isSelected);
+      button.setAttribute('aria-pressed', String(isSelected));
+      button.innerHTML = this.getRatingIcon(button.dataset.rating, isSelected);
+    });
+  }
+
+  /**
+   * Get the icon for a rating, filled when selected
+   */
+  getRatingIcon(rating, filled) {
+    const thumbPath = 'M14 10h4.764a2 2 0 011.789 2.894l-3.5 7A2 2 0 0115.263 21h-4.017c-.163 0-.326-.02-.485-.06L7 20m7-10V5a2 2 0 00-2-2h-.095c-.5 0-.905.405-.905.905 0 .714-.211 1.412-.608 2.006L7 11v9m7-10h-2M7 20H5a2 2 0 01-2-2v-6a2 2 0 012-2h2.5';
+    const heartPath = 'M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z';
+    const path = rating === 'love' ? heartPath : thumbPath;
+    const flip = rating === 'dislike' ? ' rating-icon-flipped' : '';
+
+    return `
+      <svg class="w-5 h-5${flip}" fill="${filled ? 'currentColor' : 'none'}" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${path}"></path>
+      </svg>
+    `;
+  }
+
   /**
    * Update My List button appearance
    */
@@ -1834,31 +6294,7 @@ class NetflixApp {
    * Refresh My List content row
    */
   refreshMyListRow() {
-    const myListSlider = document.querySelector('[data-category="my-list"]');
-    if (myListSlider) {
-      const myListCategory = AppState.contentData.categories.find(cat => cat.id === 'my-list');
-      if (myListCategory) {
-        myListSlider.innerHTML = this.createContentCards(myListCategory.items);
-        
-        // Re-setup content card click handlers for the refreshed content
-        const contentCards = myListSlider.querySelectorAll('.content-card');
-        contentCards.forEach(card => {
-          card.addEventListener('click', () => {
-            const contentId = card.dataset.contentId;
-            this.openModal(contentId);
-          });
-
-          // Keyboard support
-          card.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-              e.preventDefault();
-              const contentId = card.dataset.contentId;
-              this.openModal(contentId);
-            }
-          });
-        });
-      }
-    }
+    this.refreshCategoryRow('my-list');
   }
 }
 
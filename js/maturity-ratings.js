@@ -0,0 +1,65 @@
+/**
+ * Netflix-Inspired Frontend - Maturity Ratings
+ * Film and TV maturity ratings ordered into levels for Kids profiles
+ */
+
+// Levels from youngest to oldest audience; ratings in the same level rank equally
+const MaturityLevels = [
+  { id: 'little-kids', label: 'Little Kids', ratings: ['TV-Y', 'G', 'TV-G'] },
+  { id: 'older-kids', label: 'Older Kids', ratings: ['TV-Y7', 'TV-Y7-FV', 'PG', 'TV-PG'] },
+  { id: 'teens', label: 'Teens', ratings: ['PG-13', 'TV-14'] },
+  { id: 'mature', label: 'Mature', ratings: ['R', 'NC-17', 'TV-MA'] }
+];
+
+const MaturityRatings = {
+  /**
+   * Get the level index of a rating, or -1 for unknown ratings
+   */
+  getLevelIndex(rating) {
+    return MaturityLevels.findIndex(level => level.ratings.includes(rating));
+  },
+
+  /**
+   * Get the level a rating belongs to, or null for unknown ratings
+   */
+  getLevel(rating) {
+    return MaturityLevels[this.getLevelIndex(rating)] || null;
+  },
+
+  /**
+   * Check whether a value is a known maturity rating
+   */
+  isValid(rating) {
+    return this.getLevelIndex(rating) !== -1;
+  },
+
+  /**
+   * Check whether a title's rating is within a maximum rating. Without a
+   * maximum everything is allowed; unrated titles never pass a maximum, and
+   * an unknown maximum is treated as the youngest level.
+   */
+  isAllowed(rating, maxRating) {
+    if (!maxRating) return true;
+
+    const ratingIndex = this.getLevelIndex(rating);
+    if (ratingIndex === -1) return false;
+
+    return ratingIndex <= Math.max(0, this.getLevelIndex(maxRating));
+  },
+
+  /**
+   * Get the highest rating of each level, for choosing a profile's maximum
+   * @returns {Array<{rating: string, label: string}>}
+   */
+  getLimitOptions() {
+    return MaturityLevels.map(level => ({
+      rating: level.ratings[level.ratings.length - 1],
+      label: `${level.label} (${level.ratings.join(', ')})`
+    }));
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MaturityRatings, MaturityLevels };
+}
@@ -0,0 +1,87 @@
+/**
+ * Netflix-Inspired Frontend - Offline Cache
+ * What the service worker caches and how it answers each request
+ */
+
+const OfflineCache = {
+  // Bump to drop the caches of older service workers
+  version: 1,
+  // Cached when the service worker installs. Keep the scripts in step with index.html.
+  shellFiles: [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'js/search-engine.js',
+    'js/content-filters.js',
+    'js/router.js',
+    'js/runtime.js',
+    'js/seasons.js',
+    'js/recommendations.js',
+    'js/hero-carousel.js',
+    'js/card-preview.js',
+    'js/row-window.js',
+    'js/content-api.js',
+    'js/content-source.js',
+    'js/catalog-cache.js',
+    'js/content-retry.js',
+    'js/maturity-ratings.js',
+    'js/profiles.js',
+    'js/parental-controls.js',
+    'js/watch-progress.js',
+    'js/user-ratings.js',
+    'js/viewing-history.js',
+    'js/video-player.js',
+    'js/main.js',
+    'data/content.json',
+    'assets/icons/favicon.svg',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png'
+  ],
+  // Viewed posters kept for offline use; the oldest go first
+  maxPosters: 100,
+
+  /**
+   * Get the names of the current caches
+   * @returns {{app: string, posters: string}}
+   */
+  getCacheNames() {
+    return {
+      app: `netflix-app-v${this.version}`,
+      posters: `netflix-posters-v${this.version}`
+    };
+  },
+
+  /**
+   * Choose how the service worker answers a request. The app and its content
+   * come from the network first, so the last good copy is there offline.
+   * Posters and other images come from the cache first. Media streams and
+   * anything that isn't a plain GET are left to the network.
+   * @returns {'network-first'|'cache-first'|'network-only'}
+   */
+  getStrategy({ method, url, destination = '', hasRange = false }) {
+    if (method !== 'GET' || hasRange || !/^https?:$/.test(new URL(url).protocol)) {
+      return 'network-only';
+    }
+
+    if (destination === 'video' || destination === 'audio') {
+      return 'network-only';
+    }
+
+    return destination === 'image' ? 'cache-first' : 'network-first';
+  },
+
+  /**
+   * Check whether a response is worth keeping. Posters and the Tailwind
+   * script come from other origins without CORS, so their responses are
+   * opaque and have no status to check.
+   */
+  isCacheable(response) {
+    return response.ok || response.type === 'opaque';
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OfflineCache };
+}
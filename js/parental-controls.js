@@ -0,0 +1,197 @@
+/**
+ * Netflix-Inspired Frontend - Parental Controls
+ * PIN hashing and wrong-attempt cooldowns for locked titles and profiles
+ */
+
+const PinPolicy = {
+  length: 4,
+  maxAttempts: 3,
+  // The first cooldown lasts 30 seconds and doubles with each one after it, up to 5 minutes
+  cooldownMs: 30 * 1000,
+  maxCooldownMs: 5 * 60 * 1000,
+  hashIterations: 100000
+};
+
+const ParentalControls = {
+  /**
+   * Settings before a PIN has been created
+   */
+  createDefaultSettings() {
+    return {
+      pinHash: null,
+      salt: null,
+      lockAbove: null,
+      lockApp: false,
+      lockedProfileIds: [],
+      attempts: this.createAttempts()
+    };
+  },
+
+  /**
+   * Wrong-attempt state before any PIN has been entered
+   */
+  createAttempts() {
+    return { failures: 0, lockouts: 0, lockedUntil: 0 };
+  },
+
+  /**
+   * Check whether a PIN has been set up
+   */
+  hasPin(settings) {
+    return Boolean(settings && settings.pinHash && settings.salt);
+  },
+
+  /**
+   * Check that a PIN is exactly four digits
+   */
+  isValidPin(pin) {
+    return new RegExp(`^\\d{${PinPolicy.length}}$`).test(String(pin));
+  },
+
+  /**
+   * Get the Web Crypto API, which browsers only offer on secure (https or localhost) pages
+   */
+  getSubtleCrypto() {
+    return typeof crypto !== 'undefined' && crypto.subtle ? crypto.subtle : null;
+  },
+
+  /**
+   * Convert bytes to a hex string
+   */
+  toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+  },
+
+  /**
+   * Create a random salt so equal PINs never hash the same
+   */
+  createSalt() {
+    return this.toHex(crypto.getRandomValues(new Uint8Array(16)));
+  },
+
+  /**
+   * Hash a PIN with PBKDF2-SHA-256
+   * @returns {Promise<string>} The hash as hex
+   */
+  async hashPin(pin, salt) {
+    const subtle = this.getSubtleCrypto();
+    if (!subtle) {
+      throw new Error('PIN hashing needs a secure (https) connection');
+    }
+
+    const encoder = new TextEncoder();
+    const key = await subtle.importKey('raw', encoder.encode(String(pin)), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PinPolicy.hashIterations },
+      key,
+      256
+    );
+
+    return this.toHex(bits);
+  },
+
+  /**
+   * Hash a new PIN into settings. The PIN itself is never kept.
+   * @returns {Promise<Object>} Updated settings
+   */
+  async setPin(settings, pin) {
+    if (!this.isValidPin(pin)) {
+      throw new Error(`The PIN must be ${PinPolicy.length} digits`);
+    }
+
+    const salt = this.createSalt();
+    const pinHash = await this.hashPin(pin, salt);
+    return { ...settings, pinHash, salt, attempts: this.createAttempts() };
+  },
+
+  /**
+   * Check a PIN against the stored hash
+   */
+  async verifyPin(settings, pin) {
+    if (!this.hasPin(settings) || !this.isValidPin(pin)) {
+      return false;
+    }
+
+    const pinHash = await this.hashPin(pin, settings.salt);
+
+    // Compare every character so the time taken doesn't hint at how much matched
+    let difference = pinHash.length ^ settings.pinHash.length;
+    for (let i = 0; i < pinHash.length; i++) {
+      difference |= pinHash.charCodeAt(i) ^ settings.pinHash.charCodeAt(i);
+    }
+    return difference === 0;
+  },
+
+  /**
+   * Get the milliseconds left before another PIN may be tried
+   */
+  getCooldownRemaining(attempts, now = Date.now()) {
+    return Math.max(0, ((attempts && attempts.lockedUntil) || 0) - now);
+  },
+
+  /**
+   * Record a wrong PIN, starting a cooldown after too many in a row
+   * @returns {Object} Updated attempts
+   */
+  recordFailure(attempts, now = Date.now()) {
+    const failures = ((attempts && attempts.failures) || 0) + 1;
+    const lockouts = (attempts && attempts.lockouts) || 0;
+
+    if (failures < PinPolicy.maxAttempts) {
+      return { failures, lockouts, lockedUntil: 0 };
+    }
+
+    const cooldown = Math.min(PinPolicy.cooldownMs * 2 ** lockouts, PinPolicy.maxCooldownMs);
+    return { failures: 0, lockouts: lockouts + 1, lockedUntil: now + cooldown };
+  },
+
+  /**
+   * Check whether a new PIN request may replace the prompt already open. A
+   * prompt that can't be cancelled, like the app lock, stays until its PIN
+   * is entered; any other prompt gives way to the newer request.
+   * @param {{cancellable: boolean}|null} openPrompt - The open prompt, or null when none is
+   */
+  canReplacePrompt(openPrompt) {
+    return !openPrompt || openPrompt.cancellable;
+  },
+
+  /**
+   * Parse stored settings, falling back to defaults for anything malformed
+   */
+  parse(json) {
+    const defaults = this.createDefaultSettings();
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      return defaults;
+    }
+
+    if (!data || typeof data !== 'object') {
+      return defaults;
+    }
+
+    const hasPin = typeof data.pinHash === 'string' && typeof data.salt === 'string';
+    const attempts = data.attempts || {};
+
+    return {
+      pinHash: hasPin ? data.pinHash : null,
+      salt: hasPin ? data.salt : null,
+      lockAbove: typeof data.lockAbove === 'string' && data.lockAbove ? data.lockAbove : null,
+      lockApp: data.lockApp === true,
+      lockedProfileIds: Array.isArray(data.lockedProfileIds)
+        ? data.lockedProfileIds.filter(profileId => typeof profileId === 'string')
+        : [],
+      attempts: {
+        failures: Number.isInteger(attempts.failures) && attempts.failures > 0 ? attempts.failures : 0,
+        lockouts: Number.isInteger(attempts.lockouts) && attempts.lockouts > 0 ? attempts.lockouts : 0,
+        lockedUntil: typeof attempts.lockedUntil === 'number' && attempts.lockedUntil > 0 ? attempts.lockedUntil : 0
+      }
+    };
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ParentalControls, PinPolicy };
+}
@@ -0,0 +1,203 @@
+/**
+ * Netflix-Inspired Frontend - Profiles
+ * Viewer profiles and the storage keys that keep their data apart
+ */
+
+const Profiles = {
+  // Avatar colors offered in the profile editor
+  avatarColors: [
+    { name: 'Red', value: '#E50914' },
+    { name: 'Blue', value: '#2F80ED' },
+    { name: 'Green', value: '#27AE60' },
+    { name: 'Orange', value: '#F2994A' },
+    { name: 'Purple', value: '#9B51E0' },
+    { name: 'Sky', value: '#56CCF2' }
+  ],
+
+  maxProfiles: 5,
+  maxNameLength: 20,
+
+  // Maximum maturity rating a new Kids profile starts with
+  defaultKidsMaxRating: 'TV-PG',
+
+  /**
+   * Create the profile used before any profile has been set up
+   */
+  createDefaultProfile() {
+    return { id: 'profile-1', name: 'Profile 1', color: this.avatarColors[0].value, kids: false, maxMaturityRating: null };
+  },
+
+  /**
+   * Check whether a value is one of the avatar colors
+   */
+  isAvatarColor(color) {
+    return this.avatarColors.some(avatarColor => avatarColor.value === color);
+  },
+
+  /**
+   * Get the Kids settings of a profile: only Kids profiles have a maximum rating
+   */
+  getKidsSettings(kids, maxMaturityRating) {
+    const isKids = kids === true;
+    return {
+      kids: isKids,
+      maxMaturityRating: isKids
+        ? (typeof maxMaturityRating === 'string' && maxMaturityRating ? maxMaturityRating : this.defaultKidsMaxRating)
+        : null
+    };
+  },
+
+  /**
+   * Get the storage key for one profile's copy of a setting
+   */
+  getStorageKey(baseKey, profileId) {
+    return `${baseKey}:${profileId}`;
+  },
+
+  /**
+   * Get the letter shown in a profile's avatar
+   */
+  getInitial(name) {
+    return String(name || '?').trim().charAt(0).toUpperCase() || '?';
+  },
+
+  /**
+   * Check a profile name, returning an error message or null when valid
+   */
+  validateName(profiles, name, exceptId = null) {
+    const trimmed = String(name || '').trim();
+
+    if (!trimmed) {
+      return 'Please enter a name.';
+    }
+    if (trimmed.length > this.maxNameLength) {
+      return `Names can be at most ${this.maxNameLength} characters.`;
+    }
+    if (profiles.some(profile => profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase())) {
+      return 'A profile with that name already exists.';
+    }
+
+    return null;
+  },
+
+  /**
+   * Generate an ID that no existing profile uses
+   */
+  generateId(profiles) {
+    const highest = profiles.reduce((max, profile) => {
+      const number = Number(String(profile.id).replace('profile-', ''));
+      return Number.isInteger(number) ? Math.max(max, number) : max;
+    }, 0);
+    return `profile-${highest + 1}`;
+  },
+
+  /**
+   * Add a profile
+   * @returns {{profiles: Array, profile: Object}|{error: string}}
+   */
+  add(profiles, { name, color, kids = false, maxMaturityRating = null }) {
+    if (profiles.length >= this.maxProfiles) {
+      return { error: `You can have up to ${this.maxProfiles} profiles.` };
+    }
+
+    const error = this.validateName(profiles, name);
+    if (error) {
+      return { error };
+    }
+
+    const profile = {
+      id: this.generateId(profiles),
+      name: name.trim(),
+      color: this.isAvatarColor(color) ? color : this.avatarColors[profiles.length % this.avatarColors.length].value,
+      ...this.getKidsSettings(kids, maxMaturityRating)
+    };
+
+    return { profiles: [...profiles, profile], profile };
+  },
+
+  /**
+   * Rename a profile and change its avatar color and Kids settings
+   * @returns {{profiles: Array, profile: Object}|{error: string}}
+   */
+  update(profiles, profileId, { name, color, kids, maxMaturityRating }) {
+    const existing = profiles.find(profile => profile.id === profileId);
+    if (!existing) {
+      return { error: 'Profile not found.' };
+    }
+
+    const error = this.validateName(profiles, name, profileId);
+    if (error) {
+      return { error };
+    }
+
+    // Kids settings are only changed when given
+    const profile = {
+      ...existing,
+      name: name.trim(),
+      color: this.isAvatarColor(color) ? color : existing.color,
+      ...(kids === undefined
+        ? this.getKidsSettings(existing.kids, existing.maxMaturityRating)
+        : this.getKidsSettings(kids, maxMaturityRating))
+    };
+
+    return {
+      profiles: profiles.map(other => other.id === profileId ? profile : other),
+      profile
+    };
+  },
+
+  /**
+   * Delete a profile. The last profile can't be deleted.
+   * @returns {{profiles: Array}|{error: string}}
+   */
+  remove(profiles, profileId) {
+    if (!profiles.some(profile => profile.id === profileId)) {
+      return { error: 'Profile not found.' };
+    }
+    if (profiles.length <= 1) {
+      return { error: 'You need at least one profile.' };
+    }
+
+    return { profiles: profiles.filter(profile => profile.id !== profileId) };
+  },
+
+  /**
+   * Parse stored profiles, dropping malformed entries
+   * @returns {{profiles: Array, activeProfileId: string|null}}
+   */
+  parse(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      return { profiles: [], activeProfileId: null };
+    }
+
+    const seen = new Set();
+    const profiles = (data && Array.isArray(data.profiles) ? data.profiles : [])
+      .filter(profile => {
+        const isValid = profile && typeof profile.id === 'string' && !seen.has(profile.id) &&
+          typeof profile.name === 'string' && profile.name.trim() !== '';
+        if (isValid) seen.add(profile.id);
+        return isValid;
+      })
+      .slice(0, this.maxProfiles)
+      .map(profile => ({
+        id: profile.id,
+        name: profile.name.trim().slice(0, this.maxNameLength),
+        color: this.isAvatarColor(profile.color) ? profile.color : this.avatarColors[0].value,
+        ...this.getKidsSettings(profile.kids, profile.maxMaturityRating)
+      }));
+
+    const activeProfileId = data && profiles.some(profile => profile.id === data.activeProfileId)
+      ? data.activeProfileId
+      : null;
+
+    return { profiles, activeProfileId };
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Profiles };
+}
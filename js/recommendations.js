@@ -0,0 +1,154 @@
+/**
+ * Netflix-Inspired Frontend - Recommendations
+ * Deterministic title similarity for "Because you liked X" rows and More Like This
+ */
+
+// Points for how similar two titles are
+const RecommendationWeights = {
+  sharedGenre: 3,
+  sharedCast: 4,
+  yearCloseness: 2,
+  yearRange: 10,
+  rating: 1,
+  anchorBoost: 2
+};
+
+// How strongly each kind of signal counts when it seeds recommendations
+const SeedWeights = {
+  love: 3,
+  like: 2,
+  myList: 1
+};
+
+const Recommendations = {
+  /**
+   * Count the values two lists have in common
+   */
+  countShared(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b)) return 0;
+    const others = new Set(b);
+    return new Set(a.filter(value => others.has(value))).size;
+  },
+
+  /**
+   * Score how similar a title is to another. Titles with no genre or cast
+   * in common score 0; year and rating only refine related titles.
+   */
+  similarity(item, other) {
+    const overlap = this.countShared(item.genres, other.genres) * RecommendationWeights.sharedGenre +
+      this.countShared(item.cast, other.cast) * RecommendationWeights.sharedCast;
+
+    if (overlap === 0) return 0;
+
+    const yearGap = Math.abs((item.year || 0) - (other.year || 0));
+    const yearScore = Math.max(0, 1 - yearGap / RecommendationWeights.yearRange) * RecommendationWeights.yearCloseness;
+    const ratingScore = ((item.rating || 0) / 10) * RecommendationWeights.rating;
+
+    return overlap + yearScore + ratingScore;
+  },
+
+  /**
+   * Order titles by rating, then title, so ties always break the same way
+   */
+  compareItems(a, b) {
+    return (b.rating || 0) - (a.rating || 0) || String(a.title).localeCompare(String(b.title));
+  },
+
+  /**
+   * Remove repeated titles, keeping the first of each ID
+   */
+  uniqueItems(items) {
+    const seen = new Set();
+    return items.filter(item => {
+      if (!item || seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    });
+  },
+
+  /**
+   * Build the weighted seeds: loved and liked titles, then My List titles.
+   * Disliked titles never seed recommendations.
+   * @returns {Array<{item: Object, weight: number, reason: string}>}
+   */
+  buildSeeds(items, { ratings = {}, myListIds = [] } = {}) {
+    const myList = new Set(myListIds);
+
+    return this.uniqueItems(items)
+      .map(item => {
+        const rating = ratings[item.id];
+        if (rating === 'love' || rating === 'like') {
+          return { item, weight: SeedWeights[rating], reason: rating };
+        }
+        if (rating !== 'dislike' && myList.has(item.id)) {
+          return { item, weight: SeedWeights.myList, reason: 'my-list' };
+        }
+        return null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.weight - a.weight || this.compareItems(a.item, b.item));
+  },
+
+  /**
+   * Score a candidate against one anchor title and the whole seed profile
+   */
+  score(item, anchor, seeds) {
+    const anchorScore = this.similarity(item, anchor.item) * anchor.weight * RecommendationWeights.anchorBoost;
+    const profileScore = seeds.reduce((total, seed) => total + this.similarity(item, seed.item) * seed.weight, 0);
+    return anchorScore + profileScore;
+  },
+
+  /**
+   * Find the titles most similar to one title, excluding the title itself
+   */
+  findSimilar(items, item, { limit = 6 } = {}) {
+    return this.uniqueItems(items || [])
+      .filter(other => other.id !== item.id)
+      .map(other => ({ item: other, score: this.similarity(other, item) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || this.compareItems(a.item, b.item))
+      .slice(0, limit)
+      .map(result => result.item);
+  },
+
+  /**
+   * Build recommendation rows, one per anchor title, with no title repeated
+   * across rows. Seeds, disliked titles and My List titles are never recommended.
+   * @returns {Array<{anchor: Object, reason: string, items: Array<Object>}>}
+   */
+  recommend(items, { ratings = {}, myListIds = [] } = {}, { maxRows = 1, limit = 10 } = {}) {
+    const catalog = this.uniqueItems(items || []);
+    const seeds = this.buildSeeds(catalog, { ratings, myListIds });
+    const excluded = new Set([
+      ...seeds.map(seed => seed.item.id),
+      ...myListIds,
+      ...Object.keys(ratings).filter(contentId => ratings[contentId] === 'dislike')
+    ]);
+    const used = new Set();
+    const rows = [];
+
+    for (const anchor of seeds) {
+      if (rows.length >= maxRows) break;
+
+      const rowItems = catalog
+        .filter(item => !excluded.has(item.id) && !used.has(item.id))
+        .filter(item => this.similarity(item, anchor.item) > 0)
+        .map(item => ({ item, score: this.score(item, anchor, seeds) }))
+        .sort((a, b) => b.score - a.score || this.compareItems(a.item, b.item))
+        .slice(0, limit)
+        .map(result => result.item);
+
+      if (rowItems.length === 0) continue;
+
+      rowItems.forEach(item => used.add(item.id));
+      rows.push({ anchor: anchor.item, reason: anchor.reason, items: rowItems });
+    }
+
+    return rows;
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Recommendations, RecommendationWeights, SeedWeights };
+}
@@ -0,0 +1,113 @@
+/**
+ * Netflix-Inspired Frontend - Hash Router
+ * Maps location.hash to view handlers, with ":param" segments
+ */
+
+class HashRouter {
+  /**
+   * @param {Object} options
+   * @param {Array<{path: string, handler: Function}>} options.routes - Route table, first match wins
+   * @param {string} [options.defaultPath] - Path used when the hash is empty
+   * @param {Function} [options.onNotFound] - Called with the path when no route matches
+   */
+  constructor({ routes = [], defaultPath = '', onNotFound = null } = {}) {
+    this.routes = routes.map(route => ({
+      ...route,
+      segments: this.splitPath(route.path)
+    }));
+    this.defaultPath = defaultPath;
+    this.onNotFound = onNotFound;
+    this.currentPath = null;
+    this.hashChangeHandler = () => this.resolve();
+  }
+
+  /**
+   * Start listening for hash changes and resolve the current hash
+   */
+  start() {
+    window.addEventListener('hashchange', this.hashChangeHandler);
+    this.resolve();
+  }
+
+  /**
+   * Stop listening for hash changes
+   */
+  stop() {
+    window.removeEventListener('hashchange', this.hashChangeHandler);
+  }
+
+  /**
+   * Split a path into its non-empty segments
+   */
+  splitPath(path) {
+    return String(path || '').split('/').filter(Boolean);
+  }
+
+  /**
+   * Get the current path from location.hash, without the leading "#" or "/"
+   */
+  getPath() {
+    const path = decodeURIComponent(window.location.hash.replace(/^#\/?/, ''));
+    return path || this.defaultPath;
+  }
+
+  /**
+   * Find the route matching a path
+   * @returns {{route: Object, params: Object}|null}
+   */
+  match(path) {
+    const pathSegments = this.splitPath(path);
+
+    for (const route of this.routes) {
+      if (route.segments.length !== pathSegments.length) continue;
+
+      const params = {};
+      const isMatch = route.segments.every((segment, index) => {
+        if (segment.startsWith(':')) {
+          params[segment.slice(1)] = pathSegments[index];
+          return true;
+        }
+        return segment === pathSegments[index];
+      });
+
+      if (isMatch) {
+        return { route, params };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run the handler for the current hash
+   */
+  resolve() {
+    const path = this.getPath();
+    const matched = this.match(path);
+
+    this.currentPath = path;
+
+    if (matched) {
+      matched.route.handler(matched.params, path);
+    } else if (this.onNotFound) {
+      this.onNotFound(path);
+    }
+  }
+
+  /**
+   * Navigate to a path by updating the hash
+   */
+  navigate(path) {
+    const hash = `#${path}`;
+    if (window.location.hash === hash) {
+      this.resolve();
+    } else {
+      window.location.hash = hash;
+    }
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HashRouter };
+}
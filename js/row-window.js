@@ -0,0 +1,56 @@
+/**
+ * Netflix-Inspired Frontend - Row Window
+ * Which cards of a long content row to mount around its visible scroll range
+ */
+
+const RowWindow = {
+  // Rows shorter than this mount every card
+  minItems: 30,
+  // Cards mounted beyond each edge of the visible range, so scrolling and Tab
+  // reach mounted cards before new ones are needed
+  overscan: 4,
+
+  /**
+   * Check whether a row is long enough to mount only part of it
+   */
+  isWindowed(count) {
+    return count >= this.minItems;
+  },
+
+  /**
+   * Get the range of card indexes to mount, end exclusive. The stride is one
+   * card's width plus the gap after it.
+   * @returns {{start: number, end: number}}
+   */
+  getRange({ scrollLeft, viewportWidth, stride, count }) {
+    if (!(stride > 0)) {
+      return { start: 0, end: count };
+    }
+
+    const first = Math.floor(Math.max(0, scrollLeft) / stride);
+    const visibleCount = Math.ceil(Math.max(0, viewportWidth) / stride) + 1;
+
+    return {
+      start: Math.min(count, Math.max(0, first - this.overscan)),
+      end: Math.min(count, first + visibleCount + this.overscan)
+    };
+  },
+
+  /**
+   * Get the widths of the spacers standing in for unmounted cards before and
+   * after the range. The row's own gap separates each spacer from the cards,
+   * so a spacer is one gap narrower than the cards it replaces.
+   * @returns {{before: number, after: number}}
+   */
+  getSpacerWidths({ start, end }, count, stride, gap) {
+    return {
+      before: start > 0 ? start * stride - gap : 0,
+      after: end < count ? (count - end) * stride - gap : 0
+    };
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RowWindow };
+}
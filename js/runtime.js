@@ -0,0 +1,130 @@
+/**
+ * Netflix-Inspired Frontend - Runtime
+ * Parses free-text durations into structured runtimes and formats them for display
+ */
+
+const Runtime = {
+  // Example values shown when a duration can't be parsed
+  examples: ['2h 32m', 'Season 4', '3 Seasons', '47m episodes'],
+
+  /**
+   * Parse one part of a duration string into a partial runtime
+   */
+  parsePart(part) {
+    let match = part.match(/^(?:(\d+)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:ute)?s?)?)?$/);
+    if (match && (match[1] || match[2])) {
+      const minutes = Number(match[1] || 0) * 60 + Number(match[2] || 0);
+      return minutes > 0 ? { minutes } : null;
+    }
+
+    match = part.match(/^(?:seasons?\s*(\d+)|(\d+)\s*seasons?)$/);
+    if (match) {
+      const seasons = Number(match[1] || match[2]);
+      return seasons > 0 ? { seasons } : null;
+    }
+
+    match = part.match(/^(\d+)\s*m(?:in(?:ute)?s?)?\s*episodes?$/);
+    if (match) {
+      const episodeMinutes = Number(match[1]);
+      return episodeMinutes > 0 ? { episodeMinutes } : null;
+    }
+
+    return null;
+  },
+
+  /**
+   * Parse a legacy duration string such as "2h 32m", "Season 4" or "47m episodes"
+   * @returns {{minutes: number}|{seasons?: number, episodeMinutes?: number}|null}
+   */
+  parse(value) {
+    if (typeof value !== 'string') return null;
+
+    const parts = value.toLowerCase().split(/[,•·]/).map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const runtime = {};
+
+    for (const part of parts) {
+      const parsed = this.parsePart(part);
+      if (!parsed) return null;
+
+      // Each kind of length may appear once
+      if (Object.keys(parsed).some(key => key in runtime)) return null;
+      Object.assign(runtime, parsed);
+    }
+
+    return this.isValid(runtime) ? runtime : null;
+  },
+
+  /**
+   * Check a structured runtime: either { minutes } for films, or
+   * { seasons, episodeMinutes } (at least one) for shows
+   */
+  isValid(runtime) {
+    if (!runtime || typeof runtime !== 'object' || Array.isArray(runtime)) return false;
+
+    const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+    const keys = Object.keys(runtime);
+
+    if ('minutes' in runtime) {
+      return keys.length === 1 && isPositiveInteger(runtime.minutes);
+    }
+
+    return keys.length > 0 &&
+      keys.every(key => ['seasons', 'episodeMinutes'].includes(key) && isPositiveInteger(runtime[key]));
+  },
+
+  /**
+   * Turn a duration string or structured runtime into a structured runtime
+   */
+  normalize(value) {
+    if (typeof value === 'string') {
+      return this.parse(value);
+    }
+    return this.isValid(value) ? { ...value } : null;
+  },
+
+  /**
+   * Get a comparable length in minutes: the film length or the episode length
+   */
+  getMinutes(runtime) {
+    if (!runtime) return null;
+    return runtime.minutes || runtime.episodeMinutes || null;
+  },
+
+  /**
+   * Format minutes as "2h 32m", "2h" or "45m"
+   */
+  formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+
+    if (hours === 0) return `${minutes}m`;
+    return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+  },
+
+  /**
+   * Format a structured runtime for display, e.g. "2h 32m" or "4 Seasons, 47m episodes"
+   */
+  format(runtime) {
+    if (!this.isValid(runtime)) return '';
+
+    if (runtime.minutes) {
+      return this.formatMinutes(runtime.minutes);
+    }
+
+    const parts = [];
+    if (runtime.seasons) {
+      parts.push(`${runtime.seasons} ${runtime.seasons === 1 ? 'Season' : 'Seasons'}`);
+    }
+    if (runtime.episodeMinutes) {
+      parts.push(`${this.formatMinutes(runtime.episodeMinutes)} episodes`);
+    }
+    return parts.join(', ');
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Runtime };
+}
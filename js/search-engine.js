@@ -0,0 +1,284 @@
+/**
+ * Netflix-Inspired Frontend - Search Engine
+ * Relevance-ranked, typo-tolerant search across the content catalog
+ */
+
+// Points awarded for the strongest match of a query term in each field
+const SearchWeights = {
+  titleExact: 100,
+  titlePrefix: 80,
+  titleWordPrefix: 60,
+  titleContains: 40,
+  titleFuzzy: 30,
+  castWordPrefix: 35,
+  castContains: 25,
+  castFuzzy: 20,
+  genreExact: 30,
+  genrePrefix: 25,
+  genreFuzzy: 15,
+  descriptionWordPrefix: 15,
+  descriptionContains: 10,
+  fuzzyPenalty: 5
+};
+
+const SearchEngine = {
+  /**
+   * Normalize text for comparison: lowercase, strip accents and punctuation
+   */
+  normalize(text) {
+    if (text === null || text === undefined) {
+      return '';
+    }
+
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Split normalized text into words
+   */
+  tokenize(text) {
+    const normalized = this.normalize(text);
+    return normalized ? normalized.split(' ') : [];
+  },
+
+  /**
+   * Levenshtein edit distance, giving up once it exceeds maxDistance
+   */
+  editDistance(a, b, maxDistance = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const currentRow = [i];
+      let rowMinimum = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+        currentRow[j] = Math.min(
+          previousRow[j] + 1,
+          currentRow[j - 1] + 1,
+          previousRow[j - 1] + substitutionCost
+        );
+        rowMinimum = Math.min(rowMinimum, currentRow[j]);
+      }
+
+      if (rowMinimum > maxDistance) return maxDistance + 1;
+      previousRow = currentRow;
+    }
+
+    return previousRow[b.length];
+  },
+
+  /**
+   * Number of typos tolerated for a query term of the given length
+   */
+  allowedTypos(term) {
+    if (term.length <= 3) return 0;
+    if (term.length <= 6) return 1;
+    return 2;
+  },
+
+  /**
+   * Smallest edit distance between a term and any word, or null if none is close enough
+   */
+  fuzzyDistance(term, words) {
+    const maxDistance = this.allowedTypos(term);
+    if (maxDistance === 0) return null;
+
+    let best = null;
+    for (const word of words) {
+      // Compare against the word prefix as well so partially typed words still match
+      const candidates = word.length > term.length ? [word, word.slice(0, term.length)] : [word];
+      for (const candidate of candidates) {
+        const distance = this.editDistance(term, candidate, maxDistance);
+        if (distance <= maxDistance && (best === null || distance < best)) {
+          best = distance;
+        }
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * Score a single query term against a title
+   */
+  scoreTitle(term, title) {
+    const words = title.split(' ');
+
+    if (words.some(word => word.startsWith(term))) return SearchWeights.titleWordPrefix;
+    if (title.includes(term)) return SearchWeights.titleContains;
+
+    const distance = this.fuzzyDistance(term, words);
+    return distance === null ? 0 : SearchWeights.titleFuzzy - distance * SearchWeights.fuzzyPenalty;
+  },
+
+  /**
+   * Score a single query term against a list of cast names
+   */
+  scoreCast(term, castMembers) {
+    let best = { score: 0, names: [] };
+
+    for (const member of castMembers) {
+      const words = member.normalized.split(' ');
+      let score = 0;
+
+      if (words.some(word => word.startsWith(term))) {
+        score = SearchWeights.castWordPrefix;
+      } else if (member.normalized.includes(term)) {
+        score = SearchWeights.castContains;
+      } else {
+        const distance = this.fuzzyDistance(term, words);
+        score = distance === null ? 0 : SearchWeights.castFuzzy - distance * SearchWeights.fuzzyPenalty;
+      }
+
+      if (score > best.score) {
+        best = { score, names: [member.original] };
+      } else if (score > 0 && score === best.score) {
+        best.names.push(member.original);
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * Score a single query term against a list of genres
+   */
+  scoreGenres(term, genres) {
+    let best = { score: 0, names: [] };
+
+    for (const genre of genres) {
+      let score = 0;
+
+      if (genre.normalized === term) {
+        score = SearchWeights.genreExact;
+      } else if (genre.normalized.startsWith(term)) {
+        score = SearchWeights.genrePrefix;
+      } else {
+        const distance = this.fuzzyDistance(term, genre.normalized.split(' '));
+        score = distance === null ? 0 : SearchWeights.genreFuzzy - distance * SearchWeights.fuzzyPenalty;
+      }
+
+      if (score > best.score) {
+        best = { score, names: [genre.original] };
+      } else if (score > 0 && score === best.score) {
+        best.names.push(genre.original);
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * Score a single query term against a description (no typo tolerance, too noisy)
+   */
+  scoreDescription(term, description) {
+    if (description.split(' ').some(word => word.startsWith(term))) return SearchWeights.descriptionWordPrefix;
+    if (description.includes(term)) return SearchWeights.descriptionContains;
+    return 0;
+  },
+
+  /**
+   * Score one content item against a normalized query, or return null when a term matches nowhere
+   */
+  scoreItem(item, normalizedQuery, terms) {
+    const title = this.normalize(item.title);
+    const description = this.normalize(item.description);
+    const castMembers = (item.cast || []).map(name => ({ original: name, normalized: this.normalize(name) }));
+    const genres = (item.genres || []).map(name => ({ original: name, normalized: this.normalize(name) }));
+
+    const matches = { title: false, cast: [], genres: [], description: false };
+    let score = 0;
+
+    // Whole-query title matches beat any combination of per-term matches
+    if (title === normalizedQuery) {
+      score += SearchWeights.titleExact;
+      matches.title = true;
+    } else if (title.startsWith(normalizedQuery)) {
+      score += SearchWeights.titlePrefix;
+      matches.title = true;
+    }
+
+    for (const term of terms) {
+      const titleScore = this.scoreTitle(term, title);
+      const castMatch = this.scoreCast(term, castMembers);
+      const genreMatch = this.scoreGenres(term, genres);
+      const descriptionScore = this.scoreDescription(term, description);
+
+      const termScore = Math.max(titleScore, castMatch.score, genreMatch.score, descriptionScore);
+      if (termScore <= 0) {
+        return null;
+      }
+
+      score += termScore;
+
+      if (titleScore > 0) matches.title = true;
+      if (descriptionScore > 0) matches.description = true;
+      castMatch.names.forEach(name => {
+        if (!matches.cast.includes(name)) matches.cast.push(name);
+      });
+      genreMatch.names.forEach(name => {
+        if (!matches.genres.includes(name)) matches.genres.push(name);
+      });
+    }
+
+    return { score, matches };
+  },
+
+  /**
+   * Key used to recognise the same title listed under several categories
+   */
+  dedupeKey(item) {
+    return `${this.normalize(item.title)}|${item.year}`;
+  },
+
+  /**
+   * Search items and return { item, score, matches } results, best first
+   */
+  search(items, query, options = {}) {
+    const normalizedQuery = this.normalize(query);
+    if (!normalizedQuery || !Array.isArray(items)) {
+      return [];
+    }
+
+    const terms = this.tokenize(normalizedQuery);
+    const bestByTitle = new Map();
+
+    for (const item of items) {
+      if (!item || !item.title) continue;
+
+      const result = this.scoreItem(item, normalizedQuery, terms);
+      if (!result) continue;
+
+      const key = this.dedupeKey(item);
+      const existing = bestByTitle.get(key);
+      if (!existing || result.score > existing.score) {
+        bestByTitle.set(key, { item, score: result.score, matches: result.matches });
+      }
+    }
+
+    const results = Array.from(bestByTitle.values()).sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      if ((b.item.rating || 0) !== (a.item.rating || 0)) return (b.item.rating || 0) - (a.item.rating || 0);
+      return a.item.title.localeCompare(b.item.title);
+    });
+
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SearchEngine, SearchWeights };
+}
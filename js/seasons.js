@@ -0,0 +1,83 @@
+/**
+ * Netflix-Inspired Frontend - Seasons
+ * Validation of the seasons -> episodes structure of TV shows
+ */
+
+const Seasons = {
+  // Episode fields that must be non-empty strings
+  episodeTextFields: ['title', 'synopsis', 'thumbnail'],
+
+  /**
+   * Get what is wrong with an item's seasons, or null when they are valid.
+   * Items without seasons, like older TV shows, are valid.
+   * @returns {string|null}
+   */
+  getError(item) {
+    const { seasons } = item;
+    if (seasons === undefined) {
+      return null;
+    }
+
+    if (item.type !== 'tv-show') {
+      return `Only TV shows can have seasons: ${item.id}`;
+    }
+
+    if (!Array.isArray(seasons) || seasons.length === 0) {
+      return `Seasons must be a non-empty array: ${item.id}`;
+    }
+
+    const seasonNumbers = new Set();
+
+    for (const season of seasons) {
+      if (!season || !this.isPositiveInteger(season.number) || seasonNumbers.has(season.number)) {
+        return `Invalid or duplicate season number in ${item.id}`;
+      }
+      seasonNumbers.add(season.number);
+
+      if (season.title !== undefined && !this.isNonEmptyString(season.title)) {
+        return `Invalid title for season ${season.number} of ${item.id}`;
+      }
+
+      if (!Array.isArray(season.episodes) || season.episodes.length === 0) {
+        return `Season ${season.number} of ${item.id} has no episodes`;
+      }
+
+      const episodeNumbers = new Set();
+
+      for (const episode of season.episodes) {
+        if (!episode || !this.isPositiveInteger(episode.number) || episodeNumbers.has(episode.number)) {
+          return `Invalid or duplicate episode number in season ${season.number} of ${item.id}`;
+        }
+        episodeNumbers.add(episode.number);
+
+        const invalidField = this.episodeTextFields.find(field => !this.isNonEmptyString(episode[field])) ||
+          (typeof episode.runtime !== 'number' || episode.runtime <= 0 ? 'runtime' : null);
+
+        if (invalidField) {
+          return `Invalid ${invalidField} for S${season.number}:E${episode.number} of ${item.id}`;
+        }
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Check for a whole number above zero
+   */
+  isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+  },
+
+  /**
+   * Check for a string with more than whitespace
+   */
+  isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Seasons };
+}
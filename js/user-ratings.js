@@ -0,0 +1,66 @@
+/**
+ * Netflix-Inspired Frontend - User Ratings
+ * Per-title dislike, like and love ratings, saved for each profile
+ */
+
+const UserRatings = {
+  /**
+   * Check whether a rating is one of the configured levels. Only the levels'
+   * own keys count, so names like 'toString' never pass.
+   * @param {*} rating
+   * @param {Object} levels - Ratings keyed by name, like AppConfig.userRatings
+   */
+  isValid(rating, levels) {
+    return typeof rating === 'string' && Object.prototype.hasOwnProperty.call(levels, rating);
+  },
+
+  /**
+   * Get the rating after choosing one: choosing the current rating again clears it
+   */
+  getNextRating(current, chosen) {
+    return chosen === current ? null : chosen;
+  },
+
+  /**
+   * Return a copy of the ratings with one title rated, or cleared with null
+   */
+  set(ratings, contentId, rating) {
+    const updated = { ...ratings };
+
+    if (rating === null) {
+      delete updated[contentId];
+    } else {
+      updated[contentId] = rating;
+    }
+
+    return updated;
+  },
+
+  /**
+   * Parse stored ratings, dropping unknown values
+   */
+  parse(json, levels) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      return {};
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return {};
+    }
+
+    return Object.keys(data).reduce((ratings, contentId) => {
+      if (this.isValid(data[contentId], levels)) {
+        ratings[contentId] = data[contentId];
+      }
+      return ratings;
+    }, {});
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { UserRatings };
+}
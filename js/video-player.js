@@ -0,0 +1,481 @@
+/**
+ * Netflix-Inspired Frontend - Video Player
+ * Full-screen HTML5 video overlay with custom controls and keyboard shortcuts
+ */
+
+class VideoPlayer {
+  /**
+   * @param {HTMLElement} overlay - The .player-overlay element from index.html
+   * @param {Object} [options]
+   * @param {number} [options.seekStep] - Seconds skipped by the arrow keys
+   * @param {number} [options.volumeStep] - Volume change for the arrow keys
+   * @param {number} [options.controlsHideDelay] - Milliseconds of inactivity before controls hide
+   * @param {number} [options.progressInterval] - Milliseconds between onProgress reports during playback
+   * @param {Function} [options.onProgress] - Called with the content and position while playing, on pause and at the end
+   * @param {Function} [options.onClose] - Called with the content and last position when the player exits
+   */
+  constructor(overlay, options = {}) {
+    this.overlay = overlay;
+    this.options = {
+      seekStep: 10,
+      volumeStep: 0.1,
+      controlsHideDelay: 3000,
+      progressInterval: 5000,
+      onProgress: null,
+      onClose: null,
+      ...options
+    };
+
+    this.video = overlay.querySelector('.player-video');
+    this.titleElement = overlay.querySelector('.player-title');
+    this.messageElement = overlay.querySelector('.player-message');
+    this.exitButton = overlay.querySelector('.player-exit');
+    this.playButton = overlay.querySelector('.player-play');
+    this.muteButton = overlay.querySelector('.player-mute');
+    this.fullscreenButton = overlay.querySelector('.player-fullscreen');
+    this.seekBar = overlay.querySelector('.player-seek');
+    this.volumeBar = overlay.querySelector('.player-volume');
+    this.timeElement = overlay.querySelector('.player-time');
+
+    this.content = null;
+    this.returnFocusTo = null;
+    this.controlsTimer = null;
+    this.isSeeking = false;
+    this.lastProgressReport = 0;
+
+    this.keydownHandler = (e) => this.handleKeydown(e);
+
+    this.bindControls();
+  }
+
+  /**
+   * Whether the player is currently showing
+   */
+  get isOpen() {
+    return this.content !== null;
+  }
+
+  /**
+   * Attach listeners to the video and control elements
+   */
+  bindControls() {
+    this.exitButton?.addEventListener('click', () => this.close());
+    this.playButton?.addEventListener('click', () => this.togglePlay());
+    this.muteButton?.addEventListener('click', () => this.toggleMute());
+    this.fullscreenButton?.addEventListener('click', () => this.toggleFullscreen());
+
+    // Clicking the picture itself toggles playback, like most players, and
+    // hands the keyboard shortcuts back from whichever control had focus
+    this.video.addEventListener('click', () => {
+      this.togglePlay();
+      this.overlay.focus({ preventScroll: true });
+    });
+
+    this.seekBar?.addEventListener('input', () => {
+      this.isSeeking = true;
+      this.updateTimeDisplay(Number(this.seekBar.value));
+    });
+    this.seekBar?.addEventListener('change', () => {
+      this.isSeeking = false;
+      this.seek(Number(this.seekBar.value));
+    });
+
+    this.volumeBar?.addEventListener('input', () => {
+      this.setVolume(Number(this.volumeBar.value));
+    });
+
+    ['play', 'pause', 'volumechange', 'loadedmetadata', 'timeupdate', 'ended'].forEach(eventName => {
+      this.video.addEventListener(eventName, () => this.updateControls());
+    });
+
+    this.video.addEventListener('timeupdate', () => this.reportProgress());
+    ['pause', 'ended'].forEach(eventName => {
+      this.video.addEventListener(eventName, () => this.reportProgress({ force: true }));
+    });
+
+    this.video.addEventListener('error', () => {
+      if (this.isOpen) {
+        this.showMessage("Sorry, this video can't be played right now.");
+      }
+    });
+
+    document.addEventListener('fullscreenchange', () => this.updateControls());
+
+    // Show the controls again whenever the viewer interacts
+    ['mousemove', 'touchstart', 'focusin'].forEach(eventName => {
+      this.overlay.addEventListener(eventName, () => this.showControls());
+    });
+  }
+
+  /**
+   * Open the player for a content item and start playback
+   */
+  open(content, { returnFocusTo = null, startTime = 0 } = {}) {
+    if (!content || !content.videoUrl) {
+      return false;
+    }
+
+    this.content = content;
+    this.returnFocusTo = returnFocusTo;
+    this.lastProgressReport = Date.now();
+
+    this.titleElement.textContent = content.title;
+    this.hideMessage();
+
+    this.video.src = content.videoUrl;
+    this.video.currentTime = startTime;
+
+    this.overlay.classList.remove('hidden');
+    this.overlay.setAttribute('aria-hidden', 'false');
+    document.body.classList.add('player-open');
+    document.body.style.overflow = 'hidden';
+
+    // Capture phase so player shortcuts win over the modal's Escape handler
+    document.addEventListener('keydown', this.keydownHandler, true);
+
+    this.updateControls();
+    this.showControls();
+    // The overlay itself takes focus, so the shortcuts work straight away
+    this.overlay.focus({ preventScroll: true });
+
+    const playPromise = this.video.play();
+    if (playPromise && typeof playPromise.catch === 'function') {
+      playPromise.catch(error => {
+        // Autoplay can be blocked; the viewer can still press play
+        console.warn('⚠️ Video playback did not start:', error);
+        this.updateControls();
+      });
+    }
+
+    console.log(`▶️ Playing: ${content.title}`);
+    return true;
+  }
+
+  /**
+   * Stop playback, hide the player and return focus
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    const content = this.content;
+    const position = this.video.currentTime || 0;
+    const duration = this.video.duration || 0;
+
+    this.video.pause();
+
+    if (document.fullscreenElement === this.overlay && document.exitFullscreen) {
+      document.exitFullscreen().catch(() => {});
+    }
+
+    document.removeEventListener('keydown', this.keydownHandler, true);
+    clearTimeout(this.controlsTimer);
+
+    this.video.removeAttribute('src');
+    this.video.load();
+
+    this.overlay.classList.add('hidden');
+    this.overlay.setAttribute('aria-hidden', 'true');
+    document.body.classList.remove('player-open');
+
+    // Keep the page locked if the player was opened over a modal
+    if (!document.body.classList.contains('modal-open')) {
+      document.body.style.overflow = '';
+    }
+
+    this.content = null;
+
+    if (this.returnFocusTo && document.body.contains(this.returnFocusTo)) {
+      this.returnFocusTo.focus();
+    }
+    this.returnFocusTo = null;
+
+    if (this.options.onClose) {
+      this.options.onClose(content, { position, duration });
+    }
+
+    console.log(`⏹️ Player closed: ${content.title}`);
+  }
+
+  /**
+   * Report the current position to onProgress, at most once per progressInterval
+   */
+  reportProgress({ force = false } = {}) {
+    if (!this.isOpen || !this.options.onProgress) return;
+
+    const now = Date.now();
+    if (!force && now - this.lastProgressReport < this.options.progressInterval) return;
+
+    this.lastProgressReport = now;
+    this.options.onProgress(this.content, {
+      position: this.video.currentTime || 0,
+      duration: this.video.duration || 0
+    });
+  }
+
+  /**
+   * Toggle between playing and paused
+   */
+  togglePlay() {
+    if (this.video.paused || this.video.ended) {
+      const playPromise = this.video.play();
+      if (playPromise && typeof playPromise.catch === 'function') {
+        playPromise.catch(error => console.warn('⚠️ Video playback did not start:', error));
+      }
+    } else {
+      this.video.pause();
+    }
+  }
+
+  /**
+   * Pause playback, as when the page is hidden
+   */
+  pause() {
+    if (this.isOpen && !this.video.paused) {
+      this.video.pause();
+    }
+  }
+
+  /**
+   * Jump to a position in seconds
+   */
+  seek(seconds) {
+    const duration = Number.isFinite(this.video.duration) ? this.video.duration : 0;
+    this.video.currentTime = Math.max(0, duration ? Math.min(duration, seconds) : seconds);
+    this.updateControls();
+  }
+
+  /**
+   * Skip forward or backward by a number of seconds
+   */
+  seekBy(seconds) {
+    this.seek((this.video.currentTime || 0) + seconds);
+  }
+
+  /**
+   * Set the volume between 0 and 1
+   */
+  setVolume(volume) {
+    this.video.volume = Math.max(0, Math.min(1, volume));
+    this.video.muted = this.video.volume === 0;
+    this.updateControls();
+  }
+
+  /**
+   * Toggle mute without losing the chosen volume
+   */
+  toggleMute() {
+    this.video.muted = !this.video.muted;
+    if (!this.video.muted && this.video.volume === 0) {
+      this.video.volume = this.options.volumeStep;
+    }
+    this.updateControls();
+  }
+
+  /**
+   * Toggle full screen for the player overlay
+   */
+  toggleFullscreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen?.().catch(() => {});
+    } else if (this.overlay.requestFullscreen) {
+      this.overlay.requestFullscreen().catch(error => {
+        console.warn('⚠️ Full screen is not available:', error);
+      });
+    }
+  }
+
+  /**
+   * Keyboard shortcuts while the player is open. Escape and Tab work
+   * everywhere in the player; the shortcuts only when focus is on the overlay
+   * or the video, so focused controls keep their own keys.
+   */
+  handleKeydown(e) {
+    if (!this.isOpen) return;
+
+    const handled = () => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    };
+
+    if (e.key === 'Escape') {
+      // The browser leaves full screen on its own; only exit when windowed
+      handled();
+      if (!document.fullscreenElement) {
+        this.close();
+      }
+      return;
+    }
+
+    if (e.key === 'Tab') {
+      // Other focus traps, like the modal's underneath, stay out of it
+      e.stopImmediatePropagation();
+      this.trapFocus(e);
+      return;
+    }
+
+    // Focus that left the player, such as on the page body, counts as the player
+    const onControl = e.target !== this.overlay && e.target !== this.video && this.overlay.contains(e.target);
+    if (onControl) return;
+
+    switch (e.key) {
+      case ' ':
+      case 'k':
+        handled();
+        this.togglePlay();
+        break;
+      case 'ArrowLeft':
+        handled();
+        this.seekBy(-this.options.seekStep);
+        break;
+      case 'ArrowRight':
+        handled();
+        this.seekBy(this.options.seekStep);
+        break;
+      case 'ArrowUp':
+        handled();
+        this.setVolume(this.video.volume + this.options.volumeStep);
+        break;
+      case 'ArrowDown':
+        handled();
+        this.setVolume(this.video.volume - this.options.volumeStep);
+        break;
+      case 'f':
+        handled();
+        this.toggleFullscreen();
+        break;
+      case 'm':
+        handled();
+        this.toggleMute();
+        break;
+      default:
+        return;
+    }
+
+    this.showControls();
+  }
+
+  /**
+   * Keep Tab inside the player: the browser moves focus between the
+   * controls, and focus wraps around at either end
+   */
+  trapFocus(e) {
+    const focusable = Array.from(this.overlay.querySelectorAll('button, input')).filter(element => !element.disabled);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    const atEdge = e.shiftKey ? active === first || active === this.overlay : active === last;
+
+    if (atEdge || !this.overlay.contains(active)) {
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    }
+  }
+
+  /**
+   * Show the controls and hide them again after a period of inactivity
+   */
+  showControls() {
+    this.overlay.classList.remove('controls-hidden');
+    clearTimeout(this.controlsTimer);
+
+    this.controlsTimer = setTimeout(() => {
+      if (this.isOpen && !this.video.paused) {
+        this.overlay.classList.add('controls-hidden');
+      }
+    }, this.options.controlsHideDelay);
+  }
+
+  /**
+   * Sync buttons, seek bar and time with the video state
+   */
+  updateControls() {
+    const isPaused = this.video.paused || this.video.ended;
+    const duration = Number.isFinite(this.video.duration) ? this.video.duration : 0;
+
+    if (this.playButton) {
+      this.playButton.setAttribute('aria-label', isPaused ? 'Play' : 'Pause');
+      this.playButton.classList.toggle('is-playing', !isPaused);
+    }
+
+    if (this.muteButton) {
+      const isMuted = this.video.muted || this.video.volume === 0;
+      this.muteButton.setAttribute('aria-label', isMuted ? 'Unmute' : 'Mute');
+      this.muteButton.classList.toggle('is-muted', isMuted);
+    }
+
+    if (this.volumeBar) {
+      this.volumeBar.value = this.video.muted ? 0 : this.video.volume;
+    }
+
+    if (this.fullscreenButton) {
+      const isFullscreen = Boolean(document.fullscreenElement);
+      this.fullscreenButton.setAttribute('aria-label', isFullscreen ? 'Exit full screen' : 'Full screen');
+    }
+
+    if (this.seekBar && !this.isSeeking) {
+      this.seekBar.max = duration || 0;
+      this.seekBar.value = this.video.currentTime || 0;
+    }
+
+    if (!this.isSeeking) {
+      this.updateTimeDisplay(this.video.currentTime || 0);
+    }
+
+    if (isPaused) {
+      this.overlay.classList.remove('controls-hidden');
+    }
+  }
+
+  /**
+   * Show the elapsed and total time
+   */
+  updateTimeDisplay(position) {
+    if (!this.timeElement) return;
+
+    const duration = Number.isFinite(this.video.duration) ? this.video.duration : 0;
+    this.timeElement.textContent = `${VideoPlayer.formatTime(position)} / ${VideoPlayer.formatTime(duration)}`;
+    this.seekBar?.setAttribute('aria-valuetext', `${VideoPlayer.formatTime(position)} of ${VideoPlayer.formatTime(duration)}`);
+  }
+
+  /**
+   * Show an error or status message over the video
+   */
+  showMessage(message) {
+    if (!this.messageElement) return;
+    this.messageElement.textContent = message;
+    this.messageElement.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the message shown over the video
+   */
+  hideMessage() {
+    if (!this.messageElement) return;
+    this.messageElement.textContent = '';
+    this.messageElement.classList.add('hidden');
+  }
+
+  /**
+   * Format seconds as m:ss or h:mm:ss
+   */
+  static formatTime(totalSeconds) {
+    const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const remainder = String(seconds % 60).padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${remainder}`
+      : `${minutes}:${remainder}`;
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VideoPlayer };
+}
@@ -0,0 +1,118 @@
+/**
+ * Netflix-Inspired Frontend - Viewing History
+ * Timestamped record of titles opened and played, grouped by day
+ */
+
+const ViewingHistory = {
+  actions: ['opened', 'played'],
+  maxEntries: 500,
+  // Reopening the same title this soon updates its entry instead of adding another
+  mergeWindowMs: 30 * 60 * 1000,
+
+  /**
+   * Record a title being opened or played, newest first
+   * @returns {Array<Object>} Updated entries
+   */
+  record(entries, { contentId, title, action }, now = Date.now()) {
+    if (!contentId || !this.actions.includes(action)) {
+      return entries;
+    }
+
+    const [latest, ...rest] = entries;
+    if (latest && latest.contentId === contentId && latest.action === action &&
+        now - latest.timestamp < this.mergeWindowMs) {
+      return [{ ...latest, title: title || latest.title, timestamp: now }, ...rest];
+    }
+
+    const entry = {
+      id: `${now}-${action}-${contentId}`,
+      contentId,
+      title: title || contentId,
+      action,
+      timestamp: now
+    };
+
+    return [entry, ...entries.filter(other => other.id !== entry.id)].slice(0, this.maxEntries);
+  },
+
+  /**
+   * Delete one entry
+   */
+  remove(entries, entryId) {
+    return entries.filter(entry => entry.id !== entryId);
+  },
+
+  /**
+   * Get the local calendar day of a timestamp as YYYY-MM-DD
+   */
+  getDateKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  },
+
+  /**
+   * Group entries by local day, newest day and entry first
+   * @returns {Array<{dateKey: string, entries: Array<Object>}>}
+   */
+  groupByDate(entries) {
+    const groups = new Map();
+
+    [...entries]
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .forEach(entry => {
+        const dateKey = this.getDateKey(entry.timestamp);
+        if (!groups.has(dateKey)) {
+          groups.set(dateKey, []);
+        }
+        groups.get(dateKey).push(entry);
+      });
+
+    return Array.from(groups, ([dateKey, dayEntries]) => ({ dateKey, entries: dayEntries }));
+  },
+
+  /**
+   * Build the JSON document offered as a download
+   */
+  toExport(entries, { profileName = null } = {}, now = Date.now()) {
+    return {
+      profile: profileName,
+      exportedAt: new Date(now).toISOString(),
+      entries: entries.map(entry => ({
+        title: entry.title,
+        contentId: entry.contentId,
+        action: entry.action,
+        date: new Date(entry.timestamp).toISOString()
+      }))
+    };
+  },
+
+  /**
+   * Parse stored entries, dropping malformed ones
+   */
+  parse(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      return [];
+    }
+
+    if (!Array.isArray(data)) {
+      return [];
+    }
+
+    return data
+      .filter(entry => entry && typeof entry.id === 'string' && typeof entry.contentId === 'string' &&
+        this.actions.includes(entry.action) && Number.isFinite(entry.timestamp))
+      .map(entry => ({ ...entry, title: typeof entry.title === 'string' ? entry.title : entry.contentId }))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, this.maxEntries);
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ViewingHistory };
+}
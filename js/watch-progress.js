@@ -0,0 +1,106 @@
+/**
+ * Netflix-Inspired Frontend - Watch Progress
+ * Per-title playback progress used by the Continue Watching row
+ */
+
+const WatchProgress = {
+  // Share of the runtime after which a title counts as finished
+  finishedRatio: 0.95,
+
+  // Positions (in seconds) below this don't start a new entry
+  minPosition: 5,
+
+  /**
+   * Check whether a position/duration pair is valid progress
+   */
+  isValidEntry(entry) {
+    return Boolean(entry) &&
+      Number.isFinite(entry.position) && entry.position >= 0 &&
+      Number.isFinite(entry.duration) && entry.duration > 0 &&
+      Number.isFinite(entry.lastWatched);
+  },
+
+  /**
+   * Check whether an entry has been watched to the end
+   */
+  isFinished(entry) {
+    return entry.position >= entry.duration * this.finishedRatio;
+  },
+
+  /**
+   * Get how much of the title has been watched, from 0 to 100
+   */
+  getPercent(entry) {
+    if (!entry || !entry.duration) return 0;
+    return Math.min(100, Math.max(0, Math.round((entry.position / entry.duration) * 100)));
+  },
+
+  /**
+   * Return a copy of the progress with one title updated. Finished titles
+   * are dropped; positions before minPosition only update existing entries.
+   */
+  update(progress, contentId, { position, duration }, now = Date.now()) {
+    const updated = { ...progress };
+
+    if (!Number.isFinite(position) || !Number.isFinite(duration) || duration <= 0) {
+      return updated;
+    }
+
+    const entry = { position: Math.max(0, position), duration, lastWatched: now };
+
+    if (this.isFinished(entry)) {
+      delete updated[contentId];
+    } else if (position >= this.minPosition || updated[contentId]) {
+      updated[contentId] = entry;
+    }
+
+    return updated;
+  },
+
+  /**
+   * Return a copy of the progress without one title
+   */
+  remove(progress, contentId) {
+    const updated = { ...progress };
+    delete updated[contentId];
+    return updated;
+  },
+
+  /**
+   * Get the IDs of unfinished titles, most recently watched first
+   */
+  getInProgressIds(progress) {
+    return Object.keys(progress || {})
+      .filter(contentId => !this.isFinished(progress[contentId]))
+      .sort((a, b) => progress[b].lastWatched - progress[a].lastWatched);
+  },
+
+  /**
+   * Parse stored progress, dropping malformed entries
+   */
+  parse(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      return {};
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return {};
+    }
+
+    return Object.keys(data).reduce((progress, contentId) => {
+      if (this.isValidEntry(data[contentId])) {
+        const { position, duration, lastWatched } = data[contentId];
+        progress[contentId] = { position, duration, lastWatched };
+      }
+      return progress;
+    }, {});
+  }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WatchProgress };
+}
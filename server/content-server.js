@@ -0,0 +1,183 @@
+/**
+ * Netflix-Inspired Frontend - Content Server
+ * A local stand-in for the production content API. It serves the app, and
+ * pages of data/content.json at /api/content:
+ *
+ *   GET /api/content                               The catalog: featured titles and categories without items
+ *   GET /api/content?category=<id>[&cursor=<c>][&limit=<n>]
+ *                                                  One page of a category: { items, nextCursor }
+ *   GET /api/content?id=<id>                       One title, or a 404 if no category has it
+ *   GET /api/content?q=<query>                     Titles matching a search, best first: { items }
+ *
+ * Successful responses carry an ETag, and requests sending it back in
+ * If-None-Match get a 304 while the content is unchanged.
+ *
+ * Run with `npm run serve:api`. PORT picks the port (8080 by default) and
+ * CONTENT_API_DELAY adds a delay in milliseconds to every API response, to
+ * see the loading placeholders.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { ContentApi } = require('../js/content-api.js');
+const { SearchEngine } = require('../js/search-engine.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const API_PATH = '/api/content';
+const PORT = Number(process.env.PORT) || 8080;
+const DELAY = Number(process.env.CONTENT_API_DELAY) || 0;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Read the content file on every request, so edits show up without a restart
+ */
+function readContentData() {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'content.json'), 'utf8'));
+}
+
+/**
+ * Send a successful response with an ETag of its body, or a 304 when the
+ * request already has that version
+ */
+function sendOk(req, res, headers, body) {
+  const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, { ETag: etag });
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, { ...headers, ETag: etag });
+  res.end(body);
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(req, res, status, body) {
+  const headers = { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-cache' };
+
+  if (status === 200) {
+    sendOk(req, res, headers, JSON.stringify(body));
+    return;
+  }
+
+  res.writeHead(status, headers);
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Answer a content API request with the catalog, one page of a category, one title or search results
+ */
+function handleApiRequest(url, req, res) {
+  const data = readContentData();
+  const categoryId = url.searchParams.get('category');
+  const contentId = url.searchParams.get('id');
+  const query = url.searchParams.get('q');
+
+  if (query !== null) {
+    const results = SearchEngine.search(ContentApi.getTitles(data), query, { limit: ContentApi.maxLimit });
+    sendJson(req, res, 200, { items: results.map(result => result.item) });
+    return;
+  }
+
+  if (contentId) {
+    const title = ContentApi.findTitle(data, contentId);
+    if (!title) {
+      sendJson(req, res, 404, { error: `Unknown title: ${contentId}` });
+      return;
+    }
+
+    sendJson(req, res, 200, title);
+    return;
+  }
+
+  if (!categoryId) {
+    sendJson(req, res, 200, ContentApi.getCatalog(data));
+    return;
+  }
+
+  const category = data.categories.find(cat => cat.id === categoryId);
+  if (!category) {
+    sendJson(req, res, 404, { error: `Unknown category: ${categoryId}` });
+    return;
+  }
+
+  const page = ContentApi.paginate(category.items, url.searchParams.get('cursor'), Number(url.searchParams.get('limit')));
+  if (!page) {
+    sendJson(req, res, 400, { error: 'Invalid cursor' });
+    return;
+  }
+
+  sendJson(req, res, 200, page);
+}
+
+/**
+ * Serve a file of the app. The index points the app at the content API.
+ */
+function handleFileRequest(url, req, res) {
+  let filePath;
+  try {
+    filePath = path.join(ROOT, path.normalize(decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname)));
+  } catch (error) {
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.readFile(filePath, (error, contents) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+
+    if (filePath === path.join(ROOT, 'index.html')) {
+      contents = contents.toString().replace('<meta name="content-api" content="">', `<meta name="content-api" content="${API_PATH}">`);
+    }
+
+    sendOk(req, res, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' }, contents);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (url.pathname !== API_PATH) {
+    handleFileRequest(url, req, res);
+    return;
+  }
+
+  setTimeout(() => {
+    try {
+      handleApiRequest(url, req, res);
+    } catch (error) {
+      console.error('❌ Content API request failed:', error);
+      sendJson(req, res, 500, { error: 'Content unavailable' });
+    }
+  }, DELAY);
+});
+
+server.listen(PORT, () => {
+  console.log(`🎬 Serving the app at http://localhost:${PORT} with its content API at ${API_PATH}`);
+});
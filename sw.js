@@ -0,0 +1,101 @@
+/**
+ * Netflix-Inspired Frontend - Service Worker
+ * Keeps the app shell, the last good content and the posters already viewed,
+ * and serves them while offline
+ */
+
+importScripts('js/offline-cache.js');
+
+const CACHE_NAMES = OfflineCache.getCacheNames();
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAMES.app)
+      .then(cache => cache.addAll(OfflineCache.shellFiles))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = Object.values(CACHE_NAMES);
+
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const strategy = OfflineCache.getStrategy({
+    method: request.method,
+    url: request.url,
+    destination: request.destination,
+    hasRange: request.headers.has('range')
+  });
+
+  if (strategy === 'network-first') {
+    event.respondWith(networkFirst(request));
+  } else if (strategy === 'cache-first') {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/**
+ * Answer from the network and keep a copy, or from the last good copy when
+ * the network fails or errors. A 304 for the page's own conditional request
+ * goes back as it is. Offline navigations fall back to the app shell.
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAMES.app);
+
+  try {
+    const response = await fetch(request);
+    if (OfflineCache.isCacheable(response)) {
+      await cache.put(request, response.clone());
+      return response;
+    }
+
+    // The page asked whether its saved copy is current, and it is
+    if (response.status === 304) {
+      return response;
+    }
+
+    return (await cache.match(request)) || response;
+  } catch (error) {
+    const cached = (await cache.match(request)) || (request.mode === 'navigate' ? await cache.match('index.html') : null);
+    if (cached) {
+      return cached;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Answer from the poster cache, or fetch and keep the image for next time
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAMES.posters);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (OfflineCache.isCacheable(response)) {
+    await cache.put(request, response.clone());
+    await trimCache(cache, OfflineCache.maxPosters);
+  }
+
+  return response;
+}
+
+/**
+ * Drop the oldest entries of a cache beyond a limit
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,59 @@
+/**
+ * Card Preview Tests
+ * Tests for sizing and placing expanded card previews inside the viewport
+ */
+
+const { CardPreview } = require('../js/card-preview.js');
+
+describe('Netflix Frontend - Card Preview', () => {
+  const viewport = { width: 1280, height: 800 };
+  const card = (left, top = 300) => ({ left, top, width: 200, height: 300 });
+
+  describe('Width', () => {
+    test('should be wider than the card', () => {
+      expect(CardPreview.getWidth(200, 1280)).toBe(300);
+    });
+
+    test('should never be narrower than the minimum', () => {
+      expect(CardPreview.getWidth(150, 1280)).toBe(CardPreview.minWidth);
+    });
+
+    test('should shrink to fit narrow viewports', () => {
+      expect(CardPreview.getWidth(150, 300)).toBe(300 - CardPreview.margin * 2);
+    });
+  });
+
+  describe('Position', () => {
+    test('should centre the preview on a card in the middle of a row', () => {
+      const position = CardPreview.getPosition(card(540), { width: 300, height: 320 }, viewport);
+
+      expect(position.left).toBe(490);
+      expect(position.top).toBe(290);
+      expect(position.originX).toBe(150);
+      expect(position.originY).toBe(160);
+    });
+
+    test('should slide inward at the left edge', () => {
+      const position = CardPreview.getPosition(card(0), { width: 300, height: 320 }, viewport);
+
+      expect(position.left).toBe(CardPreview.margin);
+      // The preview still grows out of the card's centre
+      expect(position.originX).toBe(100 - CardPreview.margin);
+    });
+
+    test('should slide inward at the right edge', () => {
+      const position = CardPreview.getPosition(card(1180), { width: 300, height: 320 }, viewport);
+      expect(position.left + 300).toBe(viewport.width - CardPreview.margin);
+    });
+
+    test('should stay inside the top and bottom of the viewport', () => {
+      expect(CardPreview.getPosition(card(540, -200), { width: 300, height: 320 }, viewport).top).toBe(CardPreview.margin);
+      expect(CardPreview.getPosition(card(540, 700), { width: 300, height: 320 }, viewport).top)
+        .toBe(viewport.height - 320 - CardPreview.margin);
+    });
+
+    test('should start at the top when the preview is taller than the viewport', () => {
+      expect(CardPreview.getPosition(card(540), { width: 300, height: 900 }, viewport).top).toBe(CardPreview.margin);
+    });
+  });
+});
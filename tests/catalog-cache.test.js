@@ -0,0 +1,74 @@
+/**
+ * Catalog Cache Tests
+ * Tests for saving the catalog between visits and telling when it changed
+ */
+
+const { CatalogCache } = require('../js/catalog-cache.js');
+
+describe('Netflix Frontend - Catalog Cache', () => {
+  const catalog = {
+    featured: [{ id: 'featured-1', title: 'Featured' }],
+    categories: [{ id: 'trending', title: 'Trending Now', items: [{ id: 'title-1', title: 'Title 1' }] }]
+  };
+
+  describe('Keys', () => {
+    test('should key saved catalogs by content source', () => {
+      expect(CatalogCache.getKey({ type: 'static', url: './data/content.json' })).toBe('static:./data/content.json');
+      expect(CatalogCache.getKey({ type: 'rest', url: '/api/content' })).toBe('rest:/api/content');
+    });
+
+    test('should not save catalogs already in memory', () => {
+      expect(CatalogCache.getKey({ type: 'memory', data: catalog })).toBeNull();
+      expect(CatalogCache.getKey()).toBeNull();
+    });
+  });
+
+  describe('Entries', () => {
+    test('should save a copy of the catalog with its ETag and time', () => {
+      const entry = CatalogCache.createEntry('static:x', catalog, '"v1"', 1000);
+
+      expect(entry).toEqual({ key: 'static:x', catalog, etag: '"v1"', savedAt: 1000 });
+      entry.catalog.categories[0].items.pop();
+      expect(catalog.categories[0].items).toHaveLength(1);
+    });
+
+    test('should save catalogs without an ETag', () => {
+      expect(CatalogCache.createEntry('static:x', catalog, undefined, 1000).etag).toBeNull();
+    });
+  });
+
+  describe('Freshness', () => {
+    const entry = CatalogCache.createEntry('static:x', catalog, null, 10000);
+
+    test('should be fresh until the max age passes', () => {
+      expect(CatalogCache.isFresh(entry, 5000, 14999)).toBe(true);
+      expect(CatalogCache.isFresh(entry, 5000, 15000)).toBe(false);
+    });
+
+    test('should never be fresh with a max age of 0', () => {
+      expect(CatalogCache.isFresh(entry, 0, 10000)).toBe(false);
+    });
+
+    test('should not trust copies saved in the future', () => {
+      expect(CatalogCache.isFresh(entry, 5000, 9000)).toBe(false);
+    });
+  });
+
+  describe('Changes', () => {
+    const entry = CatalogCache.createEntry('static:x', catalog, '"v1"', 1000);
+
+    test('should be unchanged when the source confirms the saved ETag', () => {
+      expect(CatalogCache.hasChanged(entry, { catalog: null, etag: '"v1"' })).toBe(false);
+      expect(CatalogCache.hasChanged(entry, { catalog: { featured: [] }, etag: '"v1"' })).toBe(false);
+    });
+
+    test('should compare the data when the ETag differs or is missing', () => {
+      expect(CatalogCache.hasChanged(entry, { catalog: CatalogCache.copy(catalog), etag: '"v2"' })).toBe(false);
+      expect(CatalogCache.hasChanged(entry, { catalog: CatalogCache.copy(catalog), etag: null })).toBe(false);
+
+      const changed = CatalogCache.copy(catalog);
+      changed.categories[0].items.push({ id: 'title-2', title: 'Title 2' });
+      expect(CatalogCache.hasChanged(entry, { catalog: changed, etag: null })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Content API Tests
+ * Tests for the paged catalog contract between the app and a content API
+ */
+
+const { ContentApi } = require('../js/content-api.js');
+
+describe('Netflix Frontend - Content API', () => {
+  const items = Array.from({ length: 45 }, (_, index) => ({ id: `title-${index}` }));
+
+  describe('Catalog', () => {
+    const data = {
+      featured: [{ id: 'featured-1', title: 'Featured' }],
+      categories: [
+        { id: 'trending', title: 'Trending Now', items },
+        { id: 'my-list', title: 'My List', items: [] }
+      ]
+    };
+
+    test('should list categories without their items', () => {
+      expect(ContentApi.getCatalog(data).categories[0]).toEqual({ id: 'trending', title: 'Trending Now', paged: true });
+    });
+
+    test('should keep My List as an empty local category', () => {
+      expect(ContentApi.getCatalog(data).categories[1]).toEqual({ id: 'my-list', title: 'My List', items: [] });
+    });
+
+    test('should include the featured titles in full', () => {
+      expect(ContentApi.getCatalog(data).featured).toBe(data.featured);
+    });
+
+    test('should turn an older single hero into the featured titles', () => {
+      const hero = { id: 'hero', title: 'Hero' };
+      expect(ContentApi.getCatalog({ hero, categories: [] }).featured).toEqual([hero]);
+    });
+  });
+
+  describe('Page URLs', () => {
+    test('should ask for the first page without a cursor', () => {
+      expect(ContentApi.getPageUrl('/api/content', 'trending')).toBe('/api/content?category=trending');
+    });
+
+    test('should pass the cursor and page size', () => {
+      expect(ContentApi.getPageUrl('/api/content', 'trending', '20', 20))
+        .toBe('/api/content?category=trending&cursor=20&limit=20');
+    });
+
+    test('should add to a base URL that already has a query', () => {
+      expect(ContentApi.getPageUrl('/content?region=gb', 'top rated', 'a&b'))
+        .toBe('/content?region=gb&category=top+rated&cursor=a%26b');
+    });
+  });
+
+  describe('Titles', () => {
+    const data = {
+      featured: [{ id: 'featured-1', title: 'Featured' }],
+      categories: [{ id: 'trending', title: 'Trending Now', items }, { id: 'my-list', title: 'My List', items: [] }]
+    };
+
+    test('should ask for a title by its id', () => {
+      expect(ContentApi.getTitleUrl('/api/content', 'title-44')).toBe('/api/content?id=title-44');
+      expect(ContentApi.getTitleUrl('/content?region=gb', 'a&b')).toBe('/content?region=gb&id=a%26b');
+    });
+
+    test('should find featured titles and titles on any page', () => {
+      expect(ContentApi.findTitle(data, 'featured-1')).toBe(data.featured[0]);
+      expect(ContentApi.findTitle(data, 'title-44')).toBe(items[44]);
+    });
+
+    test('should ask for search results by query', () => {
+      expect(ContentApi.getSearchUrl('/api/content', 'the office')).toBe('/api/content?q=the+office');
+    });
+
+    test('should list the featured titles before every category item', () => {
+      const titles = ContentApi.getTitles(data);
+      expect(titles).toHaveLength(items.length + 1);
+      expect(titles[0]).toBe(data.featured[0]);
+    });
+
+    test('should return null for unknown titles', () => {
+      expect(ContentApi.findTitle(data, 'missing')).toBeNull();
+      expect(ContentApi.findTitle(ContentApi.getCatalog(data), 'title-0')).toBeNull();
+    });
+  });
+
+  describe('Page Responses', () => {
+    test('should accept a page with a next cursor', () => {
+      expect(ContentApi.parsePage({ items, nextCursor: 'abc' })).toEqual({ items, nextCursor: 'abc' });
+    });
+
+    test('should treat a missing next cursor as the last page', () => {
+      expect(ContentApi.parsePage({ items: [] })).toEqual({ items: [], nextCursor: null });
+    });
+
+    test('should reject malformed pages', () => {
+      expect(ContentApi.parsePage(null)).toBeNull();
+      expect(ContentApi.parsePage({ items: {} })).toBeNull();
+      expect(ContentApi.parsePage({ items, nextCursor: 20 })).toBeNull();
+      expect(ContentApi.parsePage({ items, nextCursor: '' })).toBeNull();
+    });
+  });
+
+  describe('Pagination', () => {
+    test('should start at the first item', () => {
+      const page = ContentApi.paginate(items, null, 20);
+      expect(page.items.map(item => item.id)).toEqual(items.slice(0, 20).map(item => item.id));
+      expect(page.nextCursor).toBe('20');
+    });
+
+    test('should continue from the cursor and end on the last page', () => {
+      const page = ContentApi.paginate(items, '40', 20);
+      expect(page.items).toHaveLength(5);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    test('should visit every item exactly once', () => {
+      const seen = [];
+      let cursor = null;
+
+      do {
+        const page = ContentApi.paginate(items, cursor, 7);
+        seen.push(...page.items);
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual(items);
+    });
+
+    test('should keep page sizes within the limits', () => {
+      expect(ContentApi.paginate(items, null, 0).items).toHaveLength(ContentApi.defaultLimit);
+      expect(ContentApi.paginate(items, null, 1000).items).toHaveLength(45);
+      expect(ContentApi.paginate(Array(500).fill({}), null, 1000).items).toHaveLength(ContentApi.maxLimit);
+    });
+
+    test('should reject unknown cursors', () => {
+      expect(ContentApi.paginate(items, 'abc')).toBeNull();
+      expect(ContentApi.paginate(items, '-5')).toBeNull();
+      expect(ContentApi.paginate(items, '46')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Content Filters Tests
+ * Tests for faceted filtering and live facet counts
+ */
+
+const { ContentFilters } = require('../js/content-filters.js');
+
+describe('Netflix Frontend - Content Filters', () => {
+  const items = [
+    { id: 'a', title: 'A', year: 2008, rating: 9.0, type: 'movie', genres: ['Action', 'Drama'] },
+    { id: 'b', title: 'B', year: 2013, rating: 8.6, type: 'tv-show', genres: ['Drama', 'History'] },
+    { id: 'c', title: 'C', year: 2015, rating: 7.4, type: 'movie', genres: ['Drama'] },
+    { id: 'd', title: 'D', year: 2019, rating: 8.7, type: 'tv-show', genres: ['Sci-Fi'] },
+    { id: 'e', title: 'E', year: 1994, rating: 9.3, type: 'movie', genres: ['Drama'] }
+  ];
+
+  let filters;
+
+  beforeEach(() => {
+    filters = ContentFilters.createEmptyFilters();
+  });
+
+  describe('Applying Filters', () => {
+    test('should return every item when no filter is set', () => {
+      expect(ContentFilters.hasActiveFilters(filters)).toBe(false);
+      expect(ContentFilters.apply(items, filters)).toHaveLength(items.length);
+    });
+
+    test('should combine genre, year and rating filters', () => {
+      // "Dramas after 2010 rated above 8"
+      filters.genres = ['Drama'];
+      filters.yearFrom = 2011;
+      filters.minRating = 8;
+
+      expect(ContentFilters.hasActiveFilters(filters)).toBe(true);
+      expect(ContentFilters.apply(items, filters).map(item => item.id)).toEqual(['b']);
+    });
+
+    test('should match any of the selected genres', () => {
+      filters.genres = ['History', 'Sci-Fi'];
+      expect(ContentFilters.apply(items, filters).map(item => item.id)).toEqual(['b', 'd']);
+    });
+
+    test('should filter by content type and inclusive year range', () => {
+      filters.types = ['movie'];
+      filters.yearFrom = 2008;
+      filters.yearTo = 2015;
+      expect(ContentFilters.apply(items, filters).map(item => item.id)).toEqual(['a', 'c']);
+    });
+
+    test('should return an empty array for invalid input', () => {
+      expect(ContentFilters.apply(null, filters)).toEqual([]);
+    });
+  });
+
+  describe('Facet Counts', () => {
+    test('should count every value when nothing is selected', () => {
+      const counts = ContentFilters.getFacetCounts(items, filters);
+
+      expect(counts.genres).toEqual({ Action: 1, Drama: 4, History: 1, 'Sci-Fi': 1 });
+      expect(counts.types).toEqual({ movie: 3, 'tv-show': 2 });
+      expect(counts.ratings).toEqual({ 6: 5, 7: 5, 8: 4, 9: 2 });
+      expect(counts.years).toEqual({ min: 1994, max: 2019 });
+    });
+
+    test('should count a facet without applying its own selection', () => {
+      filters.genres = ['Drama'];
+      filters.types = ['tv-show'];
+      const counts = ContentFilters.getFacetCounts(items, filters);
+
+      // Genre counts only apply the type filter
+      expect(counts.genres).toEqual({ Drama: 1, History: 1, 'Sci-Fi': 1 });
+      // Type counts only apply the genre filter
+      expect(counts.types).toEqual({ movie: 3, 'tv-show': 1 });
+      // Rating counts apply both
+      expect(counts.ratings).toEqual({ 6: 1, 7: 1, 8: 1, 9: 0 });
+    });
+  });
+});
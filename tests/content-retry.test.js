@@ -0,0 +1,63 @@
+/**
+ * Content Retry Tests
+ * Tests for telling retryable content failures apart and backing off between retries
+ */
+
+const { ContentRetry } = require('../js/content-retry.js');
+const { ContentLoadError } = require('../js/content-source.js');
+
+describe('Netflix Frontend - Content Retry', () => {
+  describe('Failures', () => {
+    test('should retry network failures', () => {
+      expect(ContentRetry.describeFailure(new ContentLoadError('Failed to load content: Failed to fetch'))).toEqual({
+        retryable: true,
+        reason: 'network error (Failed to load content: Failed to fetch)'
+      });
+    });
+
+    test('should retry server errors', () => {
+      expect(ContentRetry.describeFailure(new ContentLoadError('Failed to load content: 503', 503))).toEqual({
+        retryable: true,
+        reason: 'server error 503'
+      });
+    });
+
+    test('should not retry client errors', () => {
+      expect(ContentRetry.describeFailure(new ContentLoadError('Failed to load content: 404', 404))).toEqual({
+        retryable: false,
+        reason: 'request refused with 404'
+      });
+    });
+
+    test('should not retry content that failed validation or parsing', () => {
+      expect(ContentRetry.describeFailure(new Error('Invalid content data structure'))).toEqual({
+        retryable: false,
+        reason: 'invalid content (Invalid content data structure)'
+      });
+      expect(ContentRetry.describeFailure(new SyntaxError('Unexpected token <')).retryable).toBe(false);
+    });
+  });
+
+  describe('Backoff', () => {
+    const options = { baseDelay: 1000, maxDelay: 8000 };
+
+    test('should double the wait with each retry', () => {
+      expect([1, 2, 3, 4].map(retry => ContentRetry.getDelay(retry, options, () => 0.999999))).toEqual([1000, 2000, 4000, 8000]);
+    });
+
+    test('should never wait longer than the maximum', () => {
+      expect(ContentRetry.getDelay(10, options, () => 0.999999)).toBe(8000);
+    });
+
+    test('should drop a random part of up to half the wait', () => {
+      expect(ContentRetry.getDelay(2, options, () => 0)).toBe(1000);
+      expect(ContentRetry.getDelay(2, options, () => 0.5)).toBe(1500);
+
+      for (let sample = 0; sample < 50; sample++) {
+        const delay = ContentRetry.getDelay(3, options);
+        expect(delay).toBeGreaterThanOrEqual(2000);
+        expect(delay).toBeLessThanOrEqual(4000);
+      }
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Content Source Tests
+ * Tests for loading the catalog and its pages from a file, a REST endpoint or memory
+ */
+
+const { ContentSource, ContentLoadError, StaticContentSource, RestContentSource, MemoryContentSource } = require('../js/content-source.js');
+
+describe('Netflix Frontend - Content Source', () => {
+  const items = Array.from({ length: 12 }, (_, index) => ({ id: `title-${index}`, title: `Title ${index}`, year: 2000 + index }));
+  const data = {
+    featured: [{ id: 'featured-1', title: 'Featured' }],
+    categories: [
+      { id: 'trending', title: 'Trending Now', items },
+      { id: 'my-list', title: 'My List', items: [] }
+    ]
+  };
+
+  const respondWith = (body, { ok = true, status = 200, statusText = 'OK', etag = null } = {}) => {
+    global.fetch.mockResolvedValueOnce({
+      ok,
+      status,
+      statusText,
+      headers: { get: name => (name === 'ETag' ? etag : null) },
+      json: async () => body
+    });
+  };
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('Creating Sources', () => {
+    test('should create the source a config names', () => {
+      expect(ContentSource.create({ type: 'static' })).toBeInstanceOf(StaticContentSource);
+      expect(ContentSource.create({ type: 'rest', url: '/api/content' })).toBeInstanceOf(RestContentSource);
+      expect(ContentSource.create({ type: 'memory', data })).toBeInstanceOf(MemoryContentSource);
+    });
+
+    test('should pass the rest of the config to the source', () => {
+      const source = ContentSource.create({ type: 'rest', url: '/api/content', headers: { Authorization: 'Bearer token' } });
+      expect(source.url).toBe('/api/content');
+      expect(source.headers).toEqual({ Authorization: 'Bearer token' });
+    });
+
+    test('should reject unknown types and missing options', () => {
+      expect(() => ContentSource.create({ type: 'ftp' })).toThrow('Unknown content source type: ftp');
+      expect(() => ContentSource.create({ type: 'rest' })).toThrow('base URL');
+      expect(() => ContentSource.create({ type: 'memory' })).toThrow('content data');
+    });
+
+    test('should let other backends extend the interface', async () => {
+      class CustomSource extends ContentSource {}
+      ContentSource.types.custom = CustomSource;
+
+      try {
+        const source = ContentSource.create({ type: 'custom' });
+        await expect(source.loadCatalog()).rejects.toThrow('CustomSource does not implement loadCatalog');
+      } finally {
+        delete ContentSource.types.custom;
+      }
+    });
+  });
+
+  describe('Static File', () => {
+    test('should load the whole catalog from the file', async () => {
+      respondWith(data, { etag: '"v1"' });
+
+      await expect(new StaticContentSource().loadCatalog()).resolves.toEqual({ catalog: data, etag: '"v1"' });
+      expect(global.fetch).toHaveBeenCalledWith('./data/content.json', { headers: {} });
+    });
+
+    test('should ask whether a saved catalog is still current', async () => {
+      respondWith(null, { ok: false, status: 304, statusText: 'Not Modified' });
+
+      await expect(new StaticContentSource().loadCatalog({ etag: '"v1"' })).resolves.toEqual({ catalog: null, etag: '"v1"' });
+      expect(global.fetch).toHaveBeenCalledWith('./data/content.json', { headers: { 'If-None-Match': '"v1"' } });
+    });
+
+    test('should fail on error statuses', async () => {
+      respondWith({}, { ok: false, status: 404, statusText: 'Not Found' });
+      await expect(new StaticContentSource().loadCatalog()).rejects.toThrow('Failed to load content: 404 Not Found');
+    });
+
+    test('should tell network failures from error statuses', async () => {
+      respondWith({}, { ok: false, status: 503, statusText: 'Service Unavailable' });
+      await expect(new StaticContentSource().loadCatalog()).rejects.toMatchObject({ name: 'ContentLoadError', status: 503 });
+
+      global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+      const error = await new StaticContentSource().loadCatalog().catch(caught => caught);
+      expect(error).toBeInstanceOf(ContentLoadError);
+      expect(error.status).toBeNull();
+      expect(error.message).toBe('Failed to load content: Failed to fetch');
+    });
+
+    test('should have no pages', async () => {
+      await expect(new StaticContentSource().loadPage('trending')).rejects.toThrow('no pages');
+    });
+
+    test('should search the file', async () => {
+      respondWith(data);
+      const results = await new StaticContentSource().search('Featured');
+      expect(results[0]).toEqual(data.featured[0]);
+    });
+
+    test('should find single titles in the file', async () => {
+      respondWith(data);
+      await expect(new StaticContentSource().loadTitle('title-7')).resolves.toEqual(items[7]);
+
+      respondWith(data);
+      await expect(new StaticContentSource().loadTitle('missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('REST Endpoint', () => {
+    const headers = { Authorization: 'Bearer token' };
+
+    test('should load the catalog from the base URL with the configured headers', async () => {
+      respondWith({ featured: [], categories: [] });
+
+      await new RestContentSource({ url: 'https://api.example.com/content', headers }).loadCatalog();
+      expect(global.fetch).toHaveBeenCalledWith('https://api.example.com/content', { headers });
+    });
+
+    test('should return a changed catalog with its new ETag', async () => {
+      respondWith(data, { etag: '"v2"' });
+
+      const result = await new RestContentSource({ url: '/api/content', headers }).loadCatalog({ etag: '"v1"' });
+      expect(global.fetch).toHaveBeenCalledWith('/api/content', { headers: { ...headers, 'If-None-Match': '"v1"' } });
+      expect(result).toEqual({ catalog: data, etag: '"v2"' });
+    });
+
+    test('should load pages by category and cursor', async () => {
+      respondWith({ items: items.slice(0, 5), nextCursor: 'next' });
+
+      const page = await new RestContentSource({ url: '/api/content', headers }).loadPage('trending', 'abc', 5);
+      expect(global.fetch).toHaveBeenCalledWith('/api/content?category=trending&cursor=abc&limit=5', { headers });
+      expect(page).toEqual({ items: items.slice(0, 5), nextCursor: 'next' });
+    });
+
+    test('should reject malformed pages', async () => {
+      respondWith({ results: [] });
+      await expect(new RestContentSource({ url: '/api/content' }).loadPage('trending')).rejects.toThrow('Invalid page of trending');
+    });
+
+    test('should search every category on the server', async () => {
+      respondWith({ items: [items[7]] });
+
+      await expect(new RestContentSource({ url: '/api/content', headers }).search('title 7')).resolves.toEqual([items[7]]);
+      expect(global.fetch).toHaveBeenCalledWith('/api/content?q=title+7', { headers });
+    });
+
+    test('should reject malformed search results', async () => {
+      respondWith({ results: [] });
+      await expect(new RestContentSource({ url: '/api/content' }).search('title')).rejects.toThrow('Invalid search results for title');
+    });
+
+    test('should load single titles by id', async () => {
+      respondWith(items[11]);
+
+      await expect(new RestContentSource({ url: '/api/content', headers }).loadTitle('title-11')).resolves.toEqual(items[11]);
+      expect(global.fetch).toHaveBeenCalledWith('/api/content?id=title-11', { headers });
+    });
+
+    test('should return null for titles the API does not have', async () => {
+      respondWith({ error: 'Unknown title' }, { ok: false, status: 404, statusText: 'Not Found' });
+      await expect(new RestContentSource({ url: '/api/content' }).loadTitle('missing')).resolves.toBeNull();
+
+      respondWith({}, { ok: false, status: 503, statusText: 'Service Unavailable' });
+      await expect(new RestContentSource({ url: '/api/content' }).loadTitle('title-1')).rejects.toMatchObject({ status: 503 });
+    });
+  });
+
+  describe('In Memory', () => {
+    test('should serve a copy of its data', async () => {
+      const source = new MemoryContentSource({ data });
+      const { catalog, etag } = await source.loadCatalog();
+
+      expect(catalog).toEqual(data);
+      expect(etag).toBeNull();
+      catalog.categories[1].items.push(items[0]);
+      expect(data.categories[1].items).toHaveLength(0);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should page its categories when given a page size', async () => {
+      const source = new MemoryContentSource({ data, pageSize: 5 });
+      const { catalog } = await source.loadCatalog();
+
+      expect(catalog.categories[0]).toEqual({ id: 'trending', title: 'Trending Now', paged: true });
+      expect(catalog.categories[1].items).toEqual([]);
+
+      const ids = [];
+      let cursor = null;
+      do {
+        const page = await source.loadPage('trending', cursor);
+        ids.push(...page.items.map(item => item.id));
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      expect(ids).toEqual(items.map(item => item.id));
+    });
+
+    test('should find a deep-linked title whose page has not loaded yet', async () => {
+      const source = new MemoryContentSource({ data, pageSize: 5 });
+      const firstPage = await source.loadPage('trending');
+      expect(firstPage.items.map(item => item.id)).not.toContain('title-11');
+
+      const title = await source.loadTitle('title-11');
+      expect(title).toEqual(items[11]);
+      expect(title).not.toBe(items[11]);
+      await expect(source.loadTitle('missing')).resolves.toBeNull();
+    });
+
+    test('should search titles on pages that have not loaded yet', async () => {
+      const source = new MemoryContentSource({ data, pageSize: 5 });
+      const results = await source.search('Title 11');
+
+      expect(results[0]).toEqual(items[11]);
+      expect(results[0]).not.toBe(items[11]);
+      await expect(source.search('nothing like it')).resolves.toEqual([]);
+    });
+
+    test('should fail for unknown categories or cursors', async () => {
+      const source = new MemoryContentSource({ data, pageSize: 5 });
+      await expect(source.loadPage('missing')).rejects.toThrow('No pages to load for missing');
+      await expect(source.loadPage('trending', 'nope')).rejects.toThrow('Invalid cursor');
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Hero Carousel Tests
+ * Tests for featured titles and slide rotation order
+ */
+
+const { HeroCarousel } = require('../js/hero-carousel.js');
+
+describe('Netflix Frontend - Hero Carousel', () => {
+  const hero = { id: 'hero-featured', title: 'Stranger Things' };
+  const featured = [
+    hero,
+    { id: 'featured-2', title: 'The Witcher' },
+    { id: 'featured-3', title: 'Dune' }
+  ];
+
+  describe('Featured Titles', () => {
+    test('should use the featured array when present', () => {
+      expect(HeroCarousel.getFeatured({ featured, hero: { id: 'old-hero', title: 'Old' } })).toBe(featured);
+    });
+
+    test('should fall back to the single hero of older content data', () => {
+      expect(HeroCarousel.getFeatured({ hero })).toEqual([hero]);
+      expect(HeroCarousel.getFeatured({ featured: [], hero })).toEqual([hero]);
+    });
+
+    test('should return no titles for missing data', () => {
+      expect(HeroCarousel.getFeatured(null)).toEqual([]);
+      expect(HeroCarousel.getFeatured({ categories: [] })).toEqual([]);
+    });
+  });
+
+  describe('Slide Order', () => {
+    test('should loop past either end', () => {
+      expect(HeroCarousel.wrapIndex(3, 3)).toBe(0);
+      expect(HeroCarousel.wrapIndex(-1, 3)).toBe(2);
+      expect(HeroCarousel.wrapIndex(7, 3)).toBe(1);
+      expect(HeroCarousel.wrapIndex(2, 0)).toBe(0);
+    });
+
+    test('should find the slide showing a title', () => {
+      expect(HeroCarousel.findIndex(featured, 'featured-3')).toBe(2);
+      expect(HeroCarousel.findIndex(featured, 'movie-1')).toBe(-1);
+    });
+  });
+
+  describe('Rotation', () => {
+    test('should only rotate several titles with nothing holding them', () => {
+      expect(HeroCarousel.shouldRotate(3, new Set())).toBe(true);
+      expect(HeroCarousel.shouldRotate(1, new Set())).toBe(false);
+      expect(HeroCarousel.shouldRotate(3, new Set(['hover']))).toBe(false);
+    });
+  });
+});
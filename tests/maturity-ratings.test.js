@@ -0,0 +1,50 @@
+/**
+ * Maturity Ratings Tests
+ * Tests for ordering ratings and checking them against a Kids profile's limit
+ */
+
+const { MaturityRatings, MaturityLevels } = require('../js/maturity-ratings.js');
+
+describe('Netflix Frontend - Maturity Ratings', () => {
+  describe('Levels', () => {
+    test('should rank film and TV ratings on one scale', () => {
+      expect(MaturityRatings.getLevel('G').id).toBe('little-kids');
+      expect(MaturityRatings.getLevel('TV-PG').id).toBe('older-kids');
+      expect(MaturityRatings.getLevelIndex('PG-13')).toBe(MaturityRatings.getLevelIndex('TV-14'));
+      expect(MaturityRatings.getLevelIndex('TV-MA')).toBeGreaterThan(MaturityRatings.getLevelIndex('PG-13'));
+    });
+
+    test('should recognize only known ratings', () => {
+      expect(MaturityRatings.isValid('R')).toBe(true);
+      expect(MaturityRatings.isValid('pg')).toBe(false);
+      expect(MaturityRatings.isValid(undefined)).toBe(false);
+      expect(MaturityRatings.getLevel('XXX')).toBeNull();
+    });
+  });
+
+  describe('Limits', () => {
+    test('should allow everything without a maximum', () => {
+      expect(MaturityRatings.isAllowed('TV-MA', null)).toBe(true);
+      expect(MaturityRatings.isAllowed(undefined, null)).toBe(true);
+    });
+
+    test('should allow ratings up to the maximum level only', () => {
+      expect(MaturityRatings.isAllowed('TV-Y', 'TV-PG')).toBe(true);
+      expect(MaturityRatings.isAllowed('PG', 'TV-PG')).toBe(true);
+      expect(MaturityRatings.isAllowed('PG-13', 'TV-PG')).toBe(false);
+      expect(MaturityRatings.isAllowed('TV-MA', 'TV-14')).toBe(false);
+    });
+
+    test('should hide unrated titles and treat an unknown maximum as the youngest level', () => {
+      expect(MaturityRatings.isAllowed(undefined, 'TV-14')).toBe(false);
+      expect(MaturityRatings.isAllowed('TV-G', 'bogus')).toBe(true);
+      expect(MaturityRatings.isAllowed('PG', 'bogus')).toBe(false);
+    });
+
+    test('should offer one limit per level', () => {
+      const options = MaturityRatings.getLimitOptions();
+      expect(options).toHaveLength(MaturityLevels.length);
+      expect(options[1]).toEqual({ rating: 'TV-PG', label: 'Older Kids (TV-Y7, TV-Y7-FV, PG, TV-PG)' });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Offline Cache Tests
+ * Tests for what the service worker caches and how it answers requests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { OfflineCache } = require('../js/offline-cache.js');
+
+describe('Netflix Frontend - Offline Cache', () => {
+  const root = path.join(__dirname, '..');
+
+  describe('App Shell', () => {
+    test('should include every script and stylesheet the page loads', () => {
+      const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+      const localFiles = [...html.matchAll(/(?:src|href)="((?:js|css)\/[^"]+)"/g)].map(match => match[1]);
+
+      expect(localFiles.length).toBeGreaterThan(0);
+      localFiles.forEach(file => expect(OfflineCache.shellFiles).toContain(file));
+    });
+
+    test('should only list files that exist', () => {
+      OfflineCache.shellFiles
+        .filter(file => file !== './')
+        .forEach(file => expect(fs.existsSync(path.join(root, file))).toBe(true));
+    });
+
+    test('should keep the content for the first offline visit', () => {
+      expect(OfflineCache.shellFiles).toContain('data/content.json');
+    });
+  });
+
+  describe('Cache Names', () => {
+    test('should include the version so older caches can be dropped', () => {
+      const names = OfflineCache.getCacheNames();
+      expect(names.app).toBe(`netflix-app-v${OfflineCache.version}`);
+      expect(names.posters).toBe(`netflix-posters-v${OfflineCache.version}`);
+    });
+  });
+
+  describe('Strategies', () => {
+    const request = (overrides = {}) => ({ method: 'GET', url: 'http://localhost/data/content.json', ...overrides });
+
+    test('should try the network first for the app and its content', () => {
+      expect(OfflineCache.getStrategy(request())).toBe('network-first');
+      expect(OfflineCache.getStrategy(request({ url: 'http://localhost/', destination: 'document' }))).toBe('network-first');
+      expect(OfflineCache.getStrategy(request({ url: 'http://localhost/api/content?category=trending' }))).toBe('network-first');
+    });
+
+    test('should serve posters from the cache first', () => {
+      expect(OfflineCache.getStrategy(request({ url: 'https://via.placeholder.com/200x300', destination: 'image' })))
+        .toBe('cache-first');
+    });
+
+    test('should leave media streams, ranges and other methods to the network', () => {
+      expect(OfflineCache.getStrategy(request({ destination: 'video' }))).toBe('network-only');
+      expect(OfflineCache.getStrategy(request({ hasRange: true }))).toBe('network-only');
+      expect(OfflineCache.getStrategy(request({ method: 'POST' }))).toBe('network-only');
+      expect(OfflineCache.getStrategy(request({ url: 'chrome-extension://abc/script.js' }))).toBe('network-only');
+    });
+  });
+
+  describe('Cacheable Responses', () => {
+    test('should keep successful and opaque responses', () => {
+      expect(OfflineCache.isCacheable({ ok: true, type: 'basic' })).toBe(true);
+      expect(OfflineCache.isCacheable({ ok: false, type: 'opaque' })).toBe(true);
+    });
+
+    test('should not keep errors over the last good copy', () => {
+      expect(OfflineCache.isCacheable({ ok: false, type: 'basic', status: 500 })).toBe(false);
+    });
+  });
+});
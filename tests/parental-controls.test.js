@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Parental Controls Tests
+ * Tests for PIN hashing, wrong-attempt cooldowns and stored settings
+ */
+
+const { ParentalControls, PinPolicy } = require('../js/parental-controls.js');
+
+describe('Netflix Frontend - Parental Controls', () => {
+  describe('PIN', () => {
+    test('should accept exactly four digits', () => {
+      expect(ParentalControls.isValidPin('0123')).toBe(true);
+      expect(ParentalControls.isValidPin('123')).toBe(false);
+      expect(ParentalControls.isValidPin('12345')).toBe(false);
+      expect(ParentalControls.isValidPin('12a4')).toBe(false);
+    });
+
+    test('should store a salted hash, never the PIN', async () => {
+      const settings = await ParentalControls.setPin(ParentalControls.createDefaultSettings(), '1234');
+
+      expect(ParentalControls.hasPin(settings)).toBe(true);
+      expect(settings.pinHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(settings)).not.toContain('1234');
+    });
+
+    test('should hash the same PIN differently each time it is set', async () => {
+      const first = await ParentalControls.setPin(ParentalControls.createDefaultSettings(), '1234');
+      const second = await ParentalControls.setPin(ParentalControls.createDefaultSettings(), '1234');
+
+      expect(first.salt).not.toBe(second.salt);
+      expect(first.pinHash).not.toBe(second.pinHash);
+    });
+
+    test('should verify only the right PIN', async () => {
+      const settings = await ParentalControls.setPin(ParentalControls.createDefaultSettings(), '1234');
+
+      await expect(ParentalControls.verifyPin(settings, '1234')).resolves.toBe(true);
+      await expect(ParentalControls.verifyPin(settings, '4321')).resolves.toBe(false);
+      await expect(ParentalControls.verifyPin(ParentalControls.createDefaultSettings(), '1234')).resolves.toBe(false);
+    });
+
+    test('should reject an invalid new PIN', async () => {
+      await expect(ParentalControls.setPin(ParentalControls.createDefaultSettings(), '12'))
+        .rejects.toThrow('4 digits');
+    });
+  });
+
+  describe('Wrong Attempts', () => {
+    test('should start a cooldown after too many wrong PINs', () => {
+      let attempts = ParentalControls.createAttempts();
+      for (let i = 1; i < PinPolicy.maxAttempts; i++) {
+        attempts = ParentalControls.recordFailure(attempts, 1000);
+        expect(ParentalControls.getCooldownRemaining(attempts, 1000)).toBe(0);
+      }
+
+      attempts = ParentalControls.recordFailure(attempts, 1000);
+      expect(ParentalControls.getCooldownRemaining(attempts, 1000)).toBe(PinPolicy.cooldownMs);
+      expect(ParentalControls.getCooldownRemaining(attempts, 1000 + PinPolicy.cooldownMs)).toBe(0);
+    });
+
+    test('should double each cooldown up to the maximum', () => {
+      const lockOut = (attempts, now) => {
+        for (let i = 0; i < PinPolicy.maxAttempts; i++) {
+          attempts = ParentalControls.recordFailure(attempts, now);
+        }
+        return attempts;
+      };
+
+      const second = lockOut(lockOut(ParentalControls.createAttempts(), 0), 0);
+      expect(ParentalControls.getCooldownRemaining(second, 0)).toBe(PinPolicy.cooldownMs * 2);
+
+      let attempts = ParentalControls.createAttempts();
+      for (let i = 0; i < 10; i++) attempts = lockOut(attempts, 0);
+      expect(ParentalControls.getCooldownRemaining(attempts, 0)).toBe(PinPolicy.maxCooldownMs);
+    });
+  });
+
+  describe('Prompts', () => {
+    const appLock = { cancellable: false };
+    const titlePrompt = { cancellable: true };
+
+    test('should open a prompt when none is open', () => {
+      expect(ParentalControls.canReplacePrompt(null)).toBe(true);
+    });
+
+    test('should not open a title prompt over the app lock', () => {
+      expect(ParentalControls.canReplacePrompt(appLock)).toBe(false);
+    });
+
+    test('should replace a prompt that can be cancelled', () => {
+      expect(ParentalControls.canReplacePrompt(titlePrompt)).toBe(true);
+    });
+  });
+
+  describe('Stored Settings', () => {
+    test('should fall back to defaults for invalid JSON', () => {
+      expect(ParentalControls.parse('not json')).toEqual(ParentalControls.createDefaultSettings());
+      expect(ParentalControls.parse('null')).toEqual(ParentalControls.createDefaultSettings());
+    });
+
+    test('should drop malformed values', () => {
+      const settings = ParentalControls.parse(JSON.stringify({
+        pinHash: 'abc',
+        lockAbove: '',
+        lockApp: 'yes',
+        lockedProfileIds: ['profile-1', 2],
+        attempts: { failures: -1, lockouts: 1, lockedUntil: 'soon' }
+      }));
+
+      expect(settings).toEqual({
+        pinHash: null,
+        salt: null,
+        lockAbove: null,
+        lockApp: false,
+        lockedProfileIds: ['profile-1'],
+        attempts: { failures: 0, lockouts: 1, lockedUntil: 0 }
+      });
+    });
+  });
+});
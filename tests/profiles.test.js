@@ -0,0 +1,116 @@
+/**
+ * Profiles Tests
+ * Tests for creating, renaming, deleting and loading viewer profiles
+ */
+
+const { Profiles } = require('../js/profiles.js');
+
+describe('Netflix Frontend - Profiles', () => {
+  const defaultProfile = Profiles.createDefaultProfile();
+
+  describe('Storage Keys', () => {
+    test('should give each profile its own key for a setting', () => {
+      expect(Profiles.getStorageKey('netflix-my-list', 'profile-2')).toBe('netflix-my-list:profile-2');
+      expect(Profiles.getStorageKey('netflix-my-list', 'profile-1'))
+        .not.toBe(Profiles.getStorageKey('netflix-my-list', 'profile-2'));
+    });
+  });
+
+  describe('Names', () => {
+    test('should reject empty, too long and duplicate names', () => {
+      expect(Profiles.validateName([defaultProfile], '   ')).toBe('Please enter a name.');
+      expect(Profiles.validateName([defaultProfile], 'x'.repeat(Profiles.maxNameLength + 1))).toMatch(/at most/);
+      expect(Profiles.validateName([defaultProfile], 'profile 1')).toMatch(/already exists/);
+    });
+
+    test('should allow a profile to keep its own name', () => {
+      expect(Profiles.validateName([defaultProfile], 'Profile 1', defaultProfile.id)).toBeNull();
+    });
+
+    test('should use the first letter as the avatar initial', () => {
+      expect(Profiles.getInitial(' alex')).toBe('A');
+      expect(Profiles.getInitial('')).toBe('?');
+    });
+  });
+
+  describe('Kids Profiles', () => {
+    test('should give Kids profiles a maximum rating and other profiles none', () => {
+      expect(Profiles.getKidsSettings(true, 'PG')).toEqual({ kids: true, maxMaturityRating: 'PG' });
+      expect(Profiles.getKidsSettings(true)).toEqual({ kids: true, maxMaturityRating: Profiles.defaultKidsMaxRating });
+      expect(Profiles.getKidsSettings(false, 'PG')).toEqual({ kids: false, maxMaturityRating: null });
+    });
+  });
+
+  describe('Adding Profiles', () => {
+    test('should add a profile with a new ID and the chosen color', () => {
+      const result = Profiles.add([defaultProfile], { name: ' Sam ', color: '#27AE60' });
+
+      expect(result.profile).toEqual({ id: 'profile-2', name: 'Sam', color: '#27AE60', kids: false, maxMaturityRating: null });
+      expect(result.profiles).toHaveLength(2);
+    });
+
+    test('should fall back to an avatar color when the color is unknown', () => {
+      const result = Profiles.add([defaultProfile], { name: 'Sam', color: 'hotpink' });
+      expect(Profiles.isAvatarColor(result.profile.color)).toBe(true);
+    });
+
+    test('should not add more than the maximum number of profiles', () => {
+      let profiles = [defaultProfile];
+      for (let i = 2; i <= Profiles.maxProfiles; i++) {
+        profiles = Profiles.add(profiles, { name: `Viewer ${i}` }).profiles;
+      }
+
+      expect(Profiles.add(profiles, { name: 'One Too Many' }).error).toMatch(/up to/);
+    });
+
+    test('should not reuse the ID of a deleted profile while a higher one exists', () => {
+      const profiles = [defaultProfile, { id: 'profile-3', name: 'Sam', color: '#2F80ED' }];
+      expect(Profiles.generateId(profiles)).toBe('profile-4');
+    });
+  });
+
+  describe('Editing Profiles', () => {
+    test('should rename a profile and change its color', () => {
+      const result = Profiles.update([defaultProfile], 'profile-1', { name: 'Alex', color: '#9B51E0' });
+      expect(result.profiles).toEqual([{ id: 'profile-1', name: 'Alex', color: '#9B51E0', kids: false, maxMaturityRating: null }]);
+    });
+
+    test('should keep Kids settings unless they are changed', () => {
+      const kidsProfile = Profiles.add([defaultProfile], { name: 'Sam', kids: true, maxMaturityRating: 'TV-G' }).profile;
+
+      expect(Profiles.update([kidsProfile], kidsProfile.id, { name: 'Sammy' }).profile)
+        .toMatchObject({ kids: true, maxMaturityRating: 'TV-G' });
+      expect(Profiles.update([kidsProfile], kidsProfile.id, { name: 'Sam', kids: false }).profile)
+        .toMatchObject({ kids: false, maxMaturityRating: null });
+    });
+
+    test('should delete a profile but never the last one', () => {
+      const { profiles } = Profiles.add([defaultProfile], { name: 'Sam' });
+
+      expect(Profiles.remove(profiles, 'profile-2').profiles).toEqual([defaultProfile]);
+      expect(Profiles.remove([defaultProfile], 'profile-1').error).toMatch(/at least one/);
+      expect(Profiles.remove(profiles, 'missing').error).toBe('Profile not found.');
+    });
+  });
+
+  describe('Parsing', () => {
+    test('should load valid profiles and the active profile', () => {
+      const json = JSON.stringify({ profiles: [defaultProfile], activeProfileId: 'profile-1' });
+      expect(Profiles.parse(json)).toEqual({ profiles: [defaultProfile], activeProfileId: 'profile-1' });
+    });
+
+    test('should drop malformed and duplicate profiles and unknown active IDs', () => {
+      const json = JSON.stringify({
+        profiles: [defaultProfile, { id: 'profile-1', name: 'Copy' }, { id: 'profile-2' }, null],
+        activeProfileId: 'profile-9'
+      });
+
+      expect(Profiles.parse(json)).toEqual({ profiles: [defaultProfile], activeProfileId: null });
+    });
+
+    test('should return no profiles for invalid JSON', () => {
+      expect(Profiles.parse('not json')).toEqual({ profiles: [], activeProfileId: null });
+      expect(Profiles.parse('null')).toEqual({ profiles: [], activeProfileId: null });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Recommendations Tests
+ * Tests for similarity scoring and "Because you liked" rows
+ */
+
+const { Recommendations, RecommendationWeights } = require('../js/recommendations.js');
+
+describe('Netflix Frontend - Recommendations', () => {
+  const items = [
+    { id: 'dark-knight', title: 'The Dark Knight', year: 2008, rating: 9.0, genres: ['Action', 'Crime', 'Drama'], cast: ['Christian Bale', 'Heath Ledger'] },
+    { id: 'batman-begins', title: 'Batman Begins', year: 2005, rating: 8.2, genres: ['Action', 'Adventure'], cast: ['Christian Bale', 'Michael Caine'] },
+    { id: 'heat', title: 'Heat', year: 1995, rating: 8.3, genres: ['Action', 'Crime', 'Drama'], cast: ['Al Pacino', 'Robert De Niro'] },
+    { id: 'prestige', title: 'The Prestige', year: 2006, rating: 8.5, genres: ['Drama', 'Mystery'], cast: ['Christian Bale', 'Hugh Jackman'] },
+    { id: 'office', title: 'The Office', year: 2005, rating: 8.7, genres: ['Comedy'], cast: ['Steve Carell'] },
+    { id: 'friends', title: 'Friends', year: 1994, rating: 8.9, genres: ['Comedy', 'Romance'], cast: ['Jennifer Aniston'] }
+  ];
+
+  const byId = (id) => items.find(item => item.id === id);
+
+  describe('Similarity', () => {
+    test('should add points for shared genres, shared cast, close years and rating', () => {
+      // Shares Action and Christian Bale, 3 years apart, rated 8.2
+      const expected = RecommendationWeights.sharedGenre +
+        RecommendationWeights.sharedCast +
+        (1 - 3 / RecommendationWeights.yearRange) * RecommendationWeights.yearCloseness +
+        0.82 * RecommendationWeights.rating;
+
+      expect(Recommendations.similarity(byId('batman-begins'), byId('dark-knight'))).toBeCloseTo(expected);
+    });
+
+    test('should score unrelated titles as zero', () => {
+      expect(Recommendations.similarity(byId('office'), byId('dark-knight'))).toBe(0);
+    });
+  });
+
+  describe('Similar Titles', () => {
+    test('should rank related titles and exclude the title itself', () => {
+      const similar = Recommendations.findSimilar(items, byId('dark-knight'));
+      expect(similar.map(item => item.id)).toEqual(['heat', 'prestige', 'batman-begins']);
+    });
+
+    test('should respect the limit and skip unrelated titles', () => {
+      expect(Recommendations.findSimilar(items, byId('office'), { limit: 5 }).map(item => item.id)).toEqual(['friends']);
+      expect(Recommendations.findSimilar(items, byId('dark-knight'), { limit: 1 })).toHaveLength(1);
+    });
+  });
+
+  describe('Seeds', () => {
+    test('should order loved, liked and My List titles and skip dislikes', () => {
+      const seeds = Recommendations.buildSeeds(items, {
+        ratings: { 'office': 'like', 'heat': 'love', 'friends': 'dislike' },
+        myListIds: ['prestige', 'friends']
+      });
+
+      expect(seeds.map(seed => [seed.item.id, seed.reason])).toEqual([
+        ['heat', 'love'],
+        ['office', 'like'],
+        ['prestige', 'my-list']
+      ]);
+    });
+  });
+
+  describe('Recommendation Rows', () => {
+    test('should return no rows without ratings or My List titles', () => {
+      expect(Recommendations.recommend(items, {})).toEqual([]);
+    });
+
+    test('should rank titles related to the liked title', () => {
+      const rows = Recommendations.recommend(items, { ratings: { 'dark-knight': 'like' } });
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0].anchor.id).toBe('dark-knight');
+      expect(rows[0].reason).toBe('like');
+      // Heat shares all three genres; the others share one genre and a cast member
+      expect(rows[0].items.map(item => item.id)).toEqual(['heat', 'prestige', 'batman-begins']);
+    });
+
+    test('should never recommend seeds, My List or disliked titles', () => {
+      const rows = Recommendations.recommend(items, {
+        ratings: { 'dark-knight': 'like', 'heat': 'dislike' },
+        myListIds: ['prestige']
+      }, { maxRows: 2 });
+
+      const recommendedIds = rows.flatMap(row => row.items.map(item => item.id));
+      expect(recommendedIds).not.toContain('dark-knight');
+      expect(recommendedIds).not.toContain('prestige');
+      expect(recommendedIds).not.toContain('heat');
+    });
+
+    test('should not repeat a title across rows', () => {
+      const rows = Recommendations.recommend(items, {
+        ratings: { 'dark-knight': 'love', 'office': 'like' }
+      }, { maxRows: 2 });
+
+      expect(rows.map(row => row.anchor.id)).toEqual(['dark-knight', 'office']);
+      expect(rows[1].items.map(item => item.id)).toEqual(['friends']);
+    });
+
+    test('should give the same result for the same input', () => {
+      const signals = { ratings: { 'prestige': 'love' }, myListIds: ['office'] };
+      expect(Recommendations.recommend(items, signals, { maxRows: 2 }))
+        .toEqual(Recommendations.recommend([...items].reverse(), signals, { maxRows: 2 }));
+    });
+
+    test('should respect the row limit', () => {
+      const rows = Recommendations.recommend(items, { ratings: { 'dark-knight': 'like' } }, { limit: 2 });
+      expect(rows[0].items).toHaveLength(2);
+    });
+  });
+});
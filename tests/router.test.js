@@ -0,0 +1,90 @@
+/**
+ * Hash Router Tests
+ * Tests for route matching and hashchange handling
+ */
+
+const { HashRouter } = require('../js/router.js');
+
+describe('Netflix Frontend - Hash Router', () => {
+  let handlers;
+  let router;
+
+  beforeEach(() => {
+    window.location.hash = '';
+
+    handlers = {
+      home: jest.fn(),
+      movies: jest.fn(),
+      title: jest.fn(),
+      notFound: jest.fn()
+    };
+
+    router = new HashRouter({
+      routes: [
+        { path: 'home', handler: handlers.home },
+        { path: 'movies', handler: handlers.movies },
+        { path: 'title/:id', handler: handlers.title }
+      ],
+      defaultPath: 'home',
+      onNotFound: handlers.notFound
+    });
+  });
+
+  afterEach(() => {
+    router.stop();
+  });
+
+  describe('Route Matching', () => {
+    test('should match static routes', () => {
+      const matched = router.match('movies');
+      expect(matched.route.path).toBe('movies');
+      expect(matched.params).toEqual({});
+    });
+
+    test('should extract route parameters', () => {
+      const matched = router.match('title/trending-1');
+      expect(matched.route.path).toBe('title/:id');
+      expect(matched.params).toEqual({ id: 'trending-1' });
+    });
+
+    test('should not match unknown paths or extra segments', () => {
+      expect(router.match('unknown')).toBeNull();
+      expect(router.match('movies/extra')).toBeNull();
+      expect(router.match('title')).toBeNull();
+    });
+  });
+
+  describe('Resolving the Hash', () => {
+    test('should use the default path when the hash is empty', () => {
+      router.start();
+      expect(handlers.home).toHaveBeenCalledTimes(1);
+      expect(router.currentPath).toBe('home');
+    });
+
+    test('should ignore a leading slash in the hash', () => {
+      window.location.hash = '#/movies';
+      expect(router.getPath()).toBe('movies');
+    });
+
+    test('should call the handler with params on hashchange', () => {
+      router.start();
+
+      window.location.hash = '#title/movie-3';
+      window.dispatchEvent(new HashChangeEvent('hashchange'));
+
+      expect(handlers.title).toHaveBeenCalledWith({ id: 'movie-3' }, 'title/movie-3');
+    });
+
+    test('should report unknown routes as not found', () => {
+      window.location.hash = '#does-not-exist';
+      router.resolve();
+      expect(handlers.notFound).toHaveBeenCalledWith('does-not-exist');
+    });
+
+    test('should re-resolve when navigating to the current path', () => {
+      window.location.hash = '#movies';
+      router.navigate('movies');
+      expect(handlers.movies).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Row Window Tests
+ * Tests for choosing which cards of a long row to mount
+ */
+
+const { RowWindow } = require('../js/row-window.js');
+
+describe('Netflix Frontend - Row Window', () => {
+  // 200px cards with a 20px gap
+  const stride = 220;
+  const gap = 20;
+
+  describe('Windowed Rows', () => {
+    test('should only window rows with many titles', () => {
+      expect(RowWindow.isWindowed(RowWindow.minItems - 1)).toBe(false);
+      expect(RowWindow.isWindowed(500)).toBe(true);
+    });
+  });
+
+  describe('Range', () => {
+    test('should mount the visible cards plus the overscan at the start of a row', () => {
+      // 1100px shows five cards; one more covers a partly visible card
+      const range = RowWindow.getRange({ scrollLeft: 0, viewportWidth: 1100, stride, count: 500 });
+      expect(range).toEqual({ start: 0, end: 6 + RowWindow.overscan });
+    });
+
+    test('should follow the scroll position', () => {
+      const range = RowWindow.getRange({ scrollLeft: 100 * stride + 50, viewportWidth: 1100, stride, count: 500 });
+      expect(range).toEqual({ start: 100 - RowWindow.overscan, end: 106 + RowWindow.overscan });
+    });
+
+    test('should stop at the end of the row', () => {
+      const range = RowWindow.getRange({ scrollLeft: 498 * stride, viewportWidth: 1100, stride, count: 500 });
+      expect(range.end).toBe(500);
+    });
+
+    test('should mount every card when cards cannot be measured', () => {
+      expect(RowWindow.getRange({ scrollLeft: 0, viewportWidth: 1100, stride: 0, count: 40 })).toEqual({ start: 0, end: 40 });
+    });
+  });
+
+  describe('Spacers', () => {
+    test('should stand in for the cards on either side of the range', () => {
+      expect(RowWindow.getSpacerWidths({ start: 10, end: 20 }, 500, stride, gap)).toEqual({
+        before: 10 * stride - gap,
+        after: 480 * stride - gap
+      });
+    });
+
+    test('should collapse at the ends of the row', () => {
+      expect(RowWindow.getSpacerWidths({ start: 0, end: 500 }, 500, stride, gap)).toEqual({ before: 0, after: 0 });
+    });
+
+    test('should keep the row as wide as if every card were mounted', () => {
+      const count = 500;
+      const range = { start: 40, end: 60 };
+      const { before, after } = RowWindow.getSpacerWidths(range, count, stride, gap);
+      const mounted = (range.end - range.start) * stride - gap;
+
+      // Spacers, mounted cards and the two gaps between them
+      expect(before + gap + mounted + gap + after).toBe(count * stride - gap);
+    });
+  });
+});
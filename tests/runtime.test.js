@@ -0,0 +1,73 @@
+/**
+ * Runtime Tests
+ * Tests for parsing legacy duration strings and formatting runtimes
+ */
+
+const { Runtime } = require('../js/runtime.js');
+
+describe('Netflix Frontend - Runtime', () => {
+  describe('Parsing Durations', () => {
+    test('should parse film lengths into minutes', () => {
+      expect(Runtime.parse('2h 32m')).toEqual({ minutes: 152 });
+      expect(Runtime.parse('3h 1m')).toEqual({ minutes: 181 });
+      expect(Runtime.parse('2h')).toEqual({ minutes: 120 });
+      expect(Runtime.parse('95 min')).toEqual({ minutes: 95 });
+    });
+
+    test('should parse season counts and episode lengths', () => {
+      expect(Runtime.parse('Season 4')).toEqual({ seasons: 4 });
+      expect(Runtime.parse('3 Seasons')).toEqual({ seasons: 3 });
+      expect(Runtime.parse('47m episodes')).toEqual({ episodeMinutes: 47 });
+      expect(Runtime.parse('2 Seasons, 58m episodes')).toEqual({ seasons: 2, episodeMinutes: 58 });
+    });
+
+    test('should reject values it cannot understand', () => {
+      expect(Runtime.parse('')).toBeNull();
+      expect(Runtime.parse('about two hours')).toBeNull();
+      expect(Runtime.parse('0m')).toBeNull();
+      expect(Runtime.parse('2h 10m, 3 Seasons')).toBeNull();
+      expect(Runtime.parse('Season 1, Season 2')).toBeNull();
+      expect(Runtime.parse(152)).toBeNull();
+    });
+  });
+
+  describe('Structured Runtimes', () => {
+    test('should accept valid structured runtimes', () => {
+      expect(Runtime.isValid({ minutes: 152 })).toBe(true);
+      expect(Runtime.isValid({ seasons: 2, episodeMinutes: 40 })).toBe(true);
+    });
+
+    test('should reject mixed or malformed runtimes', () => {
+      expect(Runtime.isValid({ minutes: 90, seasons: 1 })).toBe(false);
+      expect(Runtime.isValid({ minutes: 1.5 })).toBe(false);
+      expect(Runtime.isValid({})).toBe(false);
+      expect(Runtime.isValid({ hours: 2 })).toBe(false);
+    });
+
+    test('should normalize strings and structured values alike', () => {
+      expect(Runtime.normalize('1h 30m')).toEqual({ minutes: 90 });
+      expect(Runtime.normalize({ seasons: 5 })).toEqual({ seasons: 5 });
+      expect(Runtime.normalize(undefined)).toBeNull();
+    });
+
+    test('should give a comparable length in minutes', () => {
+      expect(Runtime.getMinutes({ minutes: 152 })).toBe(152);
+      expect(Runtime.getMinutes({ seasons: 4, episodeMinutes: 47 })).toBe(47);
+      expect(Runtime.getMinutes({ seasons: 4 })).toBeNull();
+    });
+  });
+
+  describe('Formatting Runtimes', () => {
+    test('should format film lengths', () => {
+      expect(Runtime.format({ minutes: 152 })).toBe('2h 32m');
+      expect(Runtime.format({ minutes: 120 })).toBe('2h');
+      expect(Runtime.format({ minutes: 45 })).toBe('45m');
+    });
+
+    test('should format seasons and episode lengths', () => {
+      expect(Runtime.format({ seasons: 1 })).toBe('1 Season');
+      expect(Runtime.format({ seasons: 4, episodeMinutes: 88 })).toBe('4 Seasons, 1h 28m episodes');
+      expect(Runtime.format(null)).toBe('');
+    });
+  });
+});
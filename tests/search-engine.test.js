@@ -0,0 +1,136 @@
+/**
+ * Search Engine Tests
+ * Tests for relevance ranking, typo tolerance and de-duplication
+ */
+
+const { SearchEngine } = require('../js/search-engine.js');
+
+const createItem = (overrides) => ({
+  id: 'item',
+  title: 'Untitled',
+  description: '',
+  year: 2020,
+  rating: 7.0,
+  genres: [],
+  cast: [],
+  type: 'movie',
+  ...overrides
+});
+
+describe('Netflix Frontend - Search Engine', () => {
+  const catalog = [
+    createItem({
+      id: 'trending-1',
+      title: 'The Dark Knight',
+      description: 'Batman faces the Joker in Gotham.',
+      year: 2008,
+      rating: 9.0,
+      genres: ['Action', 'Crime', 'Drama'],
+      cast: ['Christian Bale', 'Heath Ledger']
+    }),
+    createItem({
+      id: 'movie-9',
+      title: 'Shadow Play',
+      description: 'A dark thriller set in a quiet town.',
+      year: 2015,
+      rating: 9.5,
+      genres: ['Thriller']
+    }),
+    createItem({
+      id: 'tv-1',
+      title: 'Amélie',
+      description: 'A whimsical Parisian waitress.',
+      year: 2001,
+      rating: 8.3,
+      genres: ['Comedy', 'Romance'],
+      cast: ['Audrey Tautou']
+    }),
+    createItem({
+      id: 'movie-1',
+      title: 'The Dark Knight',
+      description: 'Batman faces the Joker in Gotham.',
+      year: 2008,
+      rating: 9.0,
+      genres: ['Action', 'Crime', 'Drama'],
+      cast: ['Christian Bale', 'Heath Ledger']
+    })
+  ];
+
+  describe('Normalization', () => {
+    test('should lowercase and strip accents and punctuation', () => {
+      expect(SearchEngine.normalize('  Amélie: Le Film! ')).toBe('amelie le film');
+    });
+
+    test('should return an empty string for missing values', () => {
+      expect(SearchEngine.normalize(undefined)).toBe('');
+      expect(SearchEngine.normalize(null)).toBe('');
+    });
+  });
+
+  describe('Edit Distance', () => {
+    test('should count insertions, deletions and substitutions', () => {
+      expect(SearchEngine.editDistance('knight', 'knight')).toBe(0);
+      expect(SearchEngine.editDistance('kniht', 'knight')).toBe(1);
+      expect(SearchEngine.editDistance('kitten', 'sitting')).toBe(3);
+    });
+
+    test('should stop early once the maximum distance is exceeded', () => {
+      expect(SearchEngine.editDistance('abcdef', 'uvwxyz', 2)).toBe(3);
+    });
+  });
+
+  describe('Ranking', () => {
+    test('should rank title matches above description matches', () => {
+      const results = SearchEngine.search(catalog, 'dark');
+      expect(results.map(result => result.item.title)).toEqual(['The Dark Knight', 'Shadow Play']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+      expect(results[1].matches.description).toBe(true);
+      expect(results[1].matches.title).toBe(false);
+    });
+
+    test('should tolerate typos in longer terms', () => {
+      const results = SearchEngine.search(catalog, 'dark kniht');
+      expect(results[0].item.title).toBe('The Dark Knight');
+    });
+
+    test('should not apply typo tolerance to short terms', () => {
+      expect(SearchEngine.search(catalog, 'xyz')).toEqual([]);
+    });
+
+    test('should match accented titles from unaccented queries', () => {
+      const results = SearchEngine.search(catalog, 'amelie');
+      expect(results).toHaveLength(1);
+      expect(results[0].item.id).toBe('tv-1');
+    });
+
+    test('should search cast names and report which ones matched', () => {
+      const results = SearchEngine.search(catalog, 'ledger');
+      expect(results).toHaveLength(1);
+      expect(results[0].matches.cast).toEqual(['Heath Ledger']);
+    });
+
+    test('should require every query term to match', () => {
+      expect(SearchEngine.search(catalog, 'dark romance')).toEqual([]);
+    });
+
+    test('should respect the result limit', () => {
+      expect(SearchEngine.search(catalog, 'a', { limit: 1 })).toHaveLength(1);
+    });
+  });
+
+  describe('De-duplication', () => {
+    test('should return a title listed in several categories once', () => {
+      const results = SearchEngine.search(catalog, 'batman');
+      expect(results).toHaveLength(1);
+      expect(results[0].item.id).toBe('trending-1');
+    });
+  });
+
+  describe('Invalid Input', () => {
+    test('should return no results for empty queries or missing items', () => {
+      expect(SearchEngine.search(catalog, '')).toEqual([]);
+      expect(SearchEngine.search(catalog, '   ')).toEqual([]);
+      expect(SearchEngine.search(null, 'dark')).toEqual([]);
+    });
+  });
+});
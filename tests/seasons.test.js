@@ -0,0 +1,80 @@
+/**
+ * Seasons Tests
+ * Tests for validating the seasons and episodes of TV shows
+ */
+
+const { Seasons } = require('../js/seasons.js');
+
+describe('Netflix Frontend - Seasons', () => {
+  const episode = (number, overrides = {}) => ({
+    number,
+    title: `Episode ${number}`,
+    synopsis: 'Something happens.',
+    runtime: 47,
+    thumbnail: `https://example.com/e${number}.jpg`,
+    ...overrides
+  });
+
+  const show = (seasons) => ({ id: 'show-1', title: 'Test Show', type: 'tv-show', seasons });
+
+  describe('Valid Seasons', () => {
+    test('should accept seasons with numbered episodes', () => {
+      const item = show([
+        { number: 1, title: 'Season 1', episodes: [episode(1), episode(2)] },
+        { number: 2, episodes: [episode(1)] }
+      ]);
+      expect(Seasons.getError(item)).toBeNull();
+    });
+
+    test('should still load items without seasons', () => {
+      expect(Seasons.getError({ id: 'show-2', title: 'Older Show', type: 'tv-show' })).toBeNull();
+      expect(Seasons.getError({ id: 'movie-1', title: 'A Movie', type: 'movie' })).toBeNull();
+    });
+  });
+
+  describe('Invalid Seasons', () => {
+    test('should only allow seasons on TV shows', () => {
+      const item = { ...show([{ number: 1, episodes: [episode(1)] }]), id: 'movie-1', type: 'movie' };
+      expect(Seasons.getError(item)).toBe('Only TV shows can have seasons: movie-1');
+    });
+
+    test('should need at least one season', () => {
+      expect(Seasons.getError(show([]))).toBe('Seasons must be a non-empty array: show-1');
+      expect(Seasons.getError(show({}))).toBe('Seasons must be a non-empty array: show-1');
+    });
+
+    test('should reject duplicate or invalid season numbers', () => {
+      const duplicate = show([{ number: 1, episodes: [episode(1)] }, { number: 1, episodes: [episode(1)] }]);
+      expect(Seasons.getError(duplicate)).toBe('Invalid or duplicate season number in show-1');
+      expect(Seasons.getError(show([{ number: 0, episodes: [episode(1)] }]))).toBe('Invalid or duplicate season number in show-1');
+      expect(Seasons.getError(show([{ number: 1.5, episodes: [episode(1)] }]))).toBe('Invalid or duplicate season number in show-1');
+    });
+
+    test('should reject blank season titles and seasons without episodes', () => {
+      expect(Seasons.getError(show([{ number: 1, title: ' ', episodes: [episode(1)] }]))).toBe('Invalid title for season 1 of show-1');
+      expect(Seasons.getError(show([{ number: 2, episodes: [] }]))).toBe('Season 2 of show-1 has no episodes');
+    });
+
+    test('should reject duplicate or invalid episode numbers', () => {
+      expect(Seasons.getError(show([{ number: 1, episodes: [episode(1), episode(1)] }])))
+        .toBe('Invalid or duplicate episode number in season 1 of show-1');
+      expect(Seasons.getError(show([{ number: 1, episodes: [episode(-1)] }])))
+        .toBe('Invalid or duplicate episode number in season 1 of show-1');
+    });
+
+    test('should allow the same episode numbers in different seasons', () => {
+      const item = show([{ number: 1, episodes: [episode(1)] }, { number: 2, episodes: [episode(1)] }]);
+      expect(Seasons.getError(item)).toBeNull();
+    });
+
+    test('should name the missing or invalid episode field', () => {
+      ['title', 'synopsis', 'thumbnail', 'runtime'].forEach(field => {
+        expect(Seasons.getError(show([{ number: 2, episodes: [episode(3, { [field]: undefined })] }])))
+          .toBe(`Invalid ${field} for S2:E3 of show-1`);
+      });
+
+      expect(Seasons.getError(show([{ number: 1, episodes: [episode(1, { title: '  ' })] }]))).toBe('Invalid title for S1:E1 of show-1');
+      expect(Seasons.getError(show([{ number: 1, episodes: [episode(1, { runtime: 0 })] }]))).toBe('Invalid runtime for S1:E1 of show-1');
+    });
+  });
+});
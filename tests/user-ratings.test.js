@@ -0,0 +1,87 @@
+/**
+ * User Ratings Tests
+ * Tests for rating titles, toggling ratings off and loading saved ratings per profile
+ */
+
+const { UserRatings } = require('../js/user-ratings.js');
+const { Profiles } = require('../js/profiles.js');
+
+describe('Netflix Frontend - User Ratings', () => {
+  const levels = {
+    dislike: { label: 'Not for me' },
+    like: { label: 'I like this' },
+    love: { label: 'Love this!' }
+  };
+
+  describe('Valid Ratings', () => {
+    test('should accept the configured levels', () => {
+      ['dislike', 'like', 'love'].forEach(rating => expect(UserRatings.isValid(rating, levels)).toBe(true));
+    });
+
+    test('should reject unknown and inherited names', () => {
+      ['meh', 'toString', 'constructor', '__proto__', 'hasOwnProperty'].forEach(rating => {
+        expect(UserRatings.isValid(rating, levels)).toBe(false);
+      });
+    });
+
+    test('should reject values that are not strings', () => {
+      [null, undefined, 1, {}, ['like']].forEach(rating => expect(UserRatings.isValid(rating, levels)).toBe(false));
+    });
+  });
+
+  describe('Toggling', () => {
+    test('should rate an unrated title', () => {
+      expect(UserRatings.getNextRating(null, 'like')).toBe('like');
+    });
+
+    test('should switch to another rating', () => {
+      expect(UserRatings.getNextRating('like', 'love')).toBe('love');
+      expect(UserRatings.getNextRating('love', 'dislike')).toBe('dislike');
+    });
+
+    test('should clear the rating when it is chosen again', () => {
+      expect(UserRatings.getNextRating('love', 'love')).toBeNull();
+    });
+  });
+
+  describe('Setting Ratings', () => {
+    test('should rate and clear titles without changing the original', () => {
+      const original = { 'movie-1': 'like' };
+
+      const rated = UserRatings.set(original, 'movie-2', 'love');
+      expect(rated).toEqual({ 'movie-1': 'like', 'movie-2': 'love' });
+
+      const cleared = UserRatings.set(rated, 'movie-1', null);
+      expect(cleared).toEqual({ 'movie-2': 'love' });
+      expect(original).toEqual({ 'movie-1': 'like' });
+    });
+  });
+
+  describe('Saved Ratings', () => {
+    test('should load saved ratings', () => {
+      expect(UserRatings.parse('{"movie-1":"like","show-1":"dislike"}', levels)).toEqual({ 'movie-1': 'like', 'show-1': 'dislike' });
+    });
+
+    test('should drop unknown and inherited values', () => {
+      const json = JSON.stringify({ 'movie-1': 'love', x: 'constructor', y: 'toString', z: 'meh', w: 3 });
+      expect(UserRatings.parse(json, levels)).toEqual({ 'movie-1': 'love' });
+    });
+
+    test('should ignore malformed storage', () => {
+      ['not json', 'null', '"like"', '["like"]', '42'].forEach(json => expect(UserRatings.parse(json, levels)).toEqual({}));
+    });
+
+    test('should keep each profile\'s ratings under its own key', () => {
+      const storageKey = (profileId) => Profiles.getStorageKey('netflix-user-ratings', profileId);
+
+      localStorage.setItem(storageKey('profile-a'), JSON.stringify(UserRatings.set({}, 'movie-1', 'love')));
+      localStorage.setItem(storageKey('profile-b'), JSON.stringify(UserRatings.set({}, 'movie-1', 'dislike')));
+
+      expect(UserRatings.parse(localStorage.getItem(storageKey('profile-a')), levels)).toEqual({ 'movie-1': 'love' });
+      expect(UserRatings.parse(localStorage.getItem(storageKey('profile-b')), levels)).toEqual({ 'movie-1': 'dislike' });
+      expect(localStorage.getItem(storageKey('profile-c'))).toBeNull();
+
+      localStorage.clear();
+    });
+  });
+});
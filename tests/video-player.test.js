@@ -0,0 +1,214 @@
+/**
+ * Video Player Tests
+ * Tests for player open/close, keyboard shortcuts and time formatting
+ */
+
+const { VideoPlayer } = require('../js/video-player.js');
+
+describe('Netflix Frontend - Video Player', () => {
+  let overlay;
+  let player;
+  let video;
+
+  const content = { id: 'movie-1', title: 'Test Movie', videoUrl: 'test-video.mp4' };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button class="origin">Play</button>
+      <div class="player-overlay hidden" tabindex="-1">
+        <video class="player-video"></video>
+        <button class="player-exit"></button>
+        <h2 class="player-title"></h2>
+        <div class="player-message hidden"></div>
+        <input type="range" class="player-seek">
+        <button class="player-play"></button>
+        <button class="player-mute"></button>
+        <input type="range" class="player-volume" min="0" max="1" step="0.05">
+        <span class="player-time"></span>
+        <button class="player-fullscreen"></button>
+      </div>
+    `;
+
+    overlay = document.querySelector('.player-overlay');
+    video = overlay.querySelector('.player-video');
+
+    // jsdom does not implement media playback
+    let paused = true;
+    Object.defineProperty(video, 'paused', { get: () => paused });
+    video.play = jest.fn(() => {
+      paused = false;
+      return Promise.resolve();
+    });
+    video.pause = jest.fn(() => {
+      paused = true;
+    });
+    video.load = jest.fn();
+
+    player = new VideoPlayer(overlay, { onClose: jest.fn() });
+  });
+
+  afterEach(() => {
+    player.close();
+  });
+
+  describe('Opening and Closing', () => {
+    test('should refuse content without a video URL', () => {
+      expect(player.open({ id: 'x', title: 'No Video' })).toBe(false);
+      expect(overlay.classList.contains('hidden')).toBe(true);
+    });
+
+    test('should show the overlay and start playback', () => {
+      expect(player.open(content)).toBe(true);
+      expect(overlay.classList.contains('hidden')).toBe(false);
+      expect(overlay.querySelector('.player-title').textContent).toBe('Test Movie');
+      expect(video.play).toHaveBeenCalled();
+    });
+
+    test('should return focus to the element playback started from', () => {
+      const origin = document.querySelector('.origin');
+      origin.focus();
+
+      player.open(content, { returnFocusTo: origin });
+      expect(document.activeElement).not.toBe(origin);
+
+      player.close();
+      expect(overlay.classList.contains('hidden')).toBe(true);
+      expect(document.activeElement).toBe(origin);
+      expect(player.options.onClose).toHaveBeenCalledWith(content, expect.objectContaining({ position: expect.any(Number) }));
+    });
+  });
+
+  describe('Progress Reporting', () => {
+    test('should resume from the start time', () => {
+      player.open(content, { startTime: 120 });
+      expect(video.currentTime).toBe(120);
+    });
+
+    test('should report progress when playback pauses', () => {
+      const onProgress = jest.fn();
+      player.options.onProgress = onProgress;
+
+      player.open(content);
+      video.currentTime = 42;
+      video.dispatchEvent(new Event('pause'));
+
+      expect(onProgress).toHaveBeenCalledWith(content, expect.objectContaining({ position: 42 }));
+    });
+
+    test('should limit progress reports during playback', () => {
+      const onProgress = jest.fn();
+      player.options.onProgress = onProgress;
+
+      player.open(content);
+      video.dispatchEvent(new Event('timeupdate'));
+      expect(onProgress).not.toHaveBeenCalled();
+
+      player.lastProgressReport -= player.options.progressInterval;
+      video.dispatchEvent(new Event('timeupdate'));
+      expect(onProgress).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Keyboard Shortcuts', () => {
+    const press = (key, { shiftKey = false } = {}) => {
+      const event = new KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true });
+      document.activeElement.dispatchEvent(event);
+      return event;
+    };
+
+    test('should toggle playback with space', () => {
+      player.open(content);
+      expect(document.activeElement).toBe(overlay);
+      press(' ');
+      expect(video.pause).toHaveBeenCalled();
+    });
+
+    test('should leave space to a focused button', () => {
+      player.open(content);
+      overlay.querySelector('.player-mute').focus();
+
+      const event = press(' ');
+      expect(event.defaultPrevented).toBe(false);
+      expect(video.pause).not.toHaveBeenCalled();
+    });
+
+    test('should leave the arrow keys to a focused slider', () => {
+      player.open(content);
+      video.currentTime = 30;
+      overlay.querySelector('.player-seek').focus();
+
+      const event = press('ArrowRight');
+      expect(event.defaultPrevented).toBe(false);
+      expect(video.currentTime).toBe(30);
+    });
+
+    test('should wrap Tab around the player controls', () => {
+      player.open(content);
+      overlay.querySelector('.player-fullscreen').focus();
+
+      expect(press('Tab').defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(overlay.querySelector('.player-exit'));
+
+      expect(press('Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(overlay.querySelector('.player-fullscreen'));
+    });
+
+    test('should let Tab move between controls natively', () => {
+      player.open(content);
+      overlay.querySelector('.player-play').focus();
+      expect(press('Tab').defaultPrevented).toBe(false);
+    });
+
+    test('should close with Escape from a focused control', () => {
+      player.open(content);
+      overlay.querySelector('.player-play').focus();
+      press('Escape');
+      expect(player.isOpen).toBe(false);
+    });
+
+    test('should toggle mute with m', () => {
+      player.open(content);
+      press('m');
+      expect(video.muted).toBe(true);
+      expect(overlay.querySelector('.player-mute').getAttribute('aria-label')).toBe('Unmute');
+    });
+
+    test('should close with Escape without reaching other listeners', () => {
+      const otherListener = jest.fn();
+      document.addEventListener('keydown', otherListener);
+
+      player.open(content);
+      press('Escape');
+
+      expect(player.isOpen).toBe(false);
+      expect(otherListener).not.toHaveBeenCalled();
+      document.removeEventListener('keydown', otherListener);
+    });
+  });
+
+  describe('Pausing', () => {
+    test('should pause playback while open', () => {
+      player.open(content);
+      player.pause();
+      expect(video.pause).toHaveBeenCalled();
+    });
+
+    test('should do nothing while closed', () => {
+      player.pause();
+      expect(video.pause).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Time Formatting', () => {
+    test('should format minutes and hours', () => {
+      expect(VideoPlayer.formatTime(0)).toBe('0:00');
+      expect(VideoPlayer.formatTime(75)).toBe('1:15');
+      expect(VideoPlayer.formatTime(3725)).toBe('1:02:05');
+    });
+
+    test('should treat invalid values as zero', () => {
+      expect(VideoPlayer.formatTime(NaN)).toBe('0:00');
+      expect(VideoPlayer.formatTime(-5)).toBe('0:00');
+    });
+  });
+});
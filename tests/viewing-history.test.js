@@ -0,0 +1,97 @@
+/**
+ * Viewing History Tests
+ * Tests for recording, removing, grouping and exporting viewing activity
+ */
+
+const { ViewingHistory } = require('../js/viewing-history.js');
+
+describe('Netflix Frontend - Viewing History', () => {
+  const hour = 60 * 60 * 1000;
+  const noon = new Date(2026, 9, 19, 12, 0).getTime();
+
+  describe('Recording', () => {
+    test('should add entries newest first', () => {
+      let entries = ViewingHistory.record([], { contentId: 'movie-1', title: 'Pulp Fiction', action: 'opened' }, noon);
+      entries = ViewingHistory.record(entries, { contentId: 'movie-2', title: 'The Shawshank Redemption', action: 'played' }, noon + 1000);
+
+      expect(entries.map(entry => [entry.contentId, entry.action])).toEqual([['movie-2', 'played'], ['movie-1', 'opened']]);
+      expect(entries[0]).toMatchObject({ title: 'The Shawshank Redemption', timestamp: noon + 1000 });
+    });
+
+    test('should merge a repeat of the latest entry within the merge window', () => {
+      let entries = ViewingHistory.record([], { contentId: 'movie-1', action: 'opened' }, noon);
+      entries = ViewingHistory.record(entries, { contentId: 'movie-1', action: 'opened' }, noon + 1000);
+      expect(entries).toHaveLength(1);
+      expect(entries[0].timestamp).toBe(noon + 1000);
+
+      entries = ViewingHistory.record(entries, { contentId: 'movie-1', action: 'played' }, noon + 2000);
+      entries = ViewingHistory.record(entries, { contentId: 'movie-1', action: 'played' }, noon + 2000 + ViewingHistory.mergeWindowMs);
+      expect(entries.map(entry => entry.action)).toEqual(['played', 'played', 'opened']);
+    });
+
+    test('should ignore unknown actions and keep at most the maximum entries', () => {
+      expect(ViewingHistory.record([], { contentId: 'movie-1', action: 'rated' }, noon)).toEqual([]);
+
+      let entries = [];
+      for (let i = 0; i < ViewingHistory.maxEntries + 5; i++) {
+        entries = ViewingHistory.record(entries, { contentId: `title-${i}`, action: 'played' }, noon + i);
+      }
+      expect(entries).toHaveLength(ViewingHistory.maxEntries);
+      expect(entries[0].contentId).toBe(`title-${ViewingHistory.maxEntries + 4}`);
+    });
+
+    test('should remove a single entry', () => {
+      const entries = ViewingHistory.record(
+        ViewingHistory.record([], { contentId: 'movie-1', action: 'opened' }, noon),
+        { contentId: 'movie-2', action: 'opened' }, noon + 1000
+      );
+
+      expect(ViewingHistory.remove(entries, entries[1].id).map(entry => entry.contentId)).toEqual(['movie-2']);
+    });
+  });
+
+  describe('Grouping', () => {
+    test('should group entries by local day, newest first', () => {
+      const entries = [
+        { id: 'a', contentId: 'movie-1', action: 'opened', timestamp: noon - 30 * hour },
+        { id: 'b', contentId: 'movie-2', action: 'played', timestamp: noon },
+        { id: 'c', contentId: 'movie-3', action: 'played', timestamp: noon + hour }
+      ];
+
+      expect(ViewingHistory.groupByDate(entries).map(group => [group.dateKey, group.entries.map(entry => entry.id)]))
+        .toEqual([['2026-10-19', ['c', 'b']], ['2026-10-18', ['a']]]);
+    });
+  });
+
+  describe('Export', () => {
+    test('should export titles, actions and ISO dates', () => {
+      const entries = ViewingHistory.record([], { contentId: 'movie-1', title: 'Pulp Fiction', action: 'played' }, noon);
+      const data = ViewingHistory.toExport(entries, { profileName: 'Alex' }, noon);
+
+      expect(data).toEqual({
+        profile: 'Alex',
+        exportedAt: new Date(noon).toISOString(),
+        entries: [{ title: 'Pulp Fiction', contentId: 'movie-1', action: 'played', date: new Date(noon).toISOString() }]
+      });
+    });
+  });
+
+  describe('Parsing', () => {
+    test('should drop malformed entries and sort the rest', () => {
+      const json = JSON.stringify([
+        { id: 'a', contentId: 'movie-1', action: 'opened', timestamp: noon },
+        { id: 'b', contentId: 'movie-2', action: 'played', timestamp: noon + 1, title: 'Shawshank' },
+        { id: 'c', contentId: 'movie-3', action: 'rated', timestamp: noon },
+        { id: 'd', contentId: 'movie-4', action: 'played' },
+        null
+      ]);
+
+      expect(ViewingHistory.parse(json).map(entry => [entry.id, entry.title])).toEqual([['b', 'Shawshank'], ['a', 'movie-1']]);
+    });
+
+    test('should return no entries for invalid JSON', () => {
+      expect(ViewingHistory.parse('not json')).toEqual([]);
+      expect(ViewingHistory.parse('{}')).toEqual([]);
+    });
+  });
+});
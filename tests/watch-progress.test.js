@@ -0,0 +1,81 @@
+/**
+ * Watch Progress Tests
+ * Tests for recording, finishing and ordering playback progress
+ */
+
+const { WatchProgress } = require('../js/watch-progress.js');
+
+describe('Netflix Frontend - Watch Progress', () => {
+  describe('Recording Progress', () => {
+    test('should record position, duration and last watched time', () => {
+      const progress = WatchProgress.update({}, 'movie-1', { position: 600, duration: 6000 }, 1000);
+      expect(progress).toEqual({ 'movie-1': { position: 600, duration: 6000, lastWatched: 1000 } });
+    });
+
+    test('should not change the original progress object', () => {
+      const original = {};
+      WatchProgress.update(original, 'movie-1', { position: 600, duration: 6000 }, 1000);
+      expect(original).toEqual({});
+    });
+
+    test('should drop titles once they are finished', () => {
+      let progress = WatchProgress.update({}, 'movie-1', { position: 600, duration: 6000 }, 1000);
+      progress = WatchProgress.update(progress, 'movie-1', { position: 5900, duration: 6000 }, 2000);
+      expect(progress).toEqual({});
+    });
+
+    test('should ignore short starts and unknown durations', () => {
+      expect(WatchProgress.update({}, 'movie-1', { position: 2, duration: 6000 })).toEqual({});
+      expect(WatchProgress.update({}, 'movie-1', { position: 600, duration: 0 })).toEqual({});
+      expect(WatchProgress.update({}, 'movie-1', { position: 600, duration: NaN })).toEqual({});
+    });
+
+    test('should keep an existing entry when playback restarts from the beginning', () => {
+      let progress = WatchProgress.update({}, 'movie-1', { position: 600, duration: 6000 }, 1000);
+      progress = WatchProgress.update(progress, 'movie-1', { position: 1, duration: 6000 }, 2000);
+      expect(progress['movie-1'].position).toBe(1);
+    });
+
+    test('should remove a title', () => {
+      const progress = WatchProgress.update({}, 'movie-1', { position: 600, duration: 6000 }, 1000);
+      expect(WatchProgress.remove(progress, 'movie-1')).toEqual({});
+    });
+  });
+
+  describe('Continue Watching Order', () => {
+    test('should list unfinished titles, most recently watched first', () => {
+      const progress = {
+        'movie-1': { position: 100, duration: 1000, lastWatched: 1000 },
+        'movie-2': { position: 200, duration: 1000, lastWatched: 3000 },
+        'movie-3': { position: 990, duration: 1000, lastWatched: 4000 },
+        'movie-4': { position: 300, duration: 1000, lastWatched: 2000 }
+      };
+
+      expect(WatchProgress.getInProgressIds(progress)).toEqual(['movie-2', 'movie-4', 'movie-1']);
+    });
+
+    test('should report progress as a whole percentage', () => {
+      expect(WatchProgress.getPercent({ position: 333, duration: 1000 })).toBe(33);
+      expect(WatchProgress.getPercent(null)).toBe(0);
+    });
+  });
+
+  describe('Parsing Stored Progress', () => {
+    test('should keep valid entries and drop malformed ones', () => {
+      const stored = JSON.stringify({
+        'movie-1': { position: 100, duration: 1000, lastWatched: 1000 },
+        'movie-2': { position: 'ten', duration: 1000, lastWatched: 1000 },
+        'movie-3': null
+      });
+
+      expect(WatchProgress.parse(stored)).toEqual({
+        'movie-1': { position: 100, duration: 1000, lastWatched: 1000 }
+      });
+    });
+
+    test('should return empty progress for invalid JSON', () => {
+      expect(WatchProgress.parse('not json')).toEqual({});
+      expect(WatchProgress.parse('[]')).toEqual({});
+    });
+  });
+});